@@ -4,14 +4,22 @@ const express = require("express");
 require("dotenv").config();
 const path = require("path");
 const upload = require("./middlewares/upload");
-const lock = require("./middlewares/lock");
 const fileController = require("./controllers/fileController");
+const jobController = require("./controllers/jobController");
+const sessionController = require("./controllers/sessionController");
+const taxonomyController = require("./controllers/taxonomyController");
+const cacheController = require("./controllers/cacheController");
+const reviewController = require("./controllers/reviewController");
+const exampleController = require("./controllers/exampleController");
+const { getProvider } = require("./services/providers");
+const sessionStore = require("./services/sessionStore");
 
 const app = express();
 const port = process.env.PORT || 3000;
 
 // Serve static files from the 'public' directory
 app.use(express.static("public"));
+app.use(express.json());
 
 // Route for the home page
 app.get("/", (req, res) => {
@@ -19,14 +27,42 @@ app.get("/", (req, res) => {
 });
 
 // API Routes (delegated to controllers)
-app.post("/upload", lock, upload.single("zipFile"), fileController.uploadZip);
+app.post("/upload", upload.single("zipFile"), fileController.uploadZip);
 app.get("/results/:sessionId", fileController.getResults);
+app.get("/jobs/:jobId", jobController.getJob);
+app.get("/jobs/:jobId/events", jobController.streamEvents);
+app.post("/jobs/:jobId/cancel", jobController.cancelJob);
+app.get("/jobs/:jobId/download", jobController.downloadResult);
+app.get("/sessions", sessionController.listSessions);
+app.get("/sessions/:sessionId", sessionController.getSession);
+app.get("/sessions/:sessionId/download", sessionController.downloadResult);
+app.get("/sessions/:sessionId/reports/:file", sessionController.getReport);
+app.delete("/sessions/:sessionId", sessionController.deleteSession);
+app.post(
+    "/sessions/:sessionId/categories/rename",
+    reviewController.renameCategory
+);
+app.post(
+    "/sessions/:sessionId/categories/merge",
+    reviewController.mergeCategories
+);
+app.post("/sessions/:sessionId/files/move", reviewController.moveFiles);
+app.post("/sessions/:sessionId/finalize", reviewController.finalize);
+app.get("/corrections", reviewController.listCorrections);
+app.get("/examples", exampleController.listExamples);
+app.post("/examples", exampleController.addExamples);
+app.delete("/examples/:id", exampleController.deleteExample);
+app.get("/taxonomies", taxonomyController.listTaxonomies);
+app.get("/taxonomies/:name", taxonomyController.getTaxonomy);
+app.get("/cache", cacheController.getStats);
+app.delete("/cache", cacheController.invalidate);
+app.delete("/cache/:key", cacheController.invalidateKey);
 
 // Error handler for Multer and other errors
 app.use((err, req, res, next) => {
     // Multer file too large
     if (err && err.code === 'LIMIT_FILE_SIZE') {
-        return res.status(400).json({ error: 'File too large. Maximum allowed size is 10MB.' });
+        return res.status(400).json({ error: `File too large. Maximum allowed size is ${upload.MAX_FILE_SIZE_MB}MB.` });
     }
     // Multer errors
     if (err && err.name === 'MulterError') {
@@ -39,7 +75,14 @@ app.use((err, req, res, next) => {
     next();
 });
 
+// Resolve the AI provider up front so misconfiguration fails at boot
+const provider = getProvider();
+
+// Purge stored sessions past their retention period
+sessionStore.startRetention();
+
 // Start the server
 app.listen(port, () => {
     console.log(`Server running at http://localhost:${port}`);
+    console.log(`AI provider: ${provider.name} (${provider.model})`);
 });
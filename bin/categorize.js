@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+// Command-line entry point: categorizes a local folder or archive into an
+// output folder with the same services as the upload form, without the
+// server or its upload size limit. Run `node bin/categorize.js --help`.
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+const USAGE = `Usage: categorize <input> <output> [options]
+
+Categorizes the files of <input>, a folder or an archive, into category
+folders below <output>, which must be empty or not exist yet. manifest.json,
+manifest.csv and report.html are written next to the folders.
+
+Options:
+  --dry-run               Categorize and print where files would go, but
+                          write nothing
+  --move                  Move files out of an input folder instead of
+                          copying them
+  --rename                Name files after fields read out of them, with
+                          the templates of NAMING_FILE
+  --provider <name>       AI provider: gemini, openai or local
+  --taxonomy <name>       Constrain categories to a taxonomy
+  --concurrency <n>       Files and model calls handled at the same time
+  --layout <name>         Output layout: flat or preserve
+  --merge <strategy>      How free-form categories are merged: similarity,
+                          llm, heuristic or none
+  --duplicates <policy>   What happens to duplicate files: report, group or
+                          keep-one
+  --sensitive <policy>    What happens to files with sensitive data: tag or
+                          route
+  --max-depth <n>         Folder levels below <input> to process
+  -h, --help              Show this help
+
+Exit status: 0 when every file was categorized and written, 1 when some
+failed, 2 for invalid arguments or input, 130 when interrupted.`;
+
+// Options and whether they take a value
+const OPTIONS = {
+    "dry-run": false,
+    move: false,
+    rename: false,
+    provider: true,
+    taxonomy: true,
+    concurrency: true,
+    layout: true,
+    merge: true,
+    duplicates: true,
+    sensitive: true,
+    "max-depth": true,
+    help: false,
+};
+
+/**
+ * Error for invalid arguments or input, exit status 2
+ * @param {string} message
+ * @returns {Error}
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.code = "USAGE";
+    return error;
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{positionals: string[], options: Object}} - Options keyed by
+ *   name; flags are true when given
+ */
+function parseArgs(argv) {
+    const positionals = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "-h") {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith("--") || arg === "--") {
+            positionals.push(arg);
+            continue;
+        }
+        let [name, value] = arg.slice(2).split(/=(.*)/s);
+        if (!(name in OPTIONS)) throw usageError(`Unknown option --${name}`);
+        if (!OPTIONS[name]) {
+            if (value !== undefined) {
+                throw usageError(`--${name} does not take a value`);
+            }
+            options[name] = true;
+            continue;
+        }
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) {
+                throw usageError(`--${name} needs a value`);
+            }
+        }
+        options[name] = value;
+    }
+    return { positionals, options };
+}
+
+/**
+ * Parse a positive integer option
+ * @param {Object} options
+ * @param {string} name
+ * @returns {number|undefined}
+ */
+function positiveInteger(options, name) {
+    if (options[name] === undefined) return undefined;
+    const value = Number(options[name]);
+    if (!Number.isInteger(value) || value < 1) {
+        throw usageError(`--${name} must be a positive integer`);
+    }
+    return value;
+}
+
+/**
+ * Check an option against its allowed values
+ * @param {string|undefined} value
+ * @param {string[]} allowed
+ * @param {string} name
+ */
+function assertOneOf(value, allowed, name) {
+    if (value !== undefined && !allowed.includes(value)) {
+        throw usageError(
+            `Unknown ${name} "${value}". Use one of: ${allowed.join(", ")}`
+        );
+    }
+}
+
+/**
+ * Categorize and organize, see USAGE
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} - Exit status
+ */
+async function main(argv) {
+    const { positionals, options } = parseArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 2) {
+        throw usageError("Expected an input and an output path");
+    }
+    const input = path.resolve(positionals[0]);
+    const output = path.resolve(positionals[1]);
+    const concurrency = positiveInteger(options, "concurrency");
+    const maxDepth = positiveInteger(options, "max-depth");
+
+    // Rules, taxonomies, .env and the data folder resolve like the
+    // server's; the services read their settings when loaded
+    process.chdir(path.join(__dirname, ".."));
+    if (options.provider) process.env.AI_PROVIDER = options.provider;
+    if (concurrency) {
+        process.env.FILE_CONCURRENCY = String(concurrency);
+        process.env.MODEL_CONCURRENCY = String(concurrency);
+    }
+    require("dotenv").config();
+
+    const fileService = require("../services/fileServices");
+    const pipeline = require("../services/pipeline");
+    const { getProvider } = require("../services/providers");
+    const { loadTaxonomy } = require("../services/taxonomy");
+    const { extractArchive, isArchive } = require("../services/archives");
+    const { MERGE_STRATEGIES } = require("../services/merging");
+    const { DUPLICATE_POLICIES } = require("../services/duplicates");
+    const { SENSITIVE_POLICIES } = require("../services/sensitive");
+    const { suggestNames } = require("../services/naming");
+
+    try {
+        getProvider();
+    } catch (error) {
+        throw usageError(error.message);
+    }
+    assertOneOf(options.layout, fileService.OUTPUT_LAYOUTS, "layout");
+    assertOneOf(options.merge, MERGE_STRATEGIES, "merge strategy");
+    assertOneOf(options.duplicates, DUPLICATE_POLICIES, "duplicate policy");
+    assertOneOf(options.sensitive, SENSITIVE_POLICIES, "sensitive data policy");
+    let taxonomy = null;
+    if (options.taxonomy) {
+        try {
+            taxonomy = await loadTaxonomy(options.taxonomy);
+        } catch (error) {
+            throw usageError(
+                `Taxonomy "${options.taxonomy}" is invalid: ${error.message}`
+            );
+        }
+        if (!taxonomy) {
+            throw usageError(`Unknown taxonomy "${options.taxonomy}"`);
+        }
+    }
+
+    const stats = await fs.stat(input).catch(() => null);
+    if (!stats) throw usageError(`${input} does not exist`);
+    const isFolder = stats.isDirectory();
+    if (!isFolder && !isArchive(input)) {
+        throw usageError(
+            `${input} is neither a folder nor a supported archive`
+        );
+    }
+    if (
+        isFolder &&
+        (output === input || output.startsWith(`${input}${path.sep}`))
+    ) {
+        throw usageError("The output folder can't be inside the input folder");
+    }
+    if (
+        (await fs.pathExists(output)) &&
+        (await fs.readdir(output)).length > 0
+    ) {
+        throw usageError(`${output} is not empty`);
+    }
+
+    const controller = new AbortController();
+    // A second Ctrl+C ends the process right away
+    process.once("SIGINT", () => {
+        console.error("Interrupted, stopping after the current files...");
+        controller.abort();
+    });
+    const { signal } = controller;
+    const startedAt = Date.now();
+    let source = input;
+    let archives = [];
+    let messages = [];
+
+    try {
+        if (!isFolder) {
+            source = await fs.mkdtemp(path.join(os.tmpdir(), "categorize-"));
+            console.error(`Extracting ${input}...`);
+            try {
+                ({ archives, messages } = await extractArchive(input, source, {
+                    filename: path.basename(input),
+                    maxFolderDepth: pipeline.MAX_FOLDER_DEPTH,
+                    signal,
+                }));
+            } catch (error) {
+                if (signal.aborted) return 130;
+                throw error.code ? usageError(error.message) : error;
+            }
+        }
+
+        const total = pipeline.countFiles(source);
+        const files = [];
+        console.error(`Categorizing ${total} files...`);
+        const fileCategories = await fileService.processDirectory(
+            source,
+            0,
+            maxDepth || pipeline.MAX_DIRECTORY_DEPTH,
+            {
+                signal,
+                taxonomy,
+                onFile: (record) => {
+                    const file = pipeline.sessionFile(
+                        record,
+                        source,
+                        archives,
+                        isFolder ? null : path.basename(input),
+                        messages
+                    );
+                    files.push(file);
+                    const note = file.error
+                        ? ` (failed: ${file.error})`
+                        : file.duplicateOf
+                        ? ` (duplicate of ${file.duplicateOf})`
+                        : file.sensitive.length > 0
+                        ? ` (sensitive: ${file.sensitive
+                              .map((finding) => finding.type)
+                              .join(", ")})`
+                        : "";
+                    console.error(
+                        `[${files.length}/${total}] ${file.originalPath} -> ${file.category}${note}`
+                    );
+                },
+            }
+        );
+        if (signal.aborted) return 130;
+
+        const grouped = await pipeline.prepareFiles(
+            files,
+            fileCategories,
+            source,
+            {
+                taxonomy,
+                mergeStrategy: options.merge,
+                duplicatePolicy: options.duplicates,
+                sensitivePolicy: options.sensitive,
+                rename: Boolean(options.rename),
+                // Nothing is written, so no metadata is needed
+                metadata: options["dry-run"] ? false : undefined,
+                signal,
+                onStage: (stage) =>
+                    console.error(
+                        stage === "naming"
+                            ? "Reading names from files..."
+                            : "Extracting metadata..."
+                    ),
+            }
+        );
+        for (const merge of grouped.merges) {
+            console.error(
+                `Merged "${merge.from}" into "${merge.into}": ${merge.reason}`
+            );
+        }
+
+        let written = grouped.files;
+        if (options["dry-run"]) {
+            const names = options.rename ? suggestNames(written, source) : {};
+            console.log("Dry run, nothing written:");
+            for (const file of written) {
+                const name =
+                    names[path.join(source, ...file.originalPath.split("/"))];
+                console.log(
+                    `  ${file.originalPath} -> ${
+                        file.group
+                            ? `${file.group}/${
+                                  name || path.posix.basename(file.originalPath)
+                              }`
+                            : "(left out)"
+                    }`
+                );
+            }
+        } else {
+            await fs.ensureDir(output);
+            ({ files: written } = await pipeline.writeResult(
+                {
+                    filename: path.basename(input),
+                    layout: options.layout || fileService.OUTPUT_LAYOUT,
+                    taxonomy,
+                    mergeStrategy: grouped.mergeStrategy,
+                    merges: grouped.merges,
+                    duplicates: grouped.duplicates,
+                    sensitive: grouped.sensitive,
+                    rename: Boolean(options.rename),
+                    files: written,
+                },
+                source,
+                output,
+                // Extracted files are temporary anyway
+                { move: Boolean(options.move) || !isFolder }
+            ));
+        }
+
+        return summarize(written, {
+            total,
+            output: options["dry-run"] ? null : output,
+            durationMs: Date.now() - startedAt,
+        });
+    } catch (error) {
+        if (error.code === "JOB_CANCELLED") return 130;
+        throw error;
+    } finally {
+        if (!isFolder) await pipeline.cleanup([source]);
+    }
+}
+
+/**
+ * Print the per-category counts and totals
+ * @param {Object[]} files - Session entries with their `group` and, unless
+ *   dry-running, `outputPath`
+ * @param {Object} run
+ * @param {number} run.total - Files found below the input
+ * @param {string|null} run.output - Output folder, null for dry runs
+ * @param {number} run.durationMs
+ * @returns {number} - Exit status
+ */
+function summarize(files, { total, output, durationMs }) {
+    const counts = {};
+    for (const file of files) {
+        const group = file.group || "(left out)";
+        counts[group] = (counts[group] || 0) + 1;
+    }
+    const width = Math.max(0, ...Object.keys(counts).map((g) => g.length));
+    const failed = files.filter((file) => file.error);
+    const notWritten = output
+        ? files.filter((file) => file.group && !file.outputPath)
+        : [];
+
+    console.log(
+        `\nProcessed ${files.length} of ${total} files in ${(
+            durationMs / 1000
+        ).toFixed(1)}s`
+    );
+    for (const group of Object.keys(counts).sort(
+        (a, b) => counts[b] - counts[a] || a.localeCompare(b)
+    )) {
+        console.log(`  ${group.padEnd(width)}  ${counts[group]}`);
+    }
+    console.log(
+        `Failed: ${failed.length}, needs review: ${
+            files.filter((file) => file.needsReview).length
+        }, duplicates: ${
+            files.filter((file) => file.duplicateOf).length
+        }, sensitive: ${
+            files.filter((file) => file.sensitive.length > 0).length
+        }, cached answers: ${files.filter((file) => file.cached).length}`
+    );
+    if (notWritten.length > 0) {
+        console.log(`Not written: ${notWritten.length}`);
+    }
+    if (output) console.log(`Output: ${output}`);
+
+    return failed.length > 0 || notWritten.length > 0 || files.length < total
+        ? 1
+        : 0;
+}
+
+main(process.argv.slice(2)).then(
+    (status) => {
+        process.exitCode = status;
+    },
+    (error) => {
+        if (error.code === "USAGE") {
+            console.error(`${error.message}\nRun with --help for usage.`);
+            process.exitCode = 2;
+        } else {
+            console.error(error);
+            process.exitCode = 1;
+        }
+    }
+);
@@ -0,0 +1,50 @@
+const cache = require("../services/cache");
+
+/**
+ * Cache hit/miss statistics and size
+ */
+exports.getStats = async (req, res) => {
+    try {
+        res.json(await cache.getStats());
+    } catch (error) {
+        console.error("Error reading cache stats:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Invalidate cached answers; query parameters (provider, model, taxonomy,
+ * promptVersion, contentHash) narrow down which entries are removed
+ */
+exports.invalidate = async (req, res) => {
+    try {
+        const { provider, model, taxonomy, promptVersion, contentHash } =
+            req.query;
+        const removed = await cache.invalidate({
+            provider,
+            model,
+            taxonomy,
+            promptVersion,
+            contentHash,
+        });
+        res.json({ removed });
+    } catch (error) {
+        console.error("Error invalidating cache:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Invalidate a single cache entry
+ */
+exports.invalidateKey = async (req, res) => {
+    try {
+        if (!(await cache.invalidateKey(req.params.key))) {
+            return res.status(404).json({ error: "Cache entry not found" });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error("Error invalidating cache entry:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
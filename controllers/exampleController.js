@@ -0,0 +1,77 @@
+const examples = require("../services/examples");
+const { loadTaxonomy, matchCategory } = require("../services/taxonomy");
+
+/**
+ * List labeled examples, optionally of one taxonomy ("none" for free-form)
+ */
+exports.listExamples = async (req, res) => {
+    try {
+        res.json(await examples.listExamples({ taxonomy: req.query.taxonomy }));
+    } catch (error) {
+        console.error("Error listing examples:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Add labeled examples: one { content, category, filename, taxonomy } or
+ * { examples: [...] }. In a taxonomy the category must be one of its own.
+ */
+exports.addExamples = async (req, res) => {
+    try {
+        const body = req.body || {};
+        const entries = Array.isArray(body.examples) ? body.examples : [body];
+        const taxonomies = {};
+        for (const entry of entries) {
+            if (!entry.taxonomy) continue;
+            const name = String(entry.taxonomy);
+            if (!(name in taxonomies)) {
+                taxonomies[name] = await loadTaxonomy(name);
+            }
+            if (!taxonomies[name]) {
+                return res
+                    .status(400)
+                    .json({ error: `Unknown taxonomy "${name}"` });
+            }
+            const category = matchCategory(taxonomies[name], entry.category);
+            if (!category) {
+                return res.status(400).json({
+                    error: `"${entry.category}" is not a category of taxonomy "${name}"`,
+                });
+            }
+            entry.category = category;
+            entry.taxonomy = name;
+        }
+        const added = await examples.addExamples(
+            entries.map(({ content, category, filename, taxonomy }) => ({
+                content,
+                category,
+                filename,
+                taxonomy,
+                source: "api",
+            }))
+        );
+        res.status(201).json(added);
+    } catch (error) {
+        if (error.code === "INVALID_EXAMPLE") {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error("Error adding examples:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Delete a labeled example
+ */
+exports.deleteExample = async (req, res) => {
+    try {
+        if (!(await examples.deleteExample(req.params.id))) {
+            return res.status(404).json({ error: "Example not found" });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error("Error deleting example:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -1,25 +1,19 @@
 const path = require("path");
-const { v4: uuidv4 } = require("uuid");
 const fs = require("fs-extra");
-const AdmZip = require("adm-zip");
-const fileService = require("../services/fileServices");
+const jobQueue = require("../services/jobQueue");
+const sessionStore = require("../services/sessionStore");
+const taxonomyService = require("../services/taxonomy");
+const { OUTPUT_LAYOUTS } = require("../services/fileServices");
+const { inspectArchive } = require("../services/archives");
+const { MERGE_STRATEGIES } = require("../services/merging");
+const { DUPLICATE_POLICIES } = require("../services/duplicates");
+const { SENSITIVE_POLICIES } = require("../services/sensitive");
 const upload = require("../middlewares/upload");
 
 /**
- * Handle file upload, extraction, and categorization
+ * Handle file upload and queue it for extraction and categorization
  */
 exports.uploadZip = async (req, res) => {
-    // Helper for cleanup
-    async function cleanup(paths) {
-        for (const p of paths) {
-            try {
-                await fs.remove(p);
-            } catch (e) {
-                /* ignore */
-            }
-        }
-    }
-    let extractPath, categorizedPath;
     try {
         if (!req.file) {
             return res.status(400).json({ error: "No file uploaded" });
@@ -27,134 +21,162 @@ exports.uploadZip = async (req, res) => {
         if (req.file.size > upload.MAX_FILE_SIZE) {
             // Should be handled by multer, but double check
             await fs.remove(req.file.path);
-            return res
-                .status(400)
-.json({ error: `File size exceeds ${upload.MAX_FILE_SIZE_MB}MB limit.` });
+            return res.status(400).json({
+                error: `File size exceeds ${upload.MAX_FILE_SIZE_MB}MB limit.`,
+            });
         }
         console.log("File uploaded successfully:", {
             filename: req.file.originalname,
             mimetype: req.file.mimetype,
             size: req.file.size,
         });
-        // Create a unique session ID for this processing job
-        const sessionId = uuidv4();
-        extractPath = path.join("extracted", sessionId);
-        categorizedPath = path.join("categorized", sessionId);
-        fs.ensureDirSync(extractPath);
-        fs.ensureDirSync(categorizedPath);
-        console.log(`Processing file: ${req.file.path}`);
-        // Extract and check folder depth
+
+        // Reject unsafe archives before queueing; extraction checks again
         try {
-            const zip = new AdmZip(req.file.path);
-            const zipEntries = zip.getEntries();
-            console.log(`Zip file contains ${zipEntries.length} entries`);
-            zip.extractAllTo(extractPath, true);
+            await inspectArchive(req.file.path, req.file.originalname);
         } catch (error) {
-            await cleanup([req.file.path, extractPath, categorizedPath]);
+            await fs.remove(req.file.path);
             return res
                 .status(400)
-                .json({
-                    error: "Failed to extract zip file. The file may be corrupted or not a valid zip archive.",
-                });
+                .json({ error: error.message, code: error.code });
         }
-        // Restriction: No zip files allowed inside the uploaded zip
-        function containsZipFile(dir) {
-            const items = fs.readdirSync(dir);
-            for (const item of items) {
-                const itemPath = path.join(dir, item);
-                if (fs.statSync(itemPath).isDirectory()) {
-                    if (containsZipFile(itemPath)) return true;
-                } else if (item.toLowerCase().endsWith('.zip')) {
-                    return true;
-                }
+
+        // Constrained mode when the upload (or the server default) names a
+        // taxonomy; "none" explicitly asks for free-form categories
+        const requested = req.body && req.body.taxonomy;
+        const taxonomyName =
+            requested === undefined
+                ? taxonomyService.DEFAULT_TAXONOMY
+                : requested !== "none" && requested;
+        let taxonomy = null;
+        if (taxonomyName) {
+            try {
+                taxonomy = await taxonomyService.loadTaxonomy(taxonomyName);
+            } catch (error) {
+                await fs.remove(req.file.path);
+                return res.status(400).json({
+                    error: `Taxonomy "${taxonomyName}" is invalid: ${error.message}`,
+                });
+            }
+            if (!taxonomy) {
+                await fs.remove(req.file.path);
+                return res
+                    .status(400)
+                    .json({ error: `Unknown taxonomy "${taxonomyName}".` });
             }
-            return false;
         }
-        if (containsZipFile(extractPath)) {
-            await cleanup([req.file.path, extractPath, categorizedPath]);
-            return res.status(400).json({ error: "Nested zip files are not allowed. Please remove any zip files inside your archive and try again." });
+
+        // "flat" or "preserve"; the server default applies when omitted
+        const layout = (req.body && req.body.layout) || undefined;
+        if (layout && !OUTPUT_LAYOUTS.includes(layout)) {
+            await fs.remove(req.file.path);
+            return res.status(400).json({
+                error: `Unknown layout "${layout}". Use one of: ${OUTPUT_LAYOUTS.join(
+                    ", "
+                )}.`,
+            });
         }
-        // Check max folder depth (no more than 3)
-        function getMaxDepth(dir, current = 1) {
-            const items = fs.readdirSync(dir);
-            let max = current;
-            for (const item of items) {
-                const itemPath = path.join(dir, item);
-                if (fs.statSync(itemPath).isDirectory()) {
-                    max = Math.max(max, getMaxDepth(itemPath, current + 1));
-                }
-            }
-            return max;
+
+        // How free-form categories are merged; the server default applies
+        // when omitted
+        const mergeStrategy = (req.body && req.body.merge) || undefined;
+        if (mergeStrategy && !MERGE_STRATEGIES.includes(mergeStrategy)) {
+            await fs.remove(req.file.path);
+            return res.status(400).json({
+                error: `Unknown merge strategy "${mergeStrategy}". Use one of: ${MERGE_STRATEGIES.join(
+                    ", "
+                )}.`,
+            });
         }
-        const maxDepth = getMaxDepth(extractPath);
-        if (maxDepth > 3) {
-            await cleanup([req.file.path, extractPath, categorizedPath]);
-            return res
-                .status(400)
-                .json({
-                    error: "More than 3 folder levels detected in the zip. Only up to 3 levels are allowed.",
-                });
+
+        // What happens to duplicate files; the server default applies when
+        // omitted
+        const duplicatePolicy = (req.body && req.body.duplicates) || undefined;
+        if (duplicatePolicy && !DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+            await fs.remove(req.file.path);
+            return res.status(400).json({
+                error: `Unknown duplicate policy "${duplicatePolicy}". Use one of: ${DUPLICATE_POLICIES.join(
+                    ", "
+                )}.`,
+            });
         }
-        // Process and organize
-        const fileCategories = await fileService.processDirectory(
-            extractPath,
-            0,
-            3
-        );
-        await fileService.organizeFilesByCategory(
-            fileCategories,
-            categorizedPath
-        );
-        // Bundle the categorized result as zip
-        const resultZipPath = path.join(
-            "categorized",
-            `${sessionId}-result.zip`
-        );
-        const resultZip = new AdmZip();
-        resultZip.addLocalFolder(categorizedPath);
-        resultZip.writeZip(resultZipPath);
-        // Send the zip as a download
-        res.setHeader("X-Response-Type", "file");
-        res.download(resultZipPath, `${sessionId}-result.zip`, async (err) => {
-            await cleanup([
-                req.file.path,
-                extractPath,
-                categorizedPath,
-                resultZipPath,
-            ]);
-            if (err && !res.headersSent) {
-                // Only send JSON if headers not sent
-                res.status(500).json({
-                    error: "Failed to send result zip file.",
-                });
-            }
+
+        // What happens to files with sensitive data; the server default
+        // applies when omitted
+        const sensitivePolicy = (req.body && req.body.sensitive) || undefined;
+        if (sensitivePolicy && !SENSITIVE_POLICIES.includes(sensitivePolicy)) {
+            await fs.remove(req.file.path);
+            return res.status(400).json({
+                error: `Unknown sensitive data policy "${sensitivePolicy}". Use one of: ${SENSITIVE_POLICIES.join(
+                    ", "
+                )}.`,
+            });
+        }
+
+        // Renaming follows RENAME_FILES unless the upload says
+        const rename = (req.body && req.body.rename) || undefined;
+        if (rename && !["1", "true", "0", "false"].includes(rename)) {
+            await fs.remove(req.file.path);
+            return res.status(400).json({
+                error: `Invalid rename "${rename}". Use 1, true, 0 or false.`,
+            });
+        }
+
+        // Preview stops before the zip is built, for review and finalize
+        const preview = ["1", "true"].includes(req.body && req.body.preview);
+
+        const job = jobQueue.enqueue({
+            uploadPath: req.file.path,
+            filename: req.file.originalname,
+            taxonomy,
+            layout,
+            mergeStrategy,
+            duplicatePolicy,
+            sensitivePolicy,
+            rename: rename && ["1", "true"].includes(rename),
+            preview,
+        });
+        console.log(`Queued job ${job.id} for ${req.file.path}`);
+
+        res.status(202).json({
+            jobId: job.id,
+            // Finished jobs are stored as sessions under the same ID
+            sessionId: job.id,
+            status: job.status,
+            statusUrl: `/jobs/${job.id}`,
+            eventsUrl: `/jobs/${job.id}/events`,
+            downloadUrl: `/jobs/${job.id}/download`,
+            resultsUrl: `/results/${job.id}`,
+            ...(preview && {
+                preview: true,
+                sessionUrl: `/sessions/${job.id}`,
+                finalizeUrl: `/sessions/${job.id}/finalize`,
+            }),
         });
     } catch (error) {
-        await cleanup([req.file?.path, extractPath, categorizedPath]);
+        if (req.file) await fs.remove(req.file.path).catch(() => {});
         console.error("Error processing upload:", error);
         res.status(500).json({ error: error.message });
     }
 };
 
 /**
- * Get categorized files for a session
+ * Get categorized files for a session (normalized group -> file names)
  */
 exports.getResults = async (req, res) => {
     try {
         const { sessionId } = req.params;
-        const categorizedPath = path.join("categorized", sessionId);
+        const session = await sessionStore.getSession(sessionId);
 
-        if (!(await fs.pathExists(categorizedPath))) {
+        if (!session) {
             return res.status(404).json({ error: "Session not found" });
         }
 
-        const categories = await fs.readdir(categorizedPath);
         const result = {};
-
-        for (const category of categories) {
-            const categoryPath = path.join(categorizedPath, category);
-            const files = await fs.readdir(categoryPath);
-            result[category] = files;
+        for (const category in session.categories) {
+            result[category] = session.categories[category].map((p) =>
+                path.posix.basename(p)
+            );
         }
 
         res.json(result);
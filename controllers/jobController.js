@@ -0,0 +1,105 @@
+const fs = require("fs-extra");
+const jobQueue = require("../services/jobQueue");
+
+/**
+ * Look up the job from the route, responding 404 when it is unknown
+ * @returns {Object|undefined} job
+ */
+function findJob(req, res) {
+    const job = jobQueue.getJob(req.params.jobId);
+    if (!job) {
+        res.status(404).json({ error: "Job not found" });
+    }
+    return job;
+}
+
+/**
+ * Get the status and per-file progress of a job
+ */
+exports.getJob = (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    res.json(jobQueue.toJSON(job));
+};
+
+/**
+ * Stream job progress as Server-Sent Events
+ */
+exports.streamEvents = (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+    });
+
+    const send = ({ type, data }) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const close = () => {
+        job.events.off("event", send);
+        job.events.off("end", close);
+        res.end();
+    };
+
+    // Start with a full snapshot so late subscribers catch up
+    send({ type: "status", data: jobQueue.toJSON(job) });
+    if (jobQueue.isFinished(job)) {
+        return res.end();
+    }
+
+    job.events.on("event", send);
+    job.events.on("end", close);
+    req.on("close", () => {
+        job.events.off("event", send);
+        job.events.off("end", close);
+    });
+};
+
+/**
+ * Cancel a queued or running job
+ */
+exports.cancelJob = async (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    const cancelled = await jobQueue.cancelJob(job.id);
+    if (!cancelled) {
+        return res.status(409).json({ error: `Job is already ${job.status}.` });
+    }
+    res.status(202).json(jobQueue.toJSON(job));
+};
+
+/**
+ * Download the result zip of a completed job
+ */
+exports.downloadResult = async (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    if (job.status !== "completed") {
+        return res
+            .status(409)
+            .json({ error: `Job is ${job.status}; no result available.` });
+    }
+    if (job.preview) {
+        // The zip is built by finalizing the session after review
+        return res.status(409).json({
+            error: "Job is a preview; finalize its session to build the result.",
+            finalizeUrl: `/sessions/${job.id}/finalize`,
+        });
+    }
+    if (!job.resultPath || !(await fs.pathExists(job.resultPath))) {
+        return res
+            .status(410)
+            .json({ error: "Result is no longer available." });
+    }
+
+    res.download(job.resultPath, `${job.id}-result.zip`, (err) => {
+        if (err && !res.headersSent) {
+            res.status(500).json({ error: "Failed to send result zip file." });
+        }
+    });
+};
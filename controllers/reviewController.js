@@ -0,0 +1,94 @@
+const review = require("../services/review");
+const { listCorrections } = require("../services/corrections");
+
+// Review error codes -> HTTP status
+const STATUS = {
+    SESSION_NOT_FOUND: 404,
+    CATEGORY_NOT_FOUND: 404,
+    FILE_NOT_FOUND: 404,
+    SESSION_NOT_IN_REVIEW: 409,
+    INVALID_CATEGORY: 400,
+    INVALID_FILES: 400,
+    INVALID_LAYOUT: 400,
+};
+
+/**
+ * Respond with the error of a review operation
+ * @param {Object} res
+ * @param {Error} error
+ */
+function sendError(res, error) {
+    const status = STATUS[error.code];
+    if (!status) {
+        console.error("Error reviewing session:", error);
+        return res.status(500).json({ error: error.message });
+    }
+    res.status(status).json({ error: error.message, code: error.code });
+}
+
+/**
+ * Rename a category of a preview session; renaming onto an existing
+ * category merges the two
+ */
+exports.renameCategory = async (req, res) => {
+    try {
+        const { from, to } = req.body || {};
+        res.json(await review.renameCategory(req.params.sessionId, from, to));
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * Merge categories of a preview session into one
+ */
+exports.mergeCategories = async (req, res) => {
+    try {
+        const { from, to } = req.body || {};
+        res.json(await review.mergeCategories(req.params.sessionId, from, to));
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * Move files of a preview session to another category
+ */
+exports.moveFiles = async (req, res) => {
+    try {
+        const { files, to } = req.body || {};
+        res.json(await review.moveFiles(req.params.sessionId, files, to));
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * Build the result zip of a reviewed preview session
+ */
+exports.finalize = async (req, res) => {
+    try {
+        const { layout } = req.body || {};
+        const session = await review.finalize(req.params.sessionId, {
+            layout,
+        });
+        res.json({
+            ...session,
+            downloadUrl: `/sessions/${session.id}/download`,
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+/**
+ * List logged corrections, optionally for one session
+ */
+exports.listCorrections = async (req, res) => {
+    try {
+        res.json(await listCorrections({ sessionId: req.query.sessionId }));
+    } catch (error) {
+        console.error("Error listing corrections:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -0,0 +1,111 @@
+const path = require("path");
+const fs = require("fs-extra");
+const AdmZip = require("adm-zip");
+const sessionStore = require("../services/sessionStore");
+const { REPORT_FILES } = require("../services/report");
+
+/**
+ * List stored sessions, newest first
+ */
+exports.listSessions = async (req, res) => {
+    try {
+        res.json(await sessionStore.listSessions());
+    } catch (error) {
+        console.error("Error listing sessions:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Get the full record of a session, including per-file decisions
+ */
+exports.getSession = async (req, res) => {
+    try {
+        const session = await sessionStore.getSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        res.json(session);
+    } catch (error) {
+        console.error("Error retrieving session:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Re-download the result zip of a session
+ */
+exports.downloadResult = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const session = await sessionStore.getSession(sessionId);
+        const zipPath = sessionStore.resultZipPath(sessionId);
+        if (!session || !(await fs.pathExists(zipPath))) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+
+        res.download(zipPath, `${sessionId}-result.zip`, (err) => {
+            if (err && !res.headersSent) {
+                res.status(500).json({
+                    error: "Failed to send result zip file.",
+                });
+            }
+        });
+    } catch (error) {
+        console.error("Error downloading session result:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Serve one of the reports inside a session's result zip (manifest.json,
+ * manifest.csv or report.html); `?download=1` saves it instead of showing it
+ */
+exports.getReport = async (req, res) => {
+    try {
+        const { sessionId, file } = req.params;
+        if (!REPORT_FILES.includes(file)) {
+            return res.status(404).json({
+                error: `Unknown report "${file}". Available reports: ${REPORT_FILES.join(
+                    ", "
+                )}`,
+            });
+        }
+        const session = await sessionStore.getSession(sessionId);
+        const zipPath = sessionStore.resultZipPath(sessionId);
+        if (!session || !(await fs.pathExists(zipPath))) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        const entry = new AdmZip(zipPath).getEntry(file);
+        if (!entry) {
+            // Sessions from before reports were added
+            return res
+                .status(404)
+                .json({ error: "This session has no reports." });
+        }
+
+        res.type(path.extname(file));
+        if (req.query.download) res.attachment(`${sessionId}-${file}`);
+        res.send(entry.getData());
+    } catch (error) {
+        console.error("Error retrieving session report:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Delete a session and its result zip
+ */
+exports.deleteSession = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        if (!(await sessionStore.getSession(sessionId))) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+        await sessionStore.deleteSession(sessionId);
+        res.status(204).end();
+    } catch (error) {
+        console.error("Error deleting session:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -0,0 +1,29 @@
+const taxonomyService = require("../services/taxonomy");
+
+/**
+ * List the available taxonomies with their categories
+ */
+exports.listTaxonomies = async (req, res) => {
+    try {
+        res.json(await taxonomyService.listTaxonomies());
+    } catch (error) {
+        console.error("Error listing taxonomies:", error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Get a single taxonomy
+ */
+exports.getTaxonomy = async (req, res) => {
+    try {
+        const taxonomy = await taxonomyService.loadTaxonomy(req.params.name);
+        if (!taxonomy) {
+            return res.status(404).json({ error: "Taxonomy not found" });
+        }
+        res.json(taxonomy);
+    } catch (error) {
+        console.error("Error loading taxonomy:", error);
+        res.status(400).json({ error: error.message });
+    }
+};
@@ -1,6 +1,7 @@
 require('dotenv').config();
 const multer = require("multer");
 const fs = require("fs-extra");
+const { isArchive, ARCHIVE_EXTENSIONS } = require("../services/archives");
 
 const MAX_FILE_SIZE_MB = parseInt(process.env.MAX_FILE_SIZE_MB, 10) || 10;
 const MAX_FILE_SIZE = MAX_FILE_SIZE_MB * 1024 * 1024;
@@ -17,14 +18,18 @@ const storage = multer.diskStorage({
 const upload = multer({
     storage: storage,
     fileFilter: (req, file, cb) => {
-        if (
-            file.mimetype === "application/zip" ||
-            file.mimetype === "application/x-zip-compressed" ||
-            file.originalname.toLowerCase().endsWith(".zip")
-        ) {
+        // The extension picks the archive format, so it has to be known
+        if (isArchive(file.originalname)) {
             cb(null, true);
         } else {
-            cb(new Error("Only zip files are allowed"), false);
+            cb(
+                new Error(
+                    `Only archives are allowed (${ARCHIVE_EXTENSIONS.join(
+                        ", "
+                    )})`
+                ),
+                false
+            );
         }
     },
     limits: { fileSize: MAX_FILE_SIZE },
@@ -0,0 +1,88 @@
+// Attachment reader: an email message (.eml or Outlook .msg) read like an
+// archive of its attachments. Unlike an archive the message itself stays a
+// file and is categorized by its text; its attachments are written to a
+// folder next to it (see extractArchive).
+const path = require("path");
+const { Readable } = require("stream");
+const fs = require("fs-extra");
+const { parseMessage } = require("../extractors/mail");
+const { parseMsg } = require("../extractors/msg");
+const { archiveError } = require("./safety");
+
+/**
+ * Give repeated attachment names a numbered suffix ("scan.pdf",
+ * "scan (2).pdf"), ignoring case
+ * @param {string} name
+ * @param {Set<string>} used - Lower-cased names already taken; updated
+ * @returns {string}
+ */
+function uniqueName(name, used) {
+    const ext = path.extname(name);
+    const base = name.slice(0, name.length - ext.length);
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = `${base} (${n})${ext}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+/**
+ * Parse a message and name its attachments
+ * @param {string} messagePath
+ * @returns {Promise<Array<{meta: Object, content: Buffer}>>}
+ */
+async function readAttachments(messagePath) {
+    const buffer = await fs.readFile(messagePath);
+    let message;
+    try {
+        message =
+            path.extname(messagePath).toLowerCase() === ".msg"
+                ? parseMsg(buffer)
+                : parseMessage(buffer);
+    } catch (error) {
+        throw archiveError(
+            "ARCHIVE_INVALID",
+            `Failed to read the message "${path.basename(messagePath)}": ${
+                error.message
+            }`
+        );
+    }
+    const used = new Set();
+    return message.attachments.map((file) => ({
+        meta: {
+            name: uniqueName(file.filename, used),
+            type: "file",
+            size: file.content.length,
+            compressedSize: null,
+            encrypted: false,
+        },
+        content: file.content,
+    }));
+}
+
+/**
+ * List the attachments of a message without extracting anything
+ * @param {string} messagePath
+ * @returns {Promise<Object[]>} - Entry metadata
+ */
+async function list(messagePath) {
+    return (await readAttachments(messagePath)).map((file) => file.meta);
+}
+
+/**
+ * Visit every attachment of a message in order
+ * @param {string} messagePath
+ * @param {(entry: Object, open: () => Readable) => Promise<void>} visit
+ */
+async function read(messagePath, visit) {
+    for (const { meta, content } of await readAttachments(messagePath)) {
+        await visit(meta, () => Readable.from([content]));
+    }
+}
+
+module.exports = {
+    extensions: [".eml", ".msg"],
+    list,
+    read,
+};
@@ -0,0 +1,382 @@
+// Archive extraction for uploads. Formats are picked by file extension and
+// read through a small reader interface (see zip.js, tar.js, sevenzip.js,
+// mbox.js); every entry goes through the same safety checks before it is
+// written.
+// Archives found inside the upload are expanded in place, up to
+// ARCHIVE_MAX_NESTING levels, under the same limits as the upload itself.
+// Mailboxes (.mbox) are archives of messages; the attachments of email
+// messages are extracted to a folder next to each message.
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const fs = require("fs-extra");
+const zipReader = require("./zip");
+const tarReader = require("./tar");
+const sevenZipReader = require("./sevenzip");
+const mboxReader = require("./mbox");
+const attachmentsReader = require("./attachments");
+const {
+    archiveError,
+    createLimits,
+    createGuard,
+    sizeLimit,
+} = require("./safety");
+
+const READERS = [zipReader, tarReader, sevenZipReader, mboxReader];
+const ARCHIVE_EXTENSIONS = READERS.flatMap((reader) => reader.extensions);
+// 0 leaves archives inside the upload as ordinary files
+const ARCHIVE_MAX_NESTING = Number.isNaN(
+    parseInt(process.env.ARCHIVE_MAX_NESTING, 10)
+)
+    ? 3
+    : parseInt(process.env.ARCHIVE_MAX_NESTING, 10);
+// Extract the attachments of email messages; they count as one level of
+// nesting
+const MAIL_ATTACHMENTS = process.env.MAIL_ATTACHMENTS !== "0";
+
+// A nested archive that can't be read is kept as a plain file; anything
+// else (traversal, bombs, links...) rejects the whole upload
+const NON_FATAL_NESTED = [
+    "ARCHIVE_INVALID",
+    "ARCHIVE_UNSUPPORTED_FORMAT",
+    "ARCHIVE_UNSUPPORTED_COMPRESSION",
+    "ARCHIVE_ENCRYPTED",
+];
+
+/**
+ * Find the reader for a file name, preferring the longest extension
+ * (".tar.gz" over ".gz")
+ * @param {string} filename
+ * @returns {{reader: Object, format: string}|null}
+ */
+function findReader(filename) {
+    const lower = filename.toLowerCase();
+    let found = null;
+    for (const reader of READERS) {
+        for (const extension of reader.extensions) {
+            if (
+                lower.endsWith(extension) &&
+                (!found || extension.length > found.format.length + 1)
+            ) {
+                found = { reader, format: extension.slice(1) };
+            }
+        }
+    }
+    return found;
+}
+
+/**
+ * Whether a file name has a supported archive extension
+ * @param {string} filename
+ * @returns {boolean}
+ */
+function isArchive(filename) {
+    return Boolean(findReader(filename));
+}
+
+/**
+ * Reader for a file name, or an ARCHIVE_UNSUPPORTED_FORMAT error
+ * @param {string} filename
+ * @returns {{reader: Object, format: string}}
+ */
+function requireReader(filename) {
+    const found = findReader(filename);
+    if (!found) {
+        throw archiveError(
+            "ARCHIVE_UNSUPPORTED_FORMAT",
+            `"${filename}" is not a supported archive. Supported formats: ${ARCHIVE_EXTENSIONS.join(
+                ", "
+            )}.`
+        );
+    }
+    if (found.reader.available && !found.reader.available()) {
+        throw archiveError(
+            "ARCHIVE_UNSUPPORTED_FORMAT",
+            `${found.format} archives are not supported on this server (the optional 7z-wasm package is not installed).`
+        );
+    }
+    return found;
+}
+
+/**
+ * Check the entries of formats that can be listed up front
+ * @param {Object} reader
+ * @param {string} filePath
+ * @param {Object} limits - Copied, so the real totals are left untouched
+ */
+async function preflight(reader, filePath, limits) {
+    if (!reader.list) return;
+    const { size } = await fs.stat(filePath);
+    const guard = createGuard(size, { ...limits });
+    for (const entry of await reader.list(filePath)) guard.check(entry);
+}
+
+/**
+ * Validate an archive without extracting it, so uploads can be rejected
+ * right away. Streamed formats (tar) are only checked during extraction.
+ * @param {string} filePath
+ * @param {string} [filename] - Name used to detect the format
+ * @throws {Error} - With an ARCHIVE_* code and a user-facing message
+ */
+async function inspectArchive(filePath, filename = path.basename(filePath)) {
+    const { reader } = requireReader(filename);
+    await preflight(reader, filePath, createLimits());
+}
+
+/**
+ * Get the deepest folder level below a directory
+ * @param {string} dir
+ * @param {number} current
+ * @returns {number}
+ */
+function getMaxDepth(dir, current = 1) {
+    const items = fs.readdirSync(dir);
+    let max = current;
+    for (const item of items) {
+        const itemPath = path.join(dir, item);
+        if (fs.statSync(itemPath).isDirectory()) {
+            max = Math.max(max, getMaxDepth(itemPath, current + 1));
+        }
+    }
+    return max;
+}
+
+/**
+ * Throw if the job has been cancelled
+ * @param {AbortSignal} [signal]
+ */
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        const error = new Error("Job was cancelled.");
+        error.code = "JOB_CANCELLED";
+        throw error;
+    }
+}
+
+/**
+ * Validate and extract one archive into a directory, entry by entry
+ * @param {string} filePath
+ * @param {string} filename - Name used to detect the format
+ * @param {string} destination
+ * @param {Object} options
+ * @param {Object} options.limits - Totals shared across nested archives
+ * @param {number} [options.maxFolderDepth] - Folder levels allowed inside
+ * @param {AbortSignal} [options.signal] - Stops between entries
+ * @param {Object} [reader] - Reader to use instead of the one for the
+ *   file name
+ * @returns {Promise<number>} - Number of files extracted
+ */
+async function extractOne(filePath, filename, destination, options, reader) {
+    if (!reader) ({ reader } = requireReader(filename));
+    await preflight(reader, filePath, options.limits);
+
+    const { size } = await fs.stat(filePath);
+    const guard = createGuard(size, options.limits);
+    const root = path.resolve(destination);
+    await fs.ensureDir(root);
+    let files = 0;
+    await reader.read(filePath, async (entry, open) => {
+        throwIfCancelled(options.signal);
+        const relativePath = guard.check(entry);
+        if (!relativePath) return;
+
+        const target = path.resolve(root, relativePath);
+        // safeEntryPath already rules this out; never write outside root
+        if (!target.startsWith(root + path.sep)) {
+            throw archiveError(
+                "ARCHIVE_PATH_TRAVERSAL",
+                `Archive entry "${entry.name}" points outside the archive.`
+            );
+        }
+        if (entry.type === "directory") {
+            await fs.ensureDir(target);
+            return;
+        }
+
+        await fs.ensureDir(path.dirname(target));
+        try {
+            await pipeline(
+                open(),
+                sizeLimit(entry.size, entry.name),
+                fs.createWriteStream(target, { flags: "wx" })
+            );
+        } catch (error) {
+            if (error.code && error.code.startsWith("ARCHIVE_")) throw error;
+            if (error.code === "EEXIST") {
+                throw archiveError(
+                    "ARCHIVE_DUPLICATE_ENTRY",
+                    `Archive entry "${entry.name}" appears more than once.`
+                );
+            }
+            throw archiveError(
+                "ARCHIVE_INVALID",
+                `Failed to extract "${entry.name}": ${error.message}`
+            );
+        }
+        files++;
+    });
+
+    if (
+        options.maxFolderDepth &&
+        getMaxDepth(destination) > options.maxFolderDepth
+    ) {
+        throw archiveError(
+            "ARCHIVE_TOO_DEEP",
+            `More than ${options.maxFolderDepth} folder levels detected in "${filename}". Only up to ${options.maxFolderDepth} levels are allowed.`
+        );
+    }
+    return files;
+}
+
+/**
+ * Validate and extract an uploaded archive, then expand the archives it
+ * contains. Each nested archive is replaced by a folder of the same name;
+ * each email message keeps its place and gets its attachments in a folder
+ * next to it ("invoice attachments" for "invoice.eml").
+ * @param {string} filePath
+ * @param {string} destination - Existing, empty directory
+ * @param {Object} [options]
+ * @param {string} [options.filename] - Name used to detect the format
+ * @param {number} [options.maxFolderDepth] - Folder levels allowed inside
+ *   each archive
+ * @param {number} [options.maxNesting] - Levels of nested archives to expand
+ * @param {AbortSignal} [options.signal] - Stops between entries
+ * @returns {Promise<{files: number, archives: Object[], messages:
+ *   Object[]}>} - archives lists every expanded (or unreadable) nested
+ *   archive as { path, format, parent, depth, error? }, messages every
+ *   message with attachments (or an unreadable one) as { path,
+ *   attachments, files, parent, depth, error? }, where `attachments` is
+ *   the folder holding them; paths are relative to destination
+ * @throws {Error} - With an ARCHIVE_* code and a user-facing message
+ */
+async function extractArchive(filePath, destination, options = {}) {
+    const {
+        filename = path.basename(filePath),
+        maxNesting = ARCHIVE_MAX_NESTING,
+    } = options;
+    const settings = {
+        limits: createLimits(),
+        maxFolderDepth: options.maxFolderDepth,
+        signal: options.signal,
+    };
+    const root = path.resolve(destination);
+    const archives = [];
+    const messages = [];
+    let files = await extractOne(filePath, filename, root, settings);
+    const relative = (itemPath) =>
+        path.relative(root, itemPath).split(path.sep).join("/");
+
+    /**
+     * Extract a message's attachments to a folder next to it
+     * @param {string} itemPath
+     * @param {string|null} parent - Enclosing nested archive, if any
+     * @param {number} depth - Nesting level of the attachments
+     */
+    async function expandMessage(itemPath, parent, depth) {
+        const record = { path: relative(itemPath), parent, depth };
+        const base = itemPath.slice(0, -path.extname(itemPath).length);
+        let folder = `${base} attachments`;
+        for (let n = 2; await fs.pathExists(folder); n++) {
+            folder = `${base} attachments (${n})`;
+        }
+        let count;
+        try {
+            count = await extractOne(
+                itemPath,
+                path.basename(itemPath),
+                folder,
+                settings,
+                attachmentsReader
+            );
+        } catch (error) {
+            await fs.remove(folder);
+            if (!NON_FATAL_NESTED.includes(error.code)) throw error;
+            console.warn(
+                `Keeping the attachments of ${record.path} in the message: ${error.message}`
+            );
+            messages.push({ ...record, error: error.message });
+            return;
+        }
+        if (count === 0) {
+            await fs.remove(folder);
+            return;
+        }
+        files += count;
+        messages.push({
+            ...record,
+            attachments: relative(folder),
+            files: count,
+        });
+        await expand(folder, parent, depth + 1);
+    }
+
+    /**
+     * Expand the archives below a directory
+     * @param {string} dir
+     * @param {string|null} parent - Enclosing nested archive, if any
+     * @param {number} depth - Nesting level of archives found here
+     */
+    async function expand(dir, parent, depth) {
+        for (const item of await fs.readdir(dir)) {
+            const itemPath = path.join(dir, item);
+            if ((await fs.stat(itemPath)).isDirectory()) {
+                await expand(itemPath, parent, depth);
+                continue;
+            }
+            if (depth > maxNesting) continue;
+            if (
+                MAIL_ATTACHMENTS &&
+                attachmentsReader.extensions.includes(
+                    path.extname(item).toLowerCase()
+                )
+            ) {
+                await expandMessage(itemPath, parent, depth);
+                continue;
+            }
+            const found = findReader(item);
+            if (!found) continue;
+
+            const archivePath = relative(itemPath);
+            const record = {
+                path: archivePath,
+                format: found.format,
+                parent,
+                depth,
+            };
+            const staging = `${itemPath}.extracting`;
+            try {
+                const count = await extractOne(
+                    itemPath,
+                    item,
+                    staging,
+                    settings
+                );
+                // The archive itself is replaced by its contents
+                files += count - 1;
+            } catch (error) {
+                await fs.remove(staging);
+                if (!NON_FATAL_NESTED.includes(error.code)) throw error;
+                console.warn(
+                    `Keeping nested archive ${archivePath} as a file: ${error.message}`
+                );
+                archives.push({ ...record, error: error.message });
+                continue;
+            }
+            await fs.remove(itemPath);
+            await fs.move(staging, itemPath);
+            archives.push(record);
+            await expand(itemPath, archivePath, depth + 1);
+        }
+    }
+
+    if (maxNesting > 0) await expand(root, null, 1);
+    return { files, archives, messages };
+}
+
+module.exports = {
+    extractArchive,
+    inspectArchive,
+    isArchive,
+    ARCHIVE_EXTENSIONS,
+    ARCHIVE_MAX_NESTING,
+    MAIL_ATTACHMENTS,
+};
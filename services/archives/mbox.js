@@ -0,0 +1,80 @@
+// Mbox reader: a mailbox is read like an archive of its messages, one .eml
+// entry per message, numbered in mailbox order and named after the subject
+// ("0001 Invoice March.eml"). The messages' attachments are extracted like
+// those of any other message (see attachments.js).
+const path = require("path");
+const { Readable } = require("stream");
+const fs = require("fs-extra");
+const {
+    splitMbox,
+    splitMessage,
+    parseHeaders,
+    attachmentName,
+} = require("../extractors/mail");
+const { archiveError } = require("./safety");
+
+// Characters of the subject kept in a message's file name
+const MAX_SUBJECT_LENGTH = 80;
+
+/**
+ * Split a mailbox into its messages
+ * @param {string} mboxPath
+ * @returns {Promise<Array<{meta: Object, content: Buffer}>>}
+ */
+async function readMessages(mboxPath) {
+    const messages = splitMbox(await fs.readFile(mboxPath));
+    if (messages.length === 0) {
+        throw archiveError(
+            "ARCHIVE_INVALID",
+            `"${path.basename(
+                mboxPath
+            )}" is not a mailbox: no message starts with a "From " line.`
+        );
+    }
+    const digits = Math.max(4, String(messages.length).length);
+    return messages.map((content, i) => {
+        const headers = parseHeaders(splitMessage(content).head);
+        const subject = attachmentName((headers.subject || [""])[0])
+            .slice(0, MAX_SUBJECT_LENGTH)
+            .trim();
+        const number = String(i + 1).padStart(digits, "0");
+        return {
+            meta: {
+                name: `${number}${subject ? ` ${subject}` : ""}.eml`,
+                type: "file",
+                size: content.length,
+                compressedSize: null,
+                encrypted: false,
+            },
+            content,
+        };
+    });
+}
+
+/**
+ * List the messages of a mailbox without extracting anything
+ * @param {string} mboxPath
+ * @returns {Promise<Object[]>} - Entry metadata
+ */
+async function list(mboxPath) {
+    return (await readMessages(mboxPath)).map((message) => message.meta);
+}
+
+/**
+ * Visit every message of a mailbox in order
+ * @param {string} mboxPath
+ * @param {(entry: Object, open: () => Readable) => Promise<void>} visit
+ */
+async function read(mboxPath, visit) {
+    const messages = await readMessages(mboxPath);
+    console.log(`Mailbox contains ${messages.length} messages`);
+    for (const { meta, content } of messages) {
+        await visit(meta, () => Readable.from([content]));
+    }
+}
+
+module.exports = {
+    extensions: [".mbox"],
+    list,
+    read,
+};
@@ -0,0 +1,199 @@
+// Limits shared by every archive format. Readers describe each entry with a
+// small metadata object and the guard decides whether it may be written.
+// The totals are shared with nested archives so an archive inside an archive
+// can't be used to get around them.
+const { Transform } = require("stream");
+
+const MB = 1024 * 1024;
+const ARCHIVE_MAX_ENTRIES =
+    parseInt(process.env.ARCHIVE_MAX_ENTRIES, 10) || 5000;
+const ARCHIVE_MAX_UNCOMPRESSED_MB =
+    parseFloat(process.env.ARCHIVE_MAX_UNCOMPRESSED_MB) || 500;
+const ARCHIVE_MAX_ENTRY_MB =
+    parseFloat(process.env.ARCHIVE_MAX_ENTRY_MB) || 100;
+// Uncompressed/compressed size; legitimate documents rarely exceed ~20
+const ARCHIVE_MAX_RATIO = parseFloat(process.env.ARCHIVE_MAX_RATIO) || 100;
+// Entries this small are exempt from the ratio check (e.g. a 1 KB file of
+// spaces), their absolute size is harmless
+const RATIO_MIN_SIZE = 1 * MB;
+
+/**
+ * Error for a rejected archive; `code` tells the reasons apart and the
+ * message is meant for the user
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function archiveError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Validate an entry name and turn it into a safe relative path
+ * @param {string} name - Entry name as stored in the archive
+ * @returns {string} - Relative path with "/" separators
+ */
+function safeEntryPath(name) {
+    if (name.includes("\0")) {
+        throw archiveError(
+            "ARCHIVE_INVALID_NAME",
+            `Archive entry "${name}" has an invalid name.`
+        );
+    }
+    // Some tools store Windows separators
+    const normalized = name.replace(/\\/g, "/");
+    if (normalized.startsWith("/") || /^[a-zA-Z]:/.test(normalized)) {
+        throw archiveError(
+            "ARCHIVE_ABSOLUTE_PATH",
+            `Archive entry "${name}" has an absolute path; only relative paths are allowed.`
+        );
+    }
+    const segments = normalized.split("/").filter((s) => s && s !== ".");
+    if (segments.includes("..")) {
+        throw archiveError(
+            "ARCHIVE_PATH_TRAVERSAL",
+            `Archive entry "${name}" points outside the archive ("..").`
+        );
+    }
+    return segments.join("/");
+}
+
+/**
+ * Running totals for one upload, including its nested archives
+ * @returns {{entries: number, totalSize: number}}
+ */
+function createLimits() {
+    return { entries: 0, totalSize: 0 };
+}
+
+/**
+ * Entry checker for one archive
+ * @param {number} archiveSize - Size of the archive file in bytes
+ * @param {Object} [limits] - Totals shared with the enclosing upload
+ * @returns {{check: (entry: Object) => string}}
+ */
+function createGuard(archiveSize, limits = createLimits()) {
+    let archiveTotal = 0;
+
+    /**
+     * Validate one entry and count it against the limits
+     * @param {Object} entry
+     * @param {string} entry.name - Name as stored in the archive
+     * @param {string} entry.type - "file", "directory", "symlink" or "special"
+     * @param {number} [entry.size] - Declared uncompressed size
+     * @param {number|null} [entry.compressedSize] - When the format stores it
+     * @param {boolean} [entry.encrypted]
+     * @returns {string} - Safe relative path; "" for the archive root
+     */
+    function check(entry) {
+        const { name } = entry;
+        const relativePath = safeEntryPath(name);
+        if (!relativePath) return "";
+
+        if (++limits.entries > ARCHIVE_MAX_ENTRIES) {
+            throw archiveError(
+                "ARCHIVE_TOO_MANY_ENTRIES",
+                `The archive contains more than ${ARCHIVE_MAX_ENTRIES} entries; at most ${ARCHIVE_MAX_ENTRIES} are allowed.`
+            );
+        }
+        if (entry.type === "symlink") {
+            throw archiveError(
+                "ARCHIVE_SYMLINK",
+                `Archive entry "${name}" is a symbolic link; links are not allowed.`
+            );
+        }
+        if (entry.type !== "file" && entry.type !== "directory") {
+            throw archiveError(
+                "ARCHIVE_SPECIAL_FILE",
+                `Archive entry "${name}" is not a regular file or folder.`
+            );
+        }
+        if (entry.encrypted) {
+            throw archiveError(
+                "ARCHIVE_ENCRYPTED",
+                `Archive entry "${name}" is password-protected; encrypted archives are not supported.`
+            );
+        }
+        if (entry.type === "directory") return relativePath;
+
+        const size = entry.size || 0;
+        if (size > ARCHIVE_MAX_ENTRY_MB * MB) {
+            throw archiveError(
+                "ARCHIVE_ENTRY_TOO_LARGE",
+                `Archive entry "${name}" is ${(size / MB).toFixed(
+                    1
+                )} MB uncompressed; at most ${ARCHIVE_MAX_ENTRY_MB} MB per file is allowed.`
+            );
+        }
+        if (
+            entry.compressedSize != null &&
+            size > RATIO_MIN_SIZE &&
+            size / Math.max(entry.compressedSize, 1) > ARCHIVE_MAX_RATIO
+        ) {
+            throw archiveError(
+                "ARCHIVE_COMPRESSION_RATIO",
+                `Archive entry "${name}" expands ${Math.round(
+                    size / Math.max(entry.compressedSize, 1)
+                )}x when uncompressed; at most ${ARCHIVE_MAX_RATIO}x is allowed.`
+            );
+        }
+
+        limits.totalSize += size;
+        archiveTotal += size;
+        if (limits.totalSize > ARCHIVE_MAX_UNCOMPRESSED_MB * MB) {
+            throw archiveError(
+                "ARCHIVE_TOO_LARGE",
+                `The archive is more than ${ARCHIVE_MAX_UNCOMPRESSED_MB} MB uncompressed; at most ${ARCHIVE_MAX_UNCOMPRESSED_MB} MB is allowed.`
+            );
+        }
+        // Formats like tar.gz don't store per-entry compressed sizes, so the
+        // whole archive is also compared with its size on disk
+        if (
+            archiveTotal > RATIO_MIN_SIZE &&
+            archiveTotal / Math.max(archiveSize, 1) > ARCHIVE_MAX_RATIO
+        ) {
+            throw archiveError(
+                "ARCHIVE_COMPRESSION_RATIO",
+                `The archive expands more than ${ARCHIVE_MAX_RATIO}x when uncompressed; at most ${ARCHIVE_MAX_RATIO}x is allowed.`
+            );
+        }
+        return relativePath;
+    }
+
+    return { check };
+}
+
+/**
+ * Stream that fails once more than `limit` bytes have passed through, so a
+ * header that understates the size can't be used to fill the disk
+ * @param {number} limit
+ * @param {string} name - Entry name for the error message
+ * @returns {Transform}
+ */
+function sizeLimit(limit, name) {
+    let seen = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            seen += chunk.length;
+            if (seen > limit) {
+                return callback(
+                    archiveError(
+                        "ARCHIVE_SIZE_MISMATCH",
+                        `Archive entry "${name}" is larger than its header declares; the archive may be malicious.`
+                    )
+                );
+            }
+            callback(null, chunk);
+        },
+    });
+}
+
+module.exports = {
+    archiveError,
+    safeEntryPath,
+    createLimits,
+    createGuard,
+    sizeLimit,
+};
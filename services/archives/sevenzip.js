@@ -0,0 +1,191 @@
+// 7z and RAR reader backed by 7-Zip compiled to WebAssembly (the optional
+// 7z-wasm package). The archive's folder is mounted read-only, the listing is
+// validated first, then entries are extracted one at a time into the
+// in-memory file system and handed over as streams.
+const path = require("path");
+const { Readable } = require("stream");
+const { archiveError } = require("./safety");
+
+let factory;
+
+/**
+ * Load 7z-wasm once; null when the optional dependency isn't installed
+ * @returns {Function|null}
+ */
+function loadFactory() {
+    if (factory === undefined) {
+        try {
+            factory = require("7z-wasm");
+        } catch {
+            factory = null;
+        }
+    }
+    return factory;
+}
+
+/**
+ * Whether 7z and RAR archives can be read on this server
+ * @returns {boolean}
+ */
+function available() {
+    return Boolean(loadFactory());
+}
+
+/**
+ * Map the "Attributes" column of a listing to the safety checks' entry types
+ * @param {Object} item - Parsed listing block
+ * @returns {string}
+ */
+function entryType(item) {
+    // e.g. "D drwxr-xr-x", "A -rw-r--r--"; the Unix part is optional
+    const match = /^([A-Z]*)\s*(?:([-dlcbps])[rwxsStT-]{9})?/.exec(
+        item.Attributes || ""
+    );
+    const unixType = match && match[2];
+    if (unixType === "l") return "symlink";
+    if (unixType && unixType !== "-" && unixType !== "d") return "special";
+    if (
+        unixType === "d" ||
+        item.Folder === "+" ||
+        (match && match[1].includes("D"))
+    ) {
+        return "directory";
+    }
+    return "file";
+}
+
+/**
+ * Parse `7zz l -slt` output into one object per entry
+ * @param {string[]} lines
+ * @returns {Object[]}
+ */
+function parseListing(lines) {
+    const start = lines.indexOf("----------");
+    const items = [];
+    let item = null;
+    for (const line of lines.slice(start + 1)) {
+        const separator = line.indexOf(" = ");
+        if (separator === -1) {
+            item = null;
+            continue;
+        }
+        if (!item) {
+            item = {};
+            items.push(item);
+        }
+        item[line.slice(0, separator)] = line.slice(separator + 3);
+    }
+    return items.filter((entry) => entry.Path !== undefined);
+}
+
+/**
+ * Start a 7-Zip instance with the archive's folder mounted at /in
+ * @param {string} archivePath
+ * @returns {Promise<{run: (args: string[]) => string[], archive: string, FS: Object}>}
+ */
+async function openArchive(archivePath) {
+    const SevenZip = loadFactory();
+    if (!SevenZip) {
+        throw archiveError(
+            "ARCHIVE_UNSUPPORTED_FORMAT",
+            "7z and RAR archives are not supported on this server (the optional 7z-wasm package is not installed)."
+        );
+    }
+    const output = [];
+    const sevenZip = await SevenZip({
+        print: (line) => output.push(line),
+        printErr: (line) => output.push(line),
+    });
+    const { FS } = sevenZip;
+    FS.mkdir("/in");
+    FS.mount(
+        sevenZip.NODEFS,
+        { root: path.dirname(path.resolve(archivePath)) },
+        "/in"
+    );
+    FS.mkdir("/out");
+
+    /**
+     * Run a 7-Zip command; failures exit by throwing
+     * @param {string[]} args
+     * @returns {string[]} - Output lines
+     */
+    function run(args) {
+        output.length = 0;
+        try {
+            // A bogus password makes encrypted archives fail instead of
+            // waiting for input; -spd disables wildcard matching in names
+            sevenZip.callMain([...args, "-pinvalid", "-spd", "-y"]);
+        } catch {
+            const text = output.join("\n");
+            throw /password|encrypted/i.test(text)
+                ? archiveError(
+                      "ARCHIVE_ENCRYPTED",
+                      "The archive is password-protected; encrypted archives are not supported."
+                  )
+                : archiveError(
+                      "ARCHIVE_INVALID",
+                      "Failed to read archive. The file may be corrupted, password-protected or not a valid 7z/RAR archive."
+                  );
+        }
+        return output.slice();
+    }
+
+    return { run, FS, archive: `/in/${path.basename(archivePath)}` };
+}
+
+/**
+ * Describe a listing block for the safety checks
+ * @param {Object} item
+ * @returns {Object} - { name, type, size, compressedSize, encrypted }
+ */
+function entryMeta(item) {
+    const packed = item["Packed Size"];
+    return {
+        name: item.Path,
+        type: entryType(item),
+        size: parseInt(item.Size, 10) || 0,
+        // Solid archives only report a packed size for the first file of
+        // each block
+        compressedSize: packed ? parseInt(packed, 10) : null,
+        encrypted: item.Encrypted === "+",
+    };
+}
+
+/**
+ * List the entries of a 7z or RAR archive without extracting anything
+ * @param {string} archivePath
+ * @returns {Promise<Object[]>} - Entry metadata
+ */
+async function list(archivePath) {
+    const { run, archive } = await openArchive(archivePath);
+    return parseListing(run(["l", "-slt", archive])).map(entryMeta);
+}
+
+/**
+ * Visit every entry of a 7z or RAR archive in order
+ * @param {string} archivePath
+ * @param {(entry: Object, open: () => Readable) => Promise<void>} visit
+ */
+async function read(archivePath, visit) {
+    const { run, FS, archive } = await openArchive(archivePath);
+    const items = parseListing(run(["l", "-slt", archive]));
+    console.log(`Archive contains ${items.length} entries`);
+    for (const item of items) {
+        await visit(entryMeta(item), () => {
+            // One entry at a time keeps memory bounded by the entry size
+            run(["x", "-o/out", archive, item.Path]);
+            const target = `/out/${item.Path}`;
+            const data = FS.readFile(target);
+            FS.unlink(target);
+            return Readable.from([Buffer.from(data)]);
+        });
+    }
+}
+
+module.exports = {
+    extensions: [".7z", ".rar"],
+    available,
+    list,
+    read,
+};
@@ -0,0 +1,96 @@
+// Tar reader for .tar, .tar.gz and .tgz. Tar has no central directory, so
+// entries are checked one header at a time while the archive streams past.
+const zlib = require("zlib");
+const { PassThrough, pipeline } = require("stream");
+const fs = require("fs-extra");
+const tar = require("tar-stream");
+const { archiveError } = require("./safety");
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+/**
+ * Map a tar header type to the safety checks' entry types
+ * @param {string} type - tar-stream header type
+ * @returns {string}
+ */
+function entryType(type) {
+    if (type === "file" || type === "contiguous-file") return "file";
+    if (type === "directory") return "directory";
+    // Hard links can point anywhere in the archive, treat them like symlinks
+    if (type === "symlink" || type === "link") return "symlink";
+    return "special";
+}
+
+/**
+ * Whether a file starts with the gzip magic bytes
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function isGzip(filePath) {
+    const handle = await fs.open(filePath, "r");
+    try {
+        const buffer = Buffer.alloc(2);
+        const { bytesRead } = await fs.read(handle, buffer, 0, 2, 0);
+        return bytesRead === 2 && buffer.equals(GZIP_MAGIC);
+    } finally {
+        await fs.close(handle);
+    }
+}
+
+/**
+ * Visit every entry of a tar (optionally gzipped) in order
+ * @param {string} tarPath
+ * @param {(entry: Object, open: () => Readable) => Promise<void>} visit
+ */
+async function read(tarPath, visit) {
+    const extract = tar.extract();
+    pipeline(
+        fs.createReadStream(tarPath),
+        // Sniff instead of trusting the extension; some .tar files are gzipped
+        (await isGzip(tarPath)) ? zlib.createGunzip() : new PassThrough(),
+        extract,
+        () => {}
+    );
+
+    let count = 0;
+    let visitError = null;
+    try {
+        for await (const entry of extract) {
+            const { header } = entry;
+            let opened = false;
+            try {
+                await visit(
+                    {
+                        name: header.name,
+                        type: entryType(header.type),
+                        size: header.size,
+                        compressedSize: null,
+                        encrypted: false,
+                    },
+                    () => {
+                        opened = true;
+                        return entry;
+                    }
+                );
+            } catch (error) {
+                visitError = error;
+                throw error;
+            }
+            // Skipped entries still have to be read to reach the next header
+            if (!opened) entry.resume();
+            count++;
+        }
+    } catch (error) {
+        if (error === visitError) throw error;
+        throw archiveError(
+            "ARCHIVE_INVALID",
+            `Failed to read tar file: ${error.message}. The file may be corrupted or not a valid tar archive.`
+        );
+    }
+    console.log(`Tar file contains ${count} entries`);
+}
+
+module.exports = {
+    extensions: [".tar", ".tar.gz", ".tgz"],
+    read,
+};
@@ -0,0 +1,108 @@
+// Zip reader. The central directory is read up front, so the whole archive
+// can be validated before anything is written.
+const zlib = require("zlib");
+const { Readable, PassThrough } = require("stream");
+const AdmZip = require("adm-zip");
+const { archiveError } = require("./safety");
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_ENCRYPTED = 0x1;
+const S_IFMT = 0o170000;
+const S_IFREG = 0o100000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+
+/**
+ * Unix file type bits of an entry, when the archive was made on Unix
+ * @param {Object} entry - adm-zip entry
+ * @returns {number|null}
+ */
+function unixFileType(entry) {
+    // The "version made by" high byte is the host system; 3 is Unix
+    const madeBy = entry.header.made >> 8;
+    if (madeBy !== 3) return null;
+    const mode = (entry.header.attr >>> 16) & S_IFMT;
+    return mode || null;
+}
+
+/**
+ * Describe an adm-zip entry for the safety checks
+ * @param {Object} entry - adm-zip entry
+ * @returns {Object} - { name, type, size, compressedSize, encrypted }
+ */
+function entryMeta(entry) {
+    const mode = unixFileType(entry);
+    let type = entry.isDirectory ? "directory" : "file";
+    if (mode === S_IFLNK) type = "symlink";
+    else if (mode && mode !== S_IFREG && mode !== S_IFDIR) type = "special";
+
+    const encrypted = Boolean(entry.header.flags & FLAG_ENCRYPTED);
+    if (
+        type === "file" &&
+        !encrypted &&
+        ![METHOD_STORED, METHOD_DEFLATED].includes(entry.header.method)
+    ) {
+        throw archiveError(
+            "ARCHIVE_UNSUPPORTED_COMPRESSION",
+            `Archive entry "${entry.entryName}" uses an unsupported compression method (${entry.header.method}).`
+        );
+    }
+    return {
+        name: entry.entryName,
+        type,
+        size: entry.header.size,
+        compressedSize: entry.header.compressedSize,
+        encrypted,
+    };
+}
+
+/**
+ * Read a zip's central directory
+ * @param {string} zipPath
+ * @returns {Object[]} - adm-zip entries
+ */
+function readZipEntries(zipPath) {
+    try {
+        return new AdmZip(zipPath).getEntries();
+    } catch (error) {
+        throw archiveError(
+            "ARCHIVE_INVALID",
+            "Failed to read zip file. The file may be corrupted or not a valid zip archive."
+        );
+    }
+}
+
+/**
+ * List the entries of a zip without extracting anything
+ * @param {string} zipPath
+ * @returns {Promise<Object[]>} - Entry metadata
+ */
+async function list(zipPath) {
+    return readZipEntries(zipPath).map(entryMeta);
+}
+
+/**
+ * Visit every entry of a zip in order
+ * @param {string} zipPath
+ * @param {(entry: Object, open: () => Readable) => Promise<void>} visit
+ */
+async function read(zipPath, visit) {
+    const entries = readZipEntries(zipPath);
+    console.log(`Zip file contains ${entries.length} entries`);
+    for (const entry of entries) {
+        await visit(entryMeta(entry), () =>
+            Readable.from([entry.getCompressedData()]).pipe(
+                entry.header.method === METHOD_DEFLATED
+                    ? zlib.createInflateRaw()
+                    : new PassThrough()
+            )
+        );
+    }
+}
+
+module.exports = {
+    extensions: [".zip"],
+    list,
+    read,
+};
@@ -0,0 +1,214 @@
+// Persistent cache of model answers, so re-uploading the same files doesn't
+// pay for the same calls again. Entries are keyed by the file's content hash
+// plus everything that can change the answer: provider, model, prompt
+// version, the token budget content is sampled to and taxonomy version (and
+// the few-shot examples shown, if any).
+// One JSON document per entry.
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs-extra");
+const { PROMPT_VERSION } = require("./providers/prompt");
+
+const DATA_DIR = process.env.DATA_DIR || "data";
+const CACHE_DIR = path.join(DATA_DIR, "cache");
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== "0";
+
+fs.ensureDirSync(CACHE_DIR);
+
+// Counters since the process started
+const stats = {
+    hits: 0,
+    misses: 0,
+    writes: 0,
+    since: new Date().toISOString(),
+};
+
+/**
+ * Keys become file names, so only accept hex digests
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isValidKey(key) {
+    return typeof key === "string" && /^[a-f0-9]{64}$/.test(key);
+}
+
+function entryFile(key) {
+    return path.join(CACHE_DIR, `${key}.json`);
+}
+
+/**
+ * SHA-256 of a file's content
+ * @param {string} filePath
+ * @returns {Promise<string>} - Hex digest
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash("sha256");
+        fs.createReadStream(filePath)
+            .on("error", reject)
+            .on("data", (chunk) => hash.update(chunk))
+            .on("end", () => resolve(hash.digest("hex")));
+    });
+}
+
+/**
+ * Describe what a cached answer depends on, besides the content
+ * @param {Object} provider - { name, model, contentTokens }
+ * @param {Object} [taxonomy]
+ * @param {Object[]} [examples] - Few-shot examples in the prompt
+ * @returns {Object}
+ */
+function cacheScope(provider, taxonomy, examples = []) {
+    return {
+        provider: provider.name,
+        model: provider.model,
+        promptVersion: PROMPT_VERSION,
+        contentTokens: provider.contentTokens,
+        taxonomy: taxonomy ? `${taxonomy.name}@${taxonomy.version}` : null,
+        examples:
+            examples.length > 0
+                ? examples.map((example) => example.id).join(",")
+                : null,
+    };
+}
+
+/**
+ * Cache key for a file's content within a scope
+ * @param {string} contentHash
+ * @param {Object} scope - From cacheScope; a `task` tells answers to other
+ *   questions apart (see naming.js)
+ * @returns {string}
+ */
+function cacheKey(contentHash, scope) {
+    const parts = [
+        contentHash,
+        scope.provider,
+        scope.model,
+        scope.promptVersion,
+        scope.contentTokens,
+        scope.taxonomy,
+    ];
+    // Only prompts with examples add them, so existing keys stay valid
+    if (scope.examples) parts.push(scope.examples);
+    // Answers to other questions than the category, e.g. extracted fields
+    if (scope.task) parts.push(scope.task);
+    return crypto
+        .createHash("sha256")
+        .update(JSON.stringify(parts))
+        .digest("hex");
+}
+
+/**
+ * Look up a cached answer, counting the hit or miss
+ * @param {string} key
+ * @returns {Promise<Object|null>} - The cache entry
+ */
+async function getCached(key) {
+    if (!CACHE_ENABLED || !isValidKey(key)) return null;
+    try {
+        const entry = await fs.readJson(entryFile(key));
+        stats.hits++;
+        return entry;
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            console.error(`Unreadable cache entry ${key}:`, error.message);
+        }
+        stats.misses++;
+        return null;
+    }
+}
+
+/**
+ * Store a model answer
+ * @param {string} key
+ * @param {Object} entry - { raw, contentHash, filename, ...scope }
+ */
+async function setCached(key, entry) {
+    if (!CACHE_ENABLED || !isValidKey(key)) return;
+    const file = entryFile(key);
+    try {
+        // Write then rename so concurrent readers never see partial JSON
+        await fs.writeJson(`${file}.tmp`, {
+            key,
+            ...entry,
+            createdAt: new Date().toISOString(),
+        });
+        await fs.move(`${file}.tmp`, file, { overwrite: true });
+        stats.writes++;
+    } catch (error) {
+        console.error(`Failed to write cache entry ${key}:`, error.message);
+    }
+}
+
+/**
+ * Hit/miss counters plus the size of the store
+ * @returns {Promise<Object>}
+ */
+async function getStats() {
+    let entries = 0;
+    let bytes = 0;
+    for (const entry of await fs.readdir(CACHE_DIR)) {
+        if (!entry.endsWith(".json")) continue;
+        entries++;
+        bytes += (await fs.stat(path.join(CACHE_DIR, entry))).size;
+    }
+    const lookups = stats.hits + stats.misses;
+    return {
+        enabled: CACHE_ENABLED,
+        ...stats,
+        hitRate: lookups > 0 ? stats.hits / lookups : null,
+        entries,
+        bytes,
+    };
+}
+
+/**
+ * Remove one entry
+ * @param {string} key
+ * @returns {Promise<boolean>} - Whether the entry existed
+ */
+async function invalidateKey(key) {
+    if (!isValidKey(key) || !(await fs.pathExists(entryFile(key)))) {
+        return false;
+    }
+    await fs.remove(entryFile(key));
+    return true;
+}
+
+/**
+ * Remove every entry matching all of the given fields, or everything when
+ * no filter is given
+ * @param {Object} [filter] - Any of provider, model, taxonomy, promptVersion,
+ *   contentHash
+ * @returns {Promise<number>} - Number of entries removed
+ */
+async function invalidate(filter = {}) {
+    const fields = Object.keys(filter).filter((f) => filter[f] !== undefined);
+    let removed = 0;
+    for (const entry of await fs.readdir(CACHE_DIR)) {
+        if (!entry.endsWith(".json")) continue;
+        const file = path.join(CACHE_DIR, entry);
+        if (fields.length > 0) {
+            const record = await fs.readJson(file).catch(() => null);
+            // Entries that can't be read are dropped with any filter
+            if (record && fields.some((f) => String(record[f]) !== filter[f])) {
+                continue;
+            }
+        }
+        await fs.remove(file);
+        removed++;
+    }
+    return removed;
+}
+
+module.exports = {
+    hashFile,
+    cacheScope,
+    cacheKey,
+    getCached,
+    setCached,
+    getStats,
+    invalidate,
+    invalidateKey,
+    CACHE_ENABLED,
+};
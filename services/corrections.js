@@ -0,0 +1,59 @@
+// Log of manual corrections made while reviewing a preview. One JSON line
+// per re-filed file, so the log can be appended to cheaply and analysed
+// with ordinary tools.
+const path = require("path");
+const fs = require("fs-extra");
+
+const DATA_DIR = process.env.DATA_DIR || "data";
+const CORRECTIONS_FILE = path.join(DATA_DIR, "corrections.jsonl");
+
+fs.ensureDirSync(DATA_DIR);
+
+/**
+ * Append corrections to the log
+ * @param {Object[]} corrections - { sessionId, action, originalPath, name,
+ *   hash, from, to, modelCategory, at }; `action` is "move", "rename" or
+ *   "merge", `from`/`to` are group names and `modelCategory` is what the
+ *   model answered (null when a rule or fallback decided)
+ */
+async function recordCorrections(corrections) {
+    if (corrections.length === 0) return;
+    await fs.appendFile(
+        CORRECTIONS_FILE,
+        corrections.map((entry) => `${JSON.stringify(entry)}\n`).join("")
+    );
+}
+
+/**
+ * Read the logged corrections, oldest first
+ * @param {Object} [filter]
+ * @param {string} [filter.sessionId] - Only corrections of this session
+ * @returns {Promise<Object[]>}
+ */
+async function listCorrections(filter = {}) {
+    let text;
+    try {
+        text = await fs.readFile(CORRECTIONS_FILE, "utf8");
+    } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+    }
+    const corrections = [];
+    for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+            corrections.push(JSON.parse(line));
+        } catch {
+            // A torn last line after a crash; skip it
+        }
+    }
+    return filter.sessionId
+        ? corrections.filter((entry) => entry.sessionId === filter.sessionId)
+        : corrections;
+}
+
+module.exports = {
+    recordCorrections,
+    listCorrections,
+    CORRECTIONS_FILE,
+};
@@ -0,0 +1,244 @@
+// Duplicate detection: files with the same content hash are exact
+// duplicates; text files whose word shingles mostly overlap (estimated with
+// MinHash, candidates found with LSH banding) are near-duplicates, like
+// "final" and "final (1)" with a line changed. Each set of copies gets one
+// canonical file, the only one that is categorized.
+
+// What happens to duplicates in the result: "keep-one" leaves them out,
+// "group" puts them in a Duplicates folder inside their category and
+// "report" only lists them
+const DUPLICATE_POLICIES = ["keep-one", "group", "report"];
+const DUPLICATE_POLICY = (
+    process.env.DUPLICATE_POLICY || "report"
+).toLowerCase();
+const DUPLICATE_DETECTION = process.env.DUPLICATE_DETECTION !== "0";
+// Estimated share of shared shingles from which texts are near-duplicates;
+// 0 only detects exact duplicates
+const NEAR_DUPLICATE_THRESHOLD = parseFloat(
+    process.env.NEAR_DUPLICATE_THRESHOLD ?? "0.8"
+);
+// Folder for duplicates under the "group" policy
+const DUPLICATES_FOLDER = "Duplicates";
+
+// Words per shingle; texts with fewer words are not compared
+const SHINGLE_SIZE = 3;
+const MIN_WORDS = 20;
+// 64 hash functions in 16 bands of 4: pairs at 0.8 similarity share a band
+// with a probability of about 99.9%, pairs at 0.5 with about 64%
+const NUM_HASHES = 64;
+const BANDS = 16;
+const ROWS = NUM_HASHES / BANDS;
+
+// Fixed seeds, so signatures are comparable across runs
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) =>
+    mix32((i + 1) * 0x9e3779b9)
+);
+
+/**
+ * Murmur3 finalizer: spreads the bits of a 32-bit integer
+ * @param {number} h
+ * @returns {number} - Unsigned 32-bit integer
+ */
+function mix32(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text
+ * @returns {number} - Unsigned 32-bit integer
+ */
+function hashString(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * MinHash signature of a text's word shingles
+ * @param {string} text
+ * @returns {Uint32Array|null} - null when the text is too short to compare
+ */
+function minHash(text) {
+    const words = String(text)
+        .toLowerCase()
+        .match(/[\p{L}\p{N}]+/gu);
+    if (!words || words.length < MIN_WORDS) return null;
+
+    const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+    for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+        const shingle = hashString(words.slice(i, i + SHINGLE_SIZE).join(" "));
+        for (let j = 0; j < NUM_HASHES; j++) {
+            const value = mix32(shingle ^ SEEDS[j]);
+            if (value < signature[j]) signature[j] = value;
+        }
+    }
+    return signature;
+}
+
+/**
+ * Estimated Jaccard similarity of two signatures
+ * @param {Uint32Array} a
+ * @param {Uint32Array} b
+ * @returns {number}
+ */
+function estimateSimilarity(a, b) {
+    let equal = 0;
+    for (let i = 0; i < NUM_HASHES; i++) if (a[i] === b[i]) equal++;
+    return equal / NUM_HASHES;
+}
+
+// Names that mark a copy: "x (1)", "x copy", "x - Kopie 2", "x_v2"
+const COPY_MARKER =
+    /(\s*\(\d+\)|[\s_-]*(copy|kopie|copie|copia)(\s*\d+)?|[\s_-]+v\d+|[\s_-]+final)$/i;
+
+/**
+ * Sort key for picking the canonical file of a set: names without a copy
+ * marker first, then shorter names, then shallower paths
+ * @param {string} relativePath - "/" separated
+ * @returns {Array}
+ */
+function canonicalRank(relativePath) {
+    const name = relativePath.split("/").pop();
+    const base = name.replace(/\.[^.]*$/, "");
+    return [
+        COPY_MARKER.test(base) ? 1 : 0,
+        name.length,
+        relativePath.split("/").length,
+        relativePath,
+    ];
+}
+
+function compareRank(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] < b[i]) return -1;
+        if (a[i] > b[i]) return 1;
+    }
+    return 0;
+}
+
+/**
+ * Find exact and near-duplicate files
+ * @param {Array<{path: string, relativePath: string, hash: string,
+ *   signature: Uint32Array|null}>} files - `signature` is the MinHash of
+ *   the file's text, null for files without comparable text
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Overrides NEAR_DUPLICATE_THRESHOLD
+ * @returns {Map<string, {of: string, kind: string, similarity: number}>} -
+ *   For every duplicate: the path of its canonical file, "exact" or "near"
+ *   and the (estimated) similarity
+ */
+function findDuplicates(files, options = {}) {
+    const threshold = options.threshold ?? NEAR_DUPLICATE_THRESHOLD;
+
+    // One representative per distinct content
+    const byHash = new Map();
+    for (const file of files) {
+        if (!byHash.has(file.hash)) byHash.set(file.hash, []);
+        byHash.get(file.hash).push(file);
+    }
+    const representatives = [...byHash.values()].map((copies) => copies[0]);
+
+    // Near-duplicate sets of representatives, joined with union-find
+    const parent = representatives.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    if (threshold > 0) {
+        const buckets = new Map();
+        representatives.forEach(({ signature }, i) => {
+            if (!signature) return;
+            for (let band = 0; band < BANDS; band++) {
+                const key = `${band}:${signature
+                    .subarray(band * ROWS, (band + 1) * ROWS)
+                    .join(",")}`;
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(i);
+            }
+        });
+        const compared = new Set();
+        for (const members of buckets.values()) {
+            for (let x = 0; x < members.length; x++) {
+                for (let y = x + 1; y < members.length; y++) {
+                    const [i, j] = [members[x], members[y]];
+                    if (compared.has(`${i},${j}`)) continue;
+                    compared.add(`${i},${j}`);
+                    const value = estimateSimilarity(
+                        representatives[i].signature,
+                        representatives[j].signature
+                    );
+                    if (value >= threshold) parent[find(j)] = find(i);
+                }
+            }
+        }
+    }
+
+    const sets = new Map();
+    representatives.forEach((file, i) => {
+        const root = find(i);
+        if (!sets.has(root)) sets.set(root, []);
+        sets.get(root).push(...byHash.get(file.hash));
+    });
+
+    const duplicates = new Map();
+    for (const copies of sets.values()) {
+        if (copies.length < 2) continue;
+        const [canonical] = [...copies].sort((a, b) =>
+            compareRank(
+                canonicalRank(a.relativePath),
+                canonicalRank(b.relativePath)
+            )
+        );
+        for (const file of copies) {
+            if (file === canonical) continue;
+            const exact = file.hash === canonical.hash;
+            // Compared with the canonical file itself, also when the set
+            // was joined through a third file
+            const similarity = exact
+                ? 1
+                : estimateSimilarity(file.signature, canonical.signature);
+            duplicates.set(file.path, {
+                of: canonical.path,
+                kind: exact ? "exact" : "near",
+                similarity: Math.round(similarity * 100) / 100,
+            });
+        }
+    }
+    return duplicates;
+}
+
+/**
+ * Group of a duplicate under a policy
+ * @param {string|undefined} group - Group of its canonical file
+ * @param {string} [policy] - One of DUPLICATE_POLICIES; defaults to
+ *   DUPLICATE_POLICY
+ * @returns {string|undefined} - undefined leaves the file out of the result
+ */
+function duplicateGroup(group, policy = DUPLICATE_POLICY) {
+    if (!DUPLICATE_POLICIES.includes(policy)) {
+        throw new Error(
+            `Unknown duplicate policy "${policy}". Use one of: ${DUPLICATE_POLICIES.join(
+                ", "
+            )}`
+        );
+    }
+    if (!group || policy === "report") return group;
+    if (policy === "keep-one") return undefined;
+    return `${group}/${DUPLICATES_FOLDER}`;
+}
+
+module.exports = {
+    findDuplicates,
+    duplicateGroup,
+    minHash,
+    DUPLICATE_POLICIES,
+    DUPLICATE_POLICY,
+    DUPLICATE_DETECTION,
+    DUPLICATES_FOLDER,
+};
@@ -0,0 +1,275 @@
+// Labeled examples learned from corrections: a content excerpt plus the
+// category a person chose for it. New files that closely match an example
+// get its category directly; less similar ones are shown to the model as
+// few-shot examples. Similarity is plain TF-IDF, computed locally.
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs-extra");
+const { v4: uuidv4 } = require("uuid");
+const { createIndex } = require("./tfidf");
+
+const DATA_DIR = process.env.DATA_DIR || "data";
+const EXAMPLES_FILE = path.join(DATA_DIR, "examples.json");
+const EXAMPLES_ENABLED = process.env.EXAMPLES_ENABLED !== "0";
+// Files at least this similar to an example take its category without
+// asking the model; 0 disables direct matches
+const EXAMPLE_MATCH_THRESHOLD = parseFloat(
+    process.env.EXAMPLE_MATCH_THRESHOLD ?? "0.8"
+);
+// Most similar examples added to a prompt; 0 disables few-shot prompting
+const EXAMPLE_FEW_SHOT = parseInt(process.env.EXAMPLE_FEW_SHOT ?? "3", 10);
+// Examples less similar than this are not worth showing
+const EXAMPLE_MIN_SIMILARITY = parseFloat(
+    process.env.EXAMPLE_MIN_SIMILARITY ?? "0.2"
+);
+// Characters of content kept per example
+const EXAMPLE_EXCERPT_CHARS =
+    parseInt(process.env.EXAMPLE_EXCERPT_CHARS, 10) || 1000;
+const MAX_CATEGORY_LENGTH = 100;
+
+fs.ensureDirSync(DATA_DIR);
+
+let examples = null;
+// TF-IDF index per taxonomy scope, rebuilt after every change
+const indexes = new Map();
+// Writes run one after another so none is lost
+let writing = Promise.resolve();
+
+/**
+ * Error with a `code` the controller maps to a status
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function exampleError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Examples only apply within the taxonomy they were made for; free-form
+ * examples have the scope null
+ * @param {Object|string|null} [taxonomy] - Taxonomy or its name
+ * @returns {string|null}
+ */
+function taxonomyScope(taxonomy) {
+    if (!taxonomy) return null;
+    return typeof taxonomy === "string" ? taxonomy : taxonomy.name;
+}
+
+/**
+ * Load the examples file once
+ * @returns {Promise<Object[]>}
+ */
+async function load() {
+    if (examples) return examples;
+    try {
+        const stored = await fs.readJson(EXAMPLES_FILE);
+        examples = Array.isArray(stored.examples) ? stored.examples : [];
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            console.error("Unreadable examples file:", error.message);
+        }
+        examples = [];
+    }
+    return examples;
+}
+
+/**
+ * Write the examples file and drop the stale indexes
+ * @returns {Promise<void>}
+ */
+function save() {
+    indexes.clear();
+    const snapshot = JSON.stringify({ examples }, null, 2);
+    writing = writing.then(async () => {
+        // Write then rename so a crash never leaves partial JSON
+        await fs.writeFile(`${EXAMPLES_FILE}.tmp`, snapshot);
+        await fs.move(`${EXAMPLES_FILE}.tmp`, EXAMPLES_FILE, {
+            overwrite: true,
+        });
+    });
+    return writing;
+}
+
+/**
+ * Examples of a scope with their TF-IDF index
+ * @param {string|null} scope
+ * @returns {Promise<{examples: Object[], index: Object}>}
+ */
+async function scopeIndex(scope) {
+    await load();
+    if (!indexes.has(scope)) {
+        const scoped = examples.filter(
+            (example) => (example.taxonomy || null) === scope
+        );
+        indexes.set(scope, {
+            examples: scoped,
+            index: createIndex(scoped.map((example) => example.excerpt)),
+        });
+    }
+    return indexes.get(scope);
+}
+
+/**
+ * List the stored examples, newest first
+ * @param {Object} [filter]
+ * @param {string} [filter.taxonomy] - Only examples of this taxonomy;
+ *   "none" for free-form ones
+ * @returns {Promise<Object[]>}
+ */
+async function listExamples(filter = {}) {
+    await load();
+    let list = examples;
+    if (filter.taxonomy) {
+        const scope = filter.taxonomy === "none" ? null : filter.taxonomy;
+        list = list.filter((example) => (example.taxonomy || null) === scope);
+    }
+    return [...list].reverse();
+}
+
+/**
+ * Store labeled examples. An example for content that already has one in
+ * the same taxonomy replaces it, so the latest correction wins.
+ * @param {Object[]} entries - { content, category, filename, hash,
+ *   taxonomy, source, sessionId }; `content` is cut to
+ *   EXAMPLE_EXCERPT_CHARS, `hash` defaults to the SHA-256 of the content,
+ *   `taxonomy` is a taxonomy name (or null for free-form) and `source` is
+ *   "review" or "api"
+ * @returns {Promise<Object[]>} - The stored examples
+ */
+async function addExamples(entries) {
+    const added = entries.map((entry) => {
+        const excerpt =
+            typeof entry.content === "string"
+                ? entry.content.trim().slice(0, EXAMPLE_EXCERPT_CHARS)
+                : "";
+        // Segments trimmed as in review.js validateCategory
+        const category = (
+            typeof entry.category === "string" ? entry.category : ""
+        )
+            .split("/")
+            .map((segment) => segment.trim())
+            .join("/");
+        if (!excerpt) {
+            throw exampleError(
+                "INVALID_EXAMPLE",
+                "An example needs some text content."
+            );
+        }
+        if (!category || category.length > MAX_CATEGORY_LENGTH) {
+            throw exampleError(
+                "INVALID_EXAMPLE",
+                `An example needs a category of at most ${MAX_CATEGORY_LENGTH} characters.`
+            );
+        }
+        // The category becomes a folder of the output, like a review's
+        if (
+            /[\\:*?"<>|\x00-\x1f]/.test(category) ||
+            category
+                .split("/")
+                .some((segment) => !segment || /^\.+$/.test(segment))
+        ) {
+            throw exampleError(
+                "INVALID_EXAMPLE",
+                `"${category}" is not a valid category name; avoid \\ : * ? " < > | and empty or dot-only folder names.`
+            );
+        }
+        return {
+            id: uuidv4(),
+            category,
+            taxonomy: taxonomyScope(entry.taxonomy),
+            filename: entry.filename || null,
+            hash:
+                entry.hash ||
+                crypto.createHash("sha256").update(excerpt).digest("hex"),
+            excerpt,
+            source: entry.source || "api",
+            sessionId: entry.sessionId || null,
+            createdAt: new Date().toISOString(),
+        };
+    });
+    if (added.length === 0) return added;
+
+    await load();
+    const replaced = new Set(
+        added.map((example) => `${example.taxonomy}\n${example.hash}`)
+    );
+    examples = examples
+        .filter(
+            (example) =>
+                !replaced.has(`${example.taxonomy || null}\n${example.hash}`)
+        )
+        .concat(added);
+    await save();
+    return added;
+}
+
+/**
+ * Delete one example
+ * @param {string} id
+ * @returns {Promise<boolean>} - False when there was no such example
+ */
+async function deleteExample(id) {
+    await load();
+    const remaining = examples.filter((example) => example.id !== id);
+    if (remaining.length === examples.length) return false;
+    examples = remaining;
+    await save();
+    return true;
+}
+
+/**
+ * Whether there are examples that could apply to a run
+ * @param {Object} [taxonomy]
+ * @returns {Promise<boolean>}
+ */
+async function hasExamples(taxonomy) {
+    if (!EXAMPLES_ENABLED) return false;
+    return (await scopeIndex(taxonomyScope(taxonomy))).examples.length > 0;
+}
+
+/**
+ * Look up the examples most similar to a file's text
+ * @param {string} text
+ * @param {Object} [taxonomy]
+ * @returns {Promise<{match: Object|null, similar: Object[]}>} - `match` is
+ *   an example close enough to decide the category on its own; `similar`
+ *   are the few-shot examples for the prompt otherwise. Both carry their
+ *   `similarity`.
+ */
+async function findExamples(text, taxonomy) {
+    const none = { match: null, similar: [] };
+    if (!EXAMPLES_ENABLED || !text || !text.trim()) return none;
+    const scoped = await scopeIndex(taxonomyScope(taxonomy));
+    if (scoped.examples.length === 0) return none;
+
+    const similar = scoped.index
+        .search(
+            text.slice(0, EXAMPLE_EXCERPT_CHARS),
+            Math.max(EXAMPLE_FEW_SHOT, 1)
+        )
+        .filter((hit) => hit.similarity >= EXAMPLE_MIN_SIMILARITY)
+        .map((hit) => ({
+            ...scoped.examples[hit.index],
+            similarity: Math.round(hit.similarity * 1000) / 1000,
+        }));
+    if (
+        EXAMPLE_MATCH_THRESHOLD > 0 &&
+        similar.length > 0 &&
+        similar[0].similarity >= EXAMPLE_MATCH_THRESHOLD
+    ) {
+        return { match: similar[0], similar: [] };
+    }
+    return { match: null, similar: similar.slice(0, EXAMPLE_FEW_SHOT) };
+}
+
+module.exports = {
+    listExamples,
+    addExamples,
+    deleteExample,
+    hasExamples,
+    findExamples,
+    EXAMPLES_FILE,
+};
@@ -0,0 +1,519 @@
+// Email messages (.eml, and mailboxes in the mbox format) parsed without
+// a mail library: headers are unfolded and their encoded words decoded,
+// multipart bodies are split on their boundaries, and transfer encodings
+// and charsets are undone. The model gets the subject, the correspondents
+// and the body text instead of raw MIME; attachments are handed to the
+// archive extraction (see archives/attachments.js).
+const crypto = require("crypto");
+const fs = require("fs-extra");
+
+// Stop collecting text once this many characters have been gathered; the
+// model only sees a sample of it anyway
+const MAX_EXTRACTED_CHARS = 20000;
+// Nesting of multipart bodies followed; deeper parts are ignored
+const MAX_PART_DEPTH = 10;
+
+const MAIL_EXTENSIONS = [".eml", ".msg", ".mbox"];
+
+const HTML_ENTITIES = {
+    nbsp: " ",
+    euro: "€",
+    copy: "©",
+    ndash: "–",
+    mdash: "—",
+    hellip: "…",
+    lt: "<",
+    gt: ">",
+    amp: "&",
+    quot: '"',
+    apos: "'",
+};
+
+// Extensions for unnamed attachments of common types
+const TYPE_EXTENSIONS = {
+    "application/pdf": ".pdf",
+    "image/png": ".png",
+    "image/jpeg": ".jpg",
+    "image/gif": ".gif",
+    "text/calendar": ".ics",
+    "message/rfc822": ".eml",
+};
+
+/**
+ * Decode bytes in a charset, falling back to UTF-8 for unknown ones
+ * @param {Buffer} bytes
+ * @param {string} [charset]
+ * @returns {string}
+ */
+function decodeCharset(bytes, charset) {
+    try {
+        return new TextDecoder(charset || "utf-8").decode(bytes);
+    } catch {
+        return bytes.toString("utf8");
+    }
+}
+
+/**
+ * Undo quoted-printable encoding
+ * @param {string} text - Latin-1 string of the raw bytes
+ * @returns {Buffer}
+ */
+function decodeQuotedPrintable(text) {
+    return Buffer.from(
+        text
+            .replace(/=\r?\n/g, "")
+            .replace(/=([0-9a-f]{2})/gi, (_, hex) =>
+                String.fromCharCode(parseInt(hex, 16))
+            ),
+        "latin1"
+    );
+}
+
+/**
+ * Decode RFC 2047 encoded words ("=?utf-8?B?...?=") in a header value;
+ * whitespace between two encoded words is dropped
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeWords(value) {
+    return value
+        .replace(/(\?=)\s+(?==\?)/g, "$1")
+        .replace(
+            /=\?([^?]+)\?([bq])\?([^?]*)\?=/gi,
+            (_, charset, encoding, text) => {
+                const bytes =
+                    encoding.toLowerCase() === "b"
+                        ? Buffer.from(text, "base64")
+                        : decodeQuotedPrintable(text.replace(/_/g, " "));
+                // "utf-8*en" carries a language after the asterisk
+                return decodeCharset(bytes, charset.split("*")[0]);
+            }
+        );
+}
+
+/**
+ * Parse a header block
+ * @param {Buffer} block - Raw header bytes
+ * @returns {Object} - Lower-cased name -> list of decoded values
+ */
+function parseHeaders(block) {
+    let text;
+    try {
+        // Headers may hold raw UTF-8 (RFC 6532); older mail is Latin-1
+        text = new TextDecoder("utf-8", { fatal: true }).decode(block);
+    } catch {
+        text = block.toString("latin1");
+    }
+    const headers = {};
+    for (const line of text.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+        const colon = line.indexOf(":");
+        if (colon <= 0) continue;
+        const name = line.slice(0, colon).trim().toLowerCase();
+        if (!headers[name]) headers[name] = [];
+        headers[name].push(decodeWords(line.slice(colon + 1).trim()));
+    }
+    return headers;
+}
+
+/**
+ * Split a header value into its main value and parameters, including
+ * RFC 2231 continuations and charsets ("filename*0*=utf-8''...")
+ * @param {string} [value] - e.g. 'text/plain; charset="utf-8"'
+ * @returns {{value: string, params: Object}}
+ */
+function parseParams(value = "") {
+    const [main] = value.split(";");
+    const raw = {};
+    const pattern = /;\s*([^=\s;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+    for (const [, name, quoted] of value.matchAll(pattern)) {
+        raw[name.toLowerCase()] = quoted.trim().startsWith('"')
+            ? quoted.trim().slice(1, -1).replace(/\\(.)/g, "$1")
+            : quoted.trim();
+    }
+
+    const params = {};
+    const continued = {};
+    for (const [key, text] of Object.entries(raw)) {
+        const match = /^([^*]+)(?:\*(\d+))?(\*)?$/.exec(key);
+        if (!match) continue;
+        const [, name, index, encoded] = match;
+        if (index === undefined && !encoded) {
+            params[name] = text;
+            continue;
+        }
+        if (!continued[name]) continued[name] = [];
+        continued[name].push({ index: Number(index || 0), text, encoded });
+    }
+    for (const [name, parts] of Object.entries(continued)) {
+        parts.sort((a, b) => a.index - b.index);
+        let charset = "utf-8";
+        const bytes = parts.map(({ text, encoded }, i) => {
+            if (!encoded) return Buffer.from(text, "latin1");
+            let data = text;
+            if (i === 0) {
+                // charset'language'value
+                const quote = /^([^']*)'[^']*'/.exec(text);
+                if (quote) {
+                    charset = quote[1] || charset;
+                    data = text.slice(quote[0].length);
+                }
+            }
+            return Buffer.from(
+                data.replace(/%([0-9a-f]{2})/gi, (_, hex) =>
+                    String.fromCharCode(parseInt(hex, 16))
+                ),
+                "latin1"
+            );
+        });
+        params[name] = decodeCharset(Buffer.concat(bytes), charset);
+    }
+    return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * Split raw message bytes into header block and body
+ * @param {Buffer} buffer
+ * @returns {{head: Buffer, body: Buffer}}
+ */
+function splitMessage(buffer) {
+    const text = buffer.toString("latin1");
+    const match = /\r?\n\r?\n/.exec(text);
+    if (!match) return { head: buffer, body: Buffer.alloc(0) };
+    return {
+        head: buffer.subarray(0, match.index),
+        body: buffer.subarray(match.index + match[0].length),
+    };
+}
+
+/**
+ * Undo a part's Content-Transfer-Encoding
+ * @param {Buffer} body
+ * @param {string} [encoding]
+ * @returns {Buffer}
+ */
+function decodeBody(body, encoding = "") {
+    const name = encoding.trim().toLowerCase();
+    if (name === "base64") {
+        return Buffer.from(
+            body.toString("latin1").replace(/[^A-Za-z0-9+/=]/g, ""),
+            "base64"
+        );
+    }
+    if (name === "quoted-printable") {
+        return decodeQuotedPrintable(body.toString("latin1"));
+    }
+    return body;
+}
+
+/**
+ * Body parts of a multipart body
+ * @param {Buffer} body
+ * @param {string} boundary
+ * @returns {Buffer[]}
+ */
+function splitMultipart(body, boundary) {
+    const text = body.toString("latin1");
+    const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const delimiter = new RegExp(
+        `(?:^|\\r?\\n)--${escaped}(--)?[ \\t]*(?=\\r?\\n|$)`,
+        "g"
+    );
+    const parts = [];
+    let start = null;
+    for (const match of text.matchAll(delimiter)) {
+        if (start !== null) {
+            parts.push(body.subarray(start, match.index));
+        }
+        if (match[1]) break;
+        // The part starts after the delimiter line
+        const lineEnd = text.indexOf("\n", match.index + match[0].length);
+        start = lineEnd === -1 ? text.length : lineEnd + 1;
+    }
+    return parts;
+}
+
+/**
+ * Decode HTML entities in one pass, so "&amp;lt;" becomes "&lt;"
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(
+        /&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi,
+        (entity, decimal, hex, name) => {
+            if (name) return HTML_ENTITIES[name.toLowerCase()] || entity;
+            const code = decimal ? Number(decimal) : parseInt(hex, 16);
+            return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        }
+    );
+}
+
+/**
+ * Turn HTML mail into plain text
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    // Trailing spaces are trimmed per line, as one regex over the whole body
+    // backtracks quadratically on a long run of spaces
+    return decodeEntities(
+        html
+            .replace(/<(style|script|head)\b[\s\S]*?<\/\1>/gi, "")
+            .replace(/<br\s*\/?>/gi, "\n")
+            .replace(/<\/(p|div|tr|li|h\d|table)>/gi, "\n")
+            .replace(/<[^>]+>/g, "")
+    )
+        .split("\n")
+        .map((line) => line.trimEnd())
+        .join("\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+/**
+ * Attachment name without any folder part or characters files can't have
+ * @param {string} name
+ * @returns {string}
+ */
+function attachmentName(name) {
+    return String(name || "")
+        .split(/[\\/]/)
+        .pop()
+        .replace(/[\u0000-\u001f<>:"|?*]+/g, "-")
+        .replace(/^[.\s]+|[.\s]+$/g, "")
+        .slice(0, 200);
+}
+
+/**
+ * First value of a header
+ * @param {Object} headers - See parseHeaders
+ * @param {string} name - Lower-case name
+ * @returns {string}
+ */
+function header(headers, name) {
+    return (headers[name] && headers[name][0]) || "";
+}
+
+/**
+ * Parse an email message
+ * @param {Buffer} buffer - Raw RFC 822 message
+ * @returns {Object} - { subject, from, to, cc, date, text, attachments };
+ *   `text` is the plain body (or the HTML body as text), `attachments`
+ *   holds { filename, contentType, content } with the decoded bytes;
+ *   attached messages are kept whole as .eml files
+ */
+function parseMessage(buffer) {
+    const { head, body } = splitMessage(buffer);
+    const headers = parseHeaders(head);
+    const plain = [];
+    const html = [];
+    const attachments = [];
+
+    /**
+     * Collect the text and attachments of one part
+     * @param {Object} partHeaders
+     * @param {Buffer} partBody - Still transfer-encoded
+     * @param {number} depth
+     */
+    const visit = (partHeaders, partBody, depth) => {
+        const type = parseParams(
+            header(partHeaders, "content-type") || "text/plain"
+        );
+        const disposition = parseParams(
+            header(partHeaders, "content-disposition")
+        );
+        const filename = disposition.params.filename || type.params.name;
+
+        if (type.value.startsWith("multipart/")) {
+            if (depth >= MAX_PART_DEPTH || !type.params.boundary) return;
+            for (const part of splitMultipart(partBody, type.params.boundary)) {
+                const split = splitMessage(part);
+                visit(parseHeaders(split.head), split.body, depth + 1);
+            }
+            return;
+        }
+
+        const content = decodeBody(
+            partBody,
+            header(partHeaders, "content-transfer-encoding")
+        );
+        const isText = ["text/plain", "text/html"].includes(type.value);
+        if (isText && !filename && disposition.value !== "attachment") {
+            const text = decodeCharset(content, type.params.charset);
+            (type.value === "text/html" ? html : plain).push(text);
+            return;
+        }
+        let name = attachmentName(filename);
+        if (!name && type.value === "message/rfc822") {
+            const attached = parseHeaders(splitMessage(content).head);
+            name = attachmentName(header(attached, "subject"));
+            if (name) name += ".eml";
+        }
+        if (!name) {
+            name = `attachment-${attachments.length + 1}${
+                TYPE_EXTENSIONS[type.value] || ".bin"
+            }`;
+        }
+        attachments.push({ filename: name, contentType: type.value, content });
+    };
+    visit(headers, body, 0);
+
+    return {
+        subject: header(headers, "subject"),
+        from: header(headers, "from"),
+        to: (headers.to || []).join(", "),
+        cc: (headers.cc || []).join(", "),
+        date: header(headers, "date"),
+        text: (plain.length > 0 ? plain : html.map(htmlToText))
+            .join("\n\n")
+            .trim(),
+        attachments,
+    };
+}
+
+/**
+ * Header value with non-ASCII text as an RFC 2047 encoded word
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeWord(value) {
+    const clean = String(value).replace(/[\r\n]+/g, " ");
+    return /^[\x20-\x7e]*$/.test(clean)
+        ? clean
+        : `=?utf-8?B?${Buffer.from(clean).toString("base64")}?=`;
+}
+
+/**
+ * Base64 in lines of 76 characters
+ * @param {Buffer} data
+ * @returns {string}
+ */
+function base64Lines(data) {
+    return data.toString("base64").replace(/.{76}/g, "$&\r\n");
+}
+
+/**
+ * Write a parsed message (e.g. one read from a .msg) back out as MIME
+ * @param {Object} message - See parseMessage
+ * @returns {string}
+ */
+function formatMessage(message) {
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString("hex")}`;
+    const headers = [
+        ["From", message.from],
+        ["To", message.to],
+        ["Cc", message.cc],
+        ["Subject", message.subject],
+        ["Date", message.date],
+    ]
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name}: ${encodeWord(value)}`);
+    const parts = [
+        [
+            "Content-Type: text/plain; charset=utf-8",
+            "Content-Transfer-Encoding: base64",
+            "",
+            base64Lines(Buffer.from(message.text || "")),
+        ],
+        ...message.attachments.map((file) => [
+            `Content-Type: ${file.contentType}`,
+            `Content-Disposition: attachment; filename*=utf-8''${encodeURIComponent(
+                file.filename
+            )}`,
+            "Content-Transfer-Encoding: base64",
+            "",
+            base64Lines(file.content),
+        ]),
+    ];
+    return [
+        ...headers,
+        "MIME-Version: 1.0",
+        `Content-Type: multipart/mixed; boundary="${boundary}"`,
+        "",
+        ...parts.map((lines) => `--${boundary}\r\n${lines.join("\r\n")}`),
+        `--${boundary}--`,
+        "",
+    ].join("\r\n");
+}
+
+/**
+ * Split a mailbox in the mbox format into its messages. Each message
+ * starts with a "From " line; lines quoted as ">From " are unquoted.
+ * @param {Buffer} buffer
+ * @returns {Buffer[]} - Raw messages, without their "From " lines
+ */
+function splitMbox(buffer) {
+    const text = buffer.toString("latin1");
+    const starts = [...text.matchAll(/(?:^|\n)From [^\n]*\n/g)];
+    return starts.map((match, i) => {
+        const start = match.index + match[0].length;
+        const end = i + 1 < starts.length ? starts[i + 1].index : text.length;
+        return Buffer.from(
+            text.slice(start, end).replace(/^>(>*From )/gm, "$1"),
+            "latin1"
+        );
+    });
+}
+
+/**
+ * What the model is shown of a message: subject, correspondents, date,
+ * attachment names and the body text
+ * @param {Object} message - See parseMessage
+ * @returns {string}
+ */
+function messageText(message) {
+    const lines = [
+        ["Subject", message.subject],
+        ["From", message.from],
+        ["To", message.to],
+        ["Cc", message.cc],
+        ["Date", message.date],
+        [
+            "Attachments",
+            message.attachments.map((file) => file.filename).join(", "),
+        ],
+    ]
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name}: ${value}`);
+    return `${lines.join("\n")}\n\n${message.text}`
+        .trim()
+        .slice(0, MAX_EXTRACTED_CHARS);
+}
+
+/**
+ * Extract the text of a message or mailbox
+ * @param {string} filePath
+ * @param {string} ext - ".eml", ".msg" or ".mbox"
+ * @returns {Promise<string>}
+ */
+async function extractTextFromMail(filePath, ext) {
+    const buffer = await fs.readFile(filePath);
+    if (ext === ".msg") {
+        // Loaded lazily: msg.js requires this module for its helpers
+        const { parseMsg } = require("./msg");
+        return messageText(parseMsg(buffer));
+    }
+    if (ext === ".mbox") {
+        // A mailbox kept whole: its first messages, one after another
+        let text = "";
+        for (const raw of splitMbox(buffer)) {
+            if (text.length >= MAX_EXTRACTED_CHARS) break;
+            text += `${messageText(parseMessage(raw))}\n\n`;
+        }
+        return text.trim().slice(0, MAX_EXTRACTED_CHARS);
+    }
+    return messageText(parseMessage(buffer));
+}
+
+module.exports = {
+    extractTextFromMail,
+    parseMessage,
+    splitMbox,
+    parseHeaders,
+    splitMessage,
+    formatMessage,
+    attachmentName,
+    htmlToText,
+    decodeCharset,
+    MAIL_EXTENSIONS,
+};
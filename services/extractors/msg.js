@@ -0,0 +1,179 @@
+// Outlook .msg files, read with msgreader. Only what categorizing needs is
+// used: subject, sender, recipients, date, the plain or HTML body and the
+// attachments. Bodies stored only as compressed RTF are not decoded; such
+// messages are categorized by their headers.
+const MsgReader = require("@kenjiuno/msgreader").default;
+const {
+    htmlToText,
+    attachmentName,
+    decodeCharset,
+    formatMessage,
+} = require("./mail");
+
+// Charset of non-Unicode strings when a message doesn't name its code page
+const DEFAULT_CHARSET = "windows-1252";
+
+// Windows code pages that aren't named "windows-<number>"
+const CODEPAGE_CHARSETS = {
+    65001: "utf-8",
+    1200: "utf-16le",
+    20127: "us-ascii",
+    28591: "iso-8859-1",
+    28605: "iso-8859-15",
+    50220: "iso-2022-jp",
+    51932: "euc-jp",
+    932: "shift_jis",
+    936: "gbk",
+    949: "euc-kr",
+    950: "big5",
+};
+
+/**
+ * Error for a file that is not a readable .msg
+ * @param {string} reason
+ * @returns {Error}
+ */
+function msgError(reason) {
+    const error = new Error(`Not a readable Outlook message: ${reason}.`);
+    error.code = "MSG_INVALID";
+    return error;
+}
+
+/**
+ * Charset of a Windows code page
+ * @param {number} [codepage]
+ * @returns {string}
+ */
+function codepageCharset(codepage) {
+    if (!codepage) return DEFAULT_CHARSET;
+    return CODEPAGE_CHARSETS[codepage] || `windows-${codepage}`;
+}
+
+/**
+ * Open a .msg and read its properties
+ * @param {Buffer} buffer
+ * @param {string} charset - Charset of non-Unicode strings
+ * @returns {{reader: Object, fields: Object}} - See msgreader's getFileData
+ */
+function openMsg(buffer, charset) {
+    // A copy, as msgreader reads the whole ArrayBuffer of a Buffer slice
+    const reader = new MsgReader(
+        buffer.buffer.slice(
+            buffer.byteOffset,
+            buffer.byteOffset + buffer.byteLength
+        )
+    );
+    reader.parserConfig = { ansiEncoding: charset };
+    const fields = reader.getFileData();
+    if (fields.error) throw msgError(fields.error.replace(/[.!]+$/, ""));
+    return { reader, fields };
+}
+
+/**
+ * Name and address of a sender or recipient
+ * @param {string} [name]
+ * @param {string} [address]
+ * @returns {string}
+ */
+function mailbox(name, address) {
+    return name && address && name !== address
+        ? `${name} <${address}>`
+        : name || address || "";
+}
+
+/**
+ * Convert a message read by msgreader
+ * @param {Object} reader - Opened msgreader
+ * @param {Object} fields - The message's properties, see openMsg
+ * @param {string} charset - Charset of non-Unicode strings
+ * @returns {Object} - See mail.js parseMessage
+ */
+function toMessage(reader, fields, charset) {
+    const recipients = (type) =>
+        (fields.recipients || [])
+            .filter((recipient) => recipient.recipType === type)
+            .map((recipient) =>
+                mailbox(
+                    recipient.name,
+                    recipient.smtpAddress || recipient.email
+                )
+            )
+            .join(", ");
+    const html =
+        fields.bodyHtml ||
+        (fields.html ? decodeCharset(Buffer.from(fields.html), charset) : "");
+
+    const attachments = [];
+    for (const attachment of fields.attachments || []) {
+        let filename = attachmentName(
+            attachment.fileName || attachment.fileNameShort || attachment.name
+        );
+        let contentType =
+            attachment.attachMimeTag || "application/octet-stream";
+        let content;
+        if (attachment.innerMsgContent) {
+            // An attached Outlook item: re-encoded as .eml so its own
+            // attachments are extracted like any other message's
+            const embedded = toMessage(
+                reader,
+                attachment.innerMsgContentFields || {},
+                charset
+            );
+            content = Buffer.from(formatMessage(embedded));
+            filename = `${attachmentName(embedded.subject) || "message"}.eml`;
+            contentType = "message/rfc822";
+        } else if (attachment.dataId !== undefined) {
+            content = Buffer.from(reader.getAttachment(attachment).content);
+        } else {
+            // Links and OLE objects carry no file
+            continue;
+        }
+        attachments.push({
+            filename: filename || `attachment-${attachments.length + 1}.bin`,
+            contentType,
+            content,
+        });
+    }
+
+    return {
+        subject: fields.subject || "",
+        from: mailbox(
+            fields.senderName,
+            fields.senderSmtpAddress || fields.senderEmail
+        ),
+        to: recipients("to"),
+        cc: recipients("cc"),
+        date: fields.clientSubmitTime || fields.messageDeliveryTime || "",
+        text: (fields.body || htmlToText(html)).trim(),
+        attachments,
+    };
+}
+
+/**
+ * Parse an Outlook .msg file
+ * @param {Buffer} buffer
+ * @returns {Object} - See mail.js parseMessage
+ * @throws {Error} - With code MSG_INVALID
+ */
+function parseMsg(buffer) {
+    try {
+        let msg = openMsg(buffer, DEFAULT_CHARSET);
+        const charset = codepageCharset(msg.fields.internetCodepage);
+        if (charset !== DEFAULT_CHARSET) {
+            try {
+                msg = openMsg(buffer, charset);
+            } catch (error) {
+                // A code page msgreader can't decode: keep the default
+            }
+        }
+        return toMessage(msg.reader, msg.fields, charset);
+    } catch (error) {
+        if (error.code === "MSG_INVALID") throw error;
+        // Offsets past the end of a truncated file
+        throw msgError(error.message);
+    }
+}
+
+module.exports = {
+    parseMsg,
+};
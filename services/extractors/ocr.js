@@ -0,0 +1,86 @@
+// Optical character recognition for images, backed by the optional
+// tesseract.js dependency. Disabled with OCR_ENABLED=0 or when the
+// package is not installed.
+const OCR_ENABLED = process.env.OCR_ENABLED !== "0";
+const OCR_LANG = process.env.OCR_LANG || "eng";
+// Directory holding <lang>.traineddata for offline installs; by default
+// tesseract.js downloads the language data on first use
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH;
+
+const OCR_MIME_TYPES = ["image/png", "image/jpeg", "image/bmp", "image/gif"];
+
+let workerPromise = null;
+// Set when the worker could not start (e.g. language data unavailable),
+// so we don't retry for every image
+let startupFailed = false;
+
+/**
+ * Whether OCR can be used in this installation
+ * @returns {boolean}
+ */
+function isOcrAvailable() {
+    if (!OCR_ENABLED || startupFailed) return false;
+    try {
+        require.resolve("tesseract.js");
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Lazily start a single shared tesseract worker
+ * @returns {Promise<Object>}
+ */
+function getWorker() {
+    if (!workerPromise) {
+        const { createWorker } = require("tesseract.js");
+        workerPromise = new Promise((resolve, reject) => {
+            const options = {
+                // tesseract.js reports a failed start (e.g. language data
+                // that can't be downloaded) only through this handler and
+                // never settles createWorker; later recognize errors reject
+                // their own promises, so calls after startup are no-ops here
+                errorHandler: (error) => reject(new Error(String(error))),
+            };
+            if (OCR_LANG_PATH) options.langPath = OCR_LANG_PATH;
+            createWorker(OCR_LANG, 1, options).then(resolve, reject);
+        }).catch((error) => {
+            console.error("OCR is unavailable:", error.message);
+            startupFailed = true;
+            workerPromise = null;
+            throw error;
+        });
+    }
+    return workerPromise;
+}
+
+/**
+ * Recognize the text in an image
+ * @param {Buffer} data - Image bytes
+ * @returns {Promise<string>} - Recognized text (may be empty)
+ */
+async function extractTextFromImage(data) {
+    const worker = await getWorker();
+    const {
+        data: { text },
+    } = await worker.recognize(data);
+    return (text || "").trim();
+}
+
+/**
+ * Stop the shared worker so the process can exit
+ */
+async function terminateOcr() {
+    if (!workerPromise) return;
+    const worker = await workerPromise.catch(() => null);
+    workerPromise = null;
+    if (worker) await worker.terminate();
+}
+
+module.exports = {
+    isOcrAvailable,
+    extractTextFromImage,
+    terminateOcr,
+    OCR_MIME_TYPES,
+};
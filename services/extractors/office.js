@@ -0,0 +1,227 @@
+// Text extraction for Office Open XML (docx/xlsx/pptx) and OpenDocument
+// (odt/ods/odp) files. Both are zip archives of XML parts, so adm-zip and
+// a little tag stripping are enough to get at the text.
+const AdmZip = require("adm-zip");
+
+// Stop collecting text once this many characters have been gathered; the
+// model only sees a sample of it anyway
+const MAX_EXTRACTED_CHARS = 20000;
+const MAX_ROWS_PER_SHEET = 200;
+// Larger XML parts are skipped rather than inflated into memory; the
+// archive limits only cover the uploaded archive, not the documents in it
+const MAX_PART_BYTES = 20 * 1024 * 1024;
+
+const OFFICE_EXTENSIONS = [".docx", ".xlsx", ".pptx", ".odt", ".ods", ".odp"];
+
+const XML_ENTITIES = {
+    "&lt;": "<",
+    "&gt;": ">",
+    "&amp;": "&",
+    "&quot;": '"',
+    "&apos;": "'",
+};
+
+/**
+ * Decode the XML entities that appear in document text
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&(lt|gt|amp|quot|apos);/g, (entity) => XML_ENTITIES[entity])
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(code))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) =>
+            String.fromCodePoint(parseInt(code, 16))
+        );
+}
+
+/**
+ * Strip all tags and collapse blank lines
+ * @param {string} xml
+ * @returns {string}
+ */
+function stripTags(xml) {
+    // Trailing whitespace is trimmed line by line: a regex over the whole
+    // text backtracks quadratically on long runs of spaces
+    return decodeEntities(xml.replace(/<[^>]+>/g, ""))
+        .split("\n")
+        .map((line) => line.trimEnd())
+        .join("\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
+
+/**
+ * Read a zip entry as UTF-8 text
+ * @param {AdmZip} zip
+ * @param {string} name
+ * @returns {string|null} - null when the entry is missing or larger than
+ *   MAX_PART_BYTES uncompressed
+ */
+function readEntry(zip, name) {
+    const entry = zip.getEntry(name);
+    if (!entry) return null;
+    if (entry.header.size > MAX_PART_BYTES) {
+        console.error(
+            `Skipping ${name}: ${entry.header.size} bytes uncompressed`
+        );
+        return null;
+    }
+    return entry.getData().toString("utf8");
+}
+
+/**
+ * Entries matching a pattern, sorted by the number in their name
+ * (slide2 before slide10)
+ * @param {AdmZip} zip
+ * @param {RegExp} pattern - Must capture the number
+ * @returns {string[]}
+ */
+function numberedEntries(zip, pattern) {
+    return zip
+        .getEntries()
+        .map((entry) => entry.entryName)
+        .filter((name) => pattern.test(name))
+        .sort(
+            (a, b) =>
+                parseInt(a.match(pattern)[1], 10) -
+                parseInt(b.match(pattern)[1], 10)
+        );
+}
+
+/**
+ * Word: paragraphs of word/document.xml
+ * @param {AdmZip} zip
+ * @returns {string}
+ */
+function extractDocx(zip) {
+    const xml = readEntry(zip, "word/document.xml");
+    if (!xml) return "";
+    return stripTags(
+        xml
+            .replace(/<w:tab\/>/g, "\t")
+            .replace(/<w:br\/>/g, "\n")
+            .replace(/<\/w:p>/g, "\n")
+    );
+}
+
+/**
+ * Excel: cell values per sheet, resolving shared strings, one row per line
+ * @param {AdmZip} zip
+ * @returns {string}
+ */
+function extractXlsx(zip) {
+    const sharedStrings = [];
+    const sharedXml = readEntry(zip, "xl/sharedStrings.xml");
+    if (sharedXml) {
+        for (const [, si] of sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+            sharedStrings.push(stripTags(si));
+        }
+    }
+
+    const sheetNames = [];
+    const workbookXml = readEntry(zip, "xl/workbook.xml") || "";
+    for (const [, name] of workbookXml.matchAll(
+        /<sheet\b[^>]*name="([^"]*)"/g
+    )) {
+        sheetNames.push(decodeEntities(name));
+    }
+
+    const parts = [];
+    let length = 0;
+    const sheets = numberedEntries(zip, /^xl\/worksheets\/sheet(\d+)\.xml$/);
+    sheets.forEach((sheetEntry, index) => {
+        if (length > MAX_EXTRACTED_CHARS) return;
+        const xml = readEntry(zip, sheetEntry);
+        if (!xml) return;
+        const lines = [`Sheet: ${sheetNames[index] || index + 1}`];
+        const rows = xml.match(/<row\b[\s\S]*?<\/row>/g) || [];
+        for (const row of rows.slice(0, MAX_ROWS_PER_SHEET)) {
+            const values = [];
+            for (const [, attrs, body] of row.matchAll(
+                /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g
+            )) {
+                if (!body) continue;
+                const type = (attrs.match(/\bt="(\w+)"/) || [])[1];
+                const value = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+                if (type === "s") {
+                    values.push(sharedStrings[parseInt(value, 10)] || "");
+                } else if (type === "inlineStr") {
+                    values.push(stripTags(body));
+                } else if (value !== undefined) {
+                    values.push(decodeEntities(value));
+                }
+            }
+            if (values.length > 0) lines.push(values.join("\t"));
+        }
+        const text = lines.join("\n");
+        length += text.length;
+        parts.push(text);
+    });
+    return parts.join("\n\n");
+}
+
+/**
+ * PowerPoint: text of every slide in order
+ * @param {AdmZip} zip
+ * @returns {string}
+ */
+function extractPptx(zip) {
+    const slides = numberedEntries(zip, /^ppt\/slides\/slide(\d+)\.xml$/);
+    return slides
+        .map((slideEntry, index) => {
+            const xml = readEntry(zip, slideEntry) || "";
+            const text = stripTags(xml.replace(/<\/a:p>/g, "\n"));
+            return `Slide ${index + 1}:\n${text}`;
+        })
+        .join("\n\n");
+}
+
+/**
+ * OpenDocument: paragraphs, headings and table cells of content.xml
+ * @param {AdmZip} zip
+ * @returns {string}
+ */
+function extractOpenDocument(zip) {
+    const xml = readEntry(zip, "content.xml");
+    if (!xml) return "";
+    return stripTags(
+        xml
+            .replace(/<text:tab\/>/g, "\t")
+            .replace(/<text:line-break\/>/g, "\n")
+            .replace(/<text:s\/>/g, " ")
+            .replace(/<\/text:(p|h)>/g, "\n")
+            .replace(/<\/table:table-cell>/g, "\t")
+            .replace(/<\/table:table-row>/g, "\n")
+            .replace(/<\/draw:page>/g, "\n\n")
+    );
+}
+
+const EXTRACTORS = {
+    ".docx": extractDocx,
+    ".xlsx": extractXlsx,
+    ".pptx": extractPptx,
+    ".odt": extractOpenDocument,
+    ".ods": extractOpenDocument,
+    ".odp": extractOpenDocument,
+};
+
+/**
+ * Extract the text content of an OOXML or OpenDocument file
+ * @param {string} filePath - Path to the document
+ * @param {string} ext - Lower-case extension including the dot
+ * @returns {Promise<string>} - Extracted text (may be empty)
+ */
+async function extractTextFromOffice(filePath, ext) {
+    const extractor = EXTRACTORS[ext];
+    if (!extractor) {
+        throw new Error(`Unsupported office format: ${ext}`);
+    }
+    const zip = new AdmZip(filePath);
+    return extractor(zip).slice(0, MAX_EXTRACTED_CHARS);
+}
+
+module.exports = {
+    extractTextFromOffice,
+    OFFICE_EXTENSIONS,
+};
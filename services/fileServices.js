@@ -1,23 +1,171 @@
 const fs = require("fs-extra");
 const path = require("path");
-const { categorizeContent } = require("./gemini");
+const {
+    getProvider,
+    categorizeContent,
+    categorizeAttachment,
+    categorizeBatch,
+    supportsAttachment,
+    supportsBatch,
+} = require("./providers");
 const fsPromises = require("fs/promises");
+const { sanitizeCategory } = require("./providers/answer");
+const { resolveCategory, matchCategory } = require("./taxonomy");
+const { getRules, evaluateRules } = require("./rules");
+const { detectType } = require("./fileType");
+const { hasExamples, findExamples } = require("./examples");
+const { mergeCategories } = require("./merging");
+const {
+    findDuplicates,
+    minHash,
+    DUPLICATE_DETECTION,
+} = require("./duplicates");
+const {
+    scanText,
+    redact,
+    SENSITIVE_DETECTION,
+    SENSITIVE_REDACTION,
+} = require("./sensitive");
+const {
+    hashFile,
+    cacheScope,
+    cacheKey,
+    getCached,
+    setCached,
+} = require("./cache");
+const {
+    extractTextFromOffice,
+    OFFICE_EXTENSIONS,
+} = require("./extractors/office");
+const { extractTextFromMail, MAIL_EXTENSIONS } = require("./extractors/mail");
+const { sampleContent, CHARS_PER_TOKEN } = require("./sampling");
+const {
+    isOcrAvailable,
+    extractTextFromImage,
+    OCR_MIME_TYPES,
+} = require("./extractors/ocr");
+
+// How images are categorized: "auto" (vision model, else OCR, else
+// filename), "vision", "ocr" or "filename"
+const IMAGE_STRATEGY = (process.env.IMAGE_STRATEGY || "auto").toLowerCase();
+const MAX_INLINE_ATTACHMENT_MB =
+    parseFloat(process.env.MAX_INLINE_ATTACHMENT_MB) || 15;
+// Less text than this means OCR/PDF extraction found nothing useful
+const MIN_TEXT_LENGTH = 20;
+// Files of one folder categorized at the same time
+const FILE_CONCURRENCY = parseInt(process.env.FILE_CONCURRENCY, 10) || 4;
+// Model answers less confident than this go to NEEDS_REVIEW_CATEGORY;
+// 0 disables the routing
+const CONFIDENCE_THRESHOLD = parseFloat(
+    process.env.CONFIDENCE_THRESHOLD ?? "0.5"
+);
+const NEEDS_REVIEW_CATEGORY =
+    process.env.NEEDS_REVIEW_CATEGORY || "Needs Review";
+// Categories assigned by the pipeline itself; never merged with others
+const RESERVED_CATEGORIES = [NEEDS_REVIEW_CATEGORY, "Error_Processing"];
+// How files are laid out inside their category folder, see
+// organizeFilesByCategory
+const OUTPUT_LAYOUTS = ["flat", "preserve"];
+const OUTPUT_LAYOUT = (process.env.OUTPUT_LAYOUT || "flat").toLowerCase();
+// Small text files asked about together in one model request; 0 or 1
+// disables batching
+const BATCH_SIZE = parseInt(process.env.BATCH_SIZE, 10) || 0;
+const BATCH_MAX_FILE_BYTES =
+    parseInt(process.env.BATCH_MAX_FILE_BYTES, 10) || 4096;
+// Tokens of each file included in a batch prompt (BATCH_EXCERPT_CHARS is
+// still honoured for existing setups)
+const BATCH_EXCERPT_TOKENS =
+    parseInt(process.env.BATCH_EXCERPT_TOKENS, 10) ||
+    Math.ceil(
+        (parseInt(process.env.BATCH_EXCERPT_CHARS, 10) || 1000) /
+            CHARS_PER_TOKEN
+    );
+const BATCH_EXTENSIONS = [
+    ".txt",
+    ".md",
+    ".json",
+    ".csv",
+    ".tsv",
+    ".yaml",
+    ".yml",
+    ".xml",
+    ".ini",
+    ".cfg",
+    ".conf",
+    ".env",
+    ".log",
+    ".js",
+    ".py",
+    ".html",
+    ".css",
+];
+
+// Larger files are only compared by hash when looking for duplicates
+const NEAR_DUPLICATE_MAX_BYTES = 20 * 1024 * 1024;
+// Pages of a PDF whose text is extracted; 0 reads all of them
+const PDF_MAX_PAGES = parseInt(process.env.PDF_MAX_PAGES ?? "50", 10);
+
+const IMAGE_MIME_TYPES = {
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".gif": "image/gif",
+    ".bmp": "image/bmp",
+    ".webp": "image/webp",
+    ".heic": "image/heic",
+};
 
 /**
  * Recursively process all files in a directory and categorize them.
  * @param {string} dirPath
  * @param {number} currentDepth
  * @param {number} maxDepth
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops processing remaining files when aborted
+ * @param {Object} [options.taxonomy] - Constrain categories to this taxonomy
+ * @param {string} [options.rootPath] - Archive root for relative paths;
+ *   defaults to the top-level dirPath
+ * @param {Function} [options.onFile] - Called after each file with its
+ *   record (see fileRecord): { path, name, size, hash, type, extraction,
+ *   category, suggestedCategory, raw, confidence, rationale, tags,
+ *   secondaryCategory, needsReview, decidedBy, cached, error, durationMs };
+ *   `hash` is the SHA-256 of the content, `type` the detected MIME type and
+ *   `extraction` what the decision was based on ("text", "pdf-text",
+ *   "office-text", "mail-text", "vision", "ocr" or "metadata"); `raw` is
+ *   the model's category (null when no model was asked), `decidedBy` is
+ *   "rule:<id>",
+ *   "example:<id>" (learned from a correction), "model:<provider>" or
+ *   "fallback", `cached` is true when the model's
+ *   answer came from the cache and `error` is the reason a file failed
+ *   (category "Error_Processing"). Duplicates (see duplicates.js) are not
+ *   categorized themselves: they get their canonical copy's decision and
+ *   `duplicate` ({ of, kind, similarity }, null for other files), and
+ *   come last.
  * @returns {Promise<Object>} fileCategories
  */
-async function processDirectory(dirPath, currentDepth, maxDepth = 5) {
+async function processDirectory(
+    dirPath,
+    currentDepth,
+    maxDepth = 5,
+    options = {}
+) {
     const fileCategories = {};
     if (currentDepth > maxDepth) {
         return fileCategories;
     }
+    // The top-level call looks for duplicates in the whole tree first
+    if (DUPLICATE_DETECTION && !options.duplicates) {
+        return processWithDuplicates(dirPath, currentDepth, maxDepth, options);
+    }
+    const aiOptions = { taxonomy: options.taxonomy, signal: options.signal };
+    const rootPath = options.rootPath || dirPath;
+    const rules = getRules();
 
     const items = await fs.readdir(dirPath);
+    const files = [];
     for (const item of items) {
+        if (options.signal && options.signal.aborted) break;
+
         const itemPath = path.join(dirPath, item);
         const stats = await fs.stat(itemPath);
 
@@ -25,142 +173,965 @@ async function processDirectory(dirPath, currentDepth, maxDepth = 5) {
             const subDirCategories = await processDirectory(
                 itemPath,
                 currentDepth + 1,
-                maxDepth
+                maxDepth,
+                { ...options, rootPath }
             );
             for (const category in subDirCategories) {
                 if (!fileCategories[category]) fileCategories[category] = [];
                 fileCategories[category].push(...subDirCategories[category]);
             }
         } else {
-            const ext = path.extname(itemPath).toLowerCase();
-            let category = "Uncategorized";
+            files.push({ item, itemPath, stats });
+        }
+    }
+
+    // Categorize this folder's files in parallel; model calls are further
+    // limited by the provider's scheduler
+    const { duplicates } = options;
+    const context = {
+        rules,
+        rootPath,
+        taxonomy: options.taxonomy,
+        aiOptions,
+        batch: BATCH_SIZE > 1 && supportsBatch(),
+        hashes: duplicates && duplicates.hashes,
+        texts: duplicates && duplicates.texts,
+    };
+    const records = new Array(files.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < files.length) {
+            if (options.signal && options.signal.aborted) return;
+            const index = next++;
+            const { item, itemPath, stats } = files[index];
+            const duplicate = duplicates && duplicates.of.get(itemPath);
+            if (duplicate) {
+                // Decided once its canonical copy is done
+                duplicates.pending.push({ item, itemPath, stats, duplicate });
+                continue;
+            }
+            records[index] = await processFile(itemPath, item, stats, context);
+            if (options.onFile && !records[index].deferred) {
+                options.onFile(records[index]);
+            }
+        }
+    };
+    await Promise.all(
+        Array.from({ length: Math.min(FILE_CONCURRENCY, files.length) }, worker)
+    );
+
+    // Small files left for a batched request
+    const deferred = records.filter((record) => record && record.deferred);
+    if (deferred.length > 0) {
+        const done = await categorizeDeferred(deferred, context);
+        done.forEach((record, i) => {
+            records[records.indexOf(deferred[i])] = record;
+            if (options.onFile) options.onFile(record);
+        });
+    }
+
+    for (const record of records) {
+        if (!record) continue;
+        if (duplicates && duplicates.canonicals.has(record.path)) {
+            duplicates.records.set(record.path, record);
+        }
+        if (!fileCategories[record.category]) {
+            fileCategories[record.category] = [];
+        }
+        fileCategories[record.category].push(record.path);
+    }
+    return fileCategories;
+}
+
+/**
+ * processDirectory with duplicate detection: finds duplicates below
+ * dirPath, categorizes everything else and then gives each duplicate the
+ * decision of its canonical copy, so copies cost no model calls
+ * @param {string} dirPath
+ * @param {number} currentDepth
+ * @param {number} maxDepth
+ * @param {Object} options - See processDirectory
+ * @returns {Promise<Object>} fileCategories
+ */
+async function processWithDuplicates(dirPath, currentDepth, maxDepth, options) {
+    const rootPath = options.rootPath || dirPath;
+    const scanned = await scanFiles(
+        dirPath,
+        currentDepth,
+        maxDepth,
+        rootPath,
+        options.signal
+    );
+    const of = findDuplicates(scanned);
+    const duplicates = {
+        of,
+        hashes: new Map(scanned.map((file) => [file.path, file.hash])),
+        texts: new Map(
+            scanned
+                .filter((file) => file.text !== undefined)
+                .map((file) => [file.path, file.text])
+        ),
+        canonicals: new Set([...of.values()].map((duplicate) => duplicate.of)),
+        records: new Map(),
+        pending: [],
+    };
+    if (of.size > 0) {
+        console.log(`Found ${of.size} duplicate file(s) below ${dirPath}`);
+    }
+
+    const fileCategories = await processDirectory(
+        dirPath,
+        currentDepth,
+        maxDepth,
+        { ...options, rootPath, duplicates }
+    );
+
+    for (const { item, itemPath, stats, duplicate } of duplicates.pending) {
+        const canonical = duplicates.records.get(duplicate.of);
+        // Cancelled before its canonical copy was done
+        if (!canonical) continue;
+        const record = {
+            ...canonical,
+            path: itemPath,
+            name: item,
+            size: stats.size,
+            hash: duplicates.hashes.get(itemPath),
+            cached: false,
+            duplicate,
+            durationMs: 0,
+        };
+        if (options.onFile) options.onFile(record);
+        if (!fileCategories[record.category]) {
+            fileCategories[record.category] = [];
+        }
+        fileCategories[record.category].push(record.path);
+    }
+    return fileCategories;
+}
+
+/**
+ * Hash every file below a folder and MinHash the text of those that have
+ * some, for duplicate detection
+ * @param {string} dirPath
+ * @param {number} currentDepth
+ * @param {number} maxDepth - Same limit as processDirectory
+ * @param {string} rootPath - Archive root for relative paths
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object[]>} - { path, relativePath, hash, signature }
+ *   per file, see findDuplicates; PDF, Office and mail files also keep
+ *   their extracted `text`, so it isn't extracted again for categorizing
+ */
+async function scanFiles(dirPath, currentDepth, maxDepth, rootPath, signal) {
+    const scanned = [];
+    if (currentDepth > maxDepth) return scanned;
+    for (const item of await fs.readdir(dirPath)) {
+        if (signal && signal.aborted) break;
+        const itemPath = path.join(dirPath, item);
+        const stats = await fs.stat(itemPath);
+        if (stats.isDirectory()) {
+            scanned.push(
+                ...(await scanFiles(
+                    itemPath,
+                    currentDepth + 1,
+                    maxDepth,
+                    rootPath,
+                    signal
+                ))
+            );
+            continue;
+        }
+        const ext = path.extname(item).toLowerCase();
+        let signature = null;
+        let text;
+        if (
+            stats.size <= NEAR_DUPLICATE_MAX_BYTES &&
+            (BATCH_EXTENSIONS.includes(ext) ||
+                ext === ".pdf" ||
+                OFFICE_EXTENSIONS.includes(ext) ||
+                MAIL_EXTENSIONS.includes(ext))
+        ) {
+            // Unreadable files are only compared by hash
+            const extracted = await extractText(itemPath, ext).catch(
+                () => null
+            );
+            signature = minHash(extracted || "");
+            // Plain text is cheap to read again; other formats are not
+            if (extracted !== null && !BATCH_EXTENSIONS.includes(ext)) {
+                text = extracted;
+            }
+        }
+        scanned.push({
+            path: itemPath,
+            relativePath: path
+                .relative(rootPath, itemPath)
+                .split(path.sep)
+                .join("/"),
+            hash: await hashFile(itemPath),
+            signature,
+            text,
+        });
+    }
+    return scanned;
+}
+
+/**
+ * Categorize one file: rules first, then examples learned from corrections,
+ * then the cache, then the model. Its text is scanned for sensitive data
+ * first; the model only sees it masked (see sensitive.js).
+ * @param {string} itemPath
+ * @param {string} item - File name
+ * @param {fs.Stats} stats
+ * @param {Object} context
+ * @param {Object[]} context.rules - Compiled rules
+ * @param {string} context.rootPath - Archive root for relative paths
+ * @param {Object} [context.taxonomy]
+ * @param {Object} context.aiOptions - Options passed to the provider
+ * @param {boolean} [context.batch] - Defer small text files to a batch
+ * @param {Map<string, string>} [context.hashes] - Content hashes computed
+ *   while looking for duplicates
+ * @param {Map<string, string>} [context.texts] - Text extracted while
+ *   looking for duplicates; taken out once used
+ * @returns {Promise<Object>} - The record passed to `onFile`, or one with
+ *   `deferred` set when the file waits for a batched request
+ */
+async function processFile(
+    itemPath,
+    item,
+    stats,
+    { rules, rootPath, taxonomy, aiOptions, batch, hashes, texts }
+) {
+    const ext = path.extname(itemPath).toLowerCase();
+    let category = "Uncategorized";
+    let answer = null;
+    let decidedBy = "fallback";
+    let cached = false;
+    let error = null;
+    let contentHash = null;
+    let type = null;
+    let extraction = "metadata";
+    const startedAt = Date.now();
+    // Extract the text at most once, shared by rules and the model
+    let textPromise = null;
+    const loadText = () => {
+        if (!textPromise && texts && texts.has(itemPath)) {
+            textPromise = Promise.resolve(texts.get(itemPath));
+            texts.delete(itemPath);
+        }
+        if (!textPromise) textPromise = extractText(itemPath, ext);
+        return textPromise;
+    };
+    let scanPromise = null;
+    const scan = () => {
+        if (!scanPromise) scanPromise = loadText().then(scanText);
+        return scanPromise;
+    };
+    // What the model gets to see
+    const loadModelText = async () =>
+        SENSITIVE_REDACTION ? (await scan()).masked : loadText();
+    let sensitive = [];
+
+    try {
+        contentHash =
+            (hashes && hashes.get(itemPath)) || (await hashFile(itemPath));
+        type = await detectType(itemPath, ext);
+        // Unreadable files are handled when the model is asked
+        if (SENSITIVE_DETECTION) {
+            sensitive = await scan().then(
+                (result) => result.findings,
+                () => []
+            );
+        }
+        const rule = await evaluateRules(
+            rules,
+            {
+                name: item,
+                relativePath: path
+                    .relative(rootPath, itemPath)
+                    .split(path.sep)
+                    .join("/"),
+                ext,
+                size: stats.size,
+            },
+            loadText
+        );
+
+        const learned = rule
+            ? { match: null, similar: [] }
+            : await learnedExamples(loadText, taxonomy);
+
+        // Deterministic rules win over the model
+        if (rule) {
+            category = rule.category;
+            decidedBy = `rule:${rule.id}`;
+            if (textPromise) extraction = textExtraction(ext);
+        }
+        // A person filed nearly the same content before
+        else if (learned.match) {
+            category = learned.match.category;
+            decidedBy = `example:${learned.match.id}`;
+            extraction = textExtraction(ext);
+        }
+        // Same content, prompt, model and taxonomy as a previous run:
+        // reuse that answer instead of asking again
+        else {
+            const provider = getProvider();
+            const scope = cacheScope(provider, taxonomy, learned.similar);
+            const key = cacheKey(contentHash, scope);
+            const entry = await getCached(key);
+            if (entry) {
+                answer = entry.answer;
+                extraction = entry.extraction || null;
+                cached = true;
+            } else if (
+                batch &&
+                BATCH_EXTENSIONS.includes(ext) &&
+                stats.size <= BATCH_MAX_FILE_BYTES
+            ) {
+                return {
+                    path: itemPath,
+                    name: item,
+                    size: stats.size,
+                    hash: contentHash,
+                    type,
+                    sensitive,
+                    deferred: {
+                        // Sampled once the batch is built
+                        content: await loadModelText(),
+                        examples: learned.similar,
+                        cache: { key, contentHash, scope },
+                        provider: provider.name,
+                    },
+                    startedAt,
+                };
+            } else {
+                const result = await categorizeFile(
+                    itemPath,
+                    item,
+                    ext,
+                    loadModelText,
+                    { ...aiOptions, examples: learned.similar }
+                );
+                ({ category, answer, extraction } = result);
+                // Text read from images by OCR
+                if (result.sensitive) sensitive = result.sensitive;
+                if (answer) {
+                    await setCached(key, {
+                        answer,
+                        extraction,
+                        contentHash,
+                        filename: item,
+                        ...scope,
+                    });
+                }
+            }
+            if (answer) {
+                category = answer.category;
+                decidedBy = `model:${provider.name}`;
+            }
+        }
+    } catch (e) {
+        console.error(`Error processing ${itemPath}:`, e.message);
+        error = e.reason || e.message;
+    }
+
+    return fileRecord(
+        {
+            path: itemPath,
+            name: item,
+            size: stats.size,
+            hash: contentHash,
+            type,
+            extraction,
+            category,
+            answer,
+            decidedBy,
+            cached,
+            sensitive,
+            error,
+            startedAt,
+        },
+        taxonomy
+    );
+}
+
+/**
+ * Examples learned from corrections that resemble a file's text. The text
+ * is only extracted when there are examples to compare with.
+ * @param {() => Promise<string>} loadText - Memoized text extraction
+ * @param {Object} [taxonomy]
+ * @returns {Promise<{match: Object|null, similar: Object[]}>} - See
+ *   findExamples
+ */
+async function learnedExamples(loadText, taxonomy) {
+    if (!(await hasExamples(taxonomy))) return { match: null, similar: [] };
+    // Unreadable files are handled when the model is asked
+    const text = await loadText().catch(() => "");
+    const { match, similar } = await findExamples(text, taxonomy);
+    // The category becomes a folder; examples stored before categories
+    // were validated may still lead out of the output folder
+    const category = match && sanitizeCategory(match.category);
+    // Similar examples become part of the prompt
+    return {
+        match: category ? { ...match, category } : null,
+        similar: similar.map((example) => ({
+            ...example,
+            excerpt: redact(example.excerpt),
+        })),
+    };
+}
+
+/**
+ * Final record of a file. Maps the category onto the taxonomy and routes
+ * model answers below CONFIDENCE_THRESHOLD to NEEDS_REVIEW_CATEGORY, keeping
+ * the model's choice as `suggestedCategory`.
+ * @param {Object} file - { path, name, size, hash, type, extraction,
+ *   category, answer, decidedBy, cached, sensitive, error, startedAt };
+ *   `answer` is the model's answer or null, `sensitive` the findings of
+ *   scanText
+ * @param {Object} [taxonomy]
+ * @returns {Object} - The record passed to `onFile`
+ */
+function fileRecord(file, taxonomy) {
+    const { answer, error } = file;
+    let category = error ? "Error_Processing" : file.category;
+    let secondaryCategory = answer ? answer.secondaryCategory : null;
+    // Constrained mode: only taxonomy categories (or its fallback)
+    if (taxonomy && !error) {
+        category = resolveCategory(taxonomy, category);
+        if (secondaryCategory) {
+            secondaryCategory = matchCategory(taxonomy, secondaryCategory);
+        }
+    }
+    const needsReview = Boolean(
+        answer &&
+            !error &&
+            answer.confidence !== null &&
+            answer.confidence < CONFIDENCE_THRESHOLD
+    );
 
+    return {
+        path: file.path,
+        name: file.name,
+        size: file.size,
+        hash: file.hash,
+        type: file.type,
+        extraction: file.extraction,
+        category: needsReview ? NEEDS_REVIEW_CATEGORY : category,
+        suggestedCategory: needsReview ? category : null,
+        raw: answer ? answer.category : null,
+        confidence: answer ? answer.confidence : null,
+        rationale: answer ? answer.rationale : null,
+        tags: answer ? answer.tags : [],
+        secondaryCategory,
+        needsReview,
+        decidedBy: file.decidedBy,
+        cached: file.cached,
+        sensitive: file.sensitive || [],
+        duplicate: null,
+        error,
+        durationMs: Date.now() - file.startedAt,
+    };
+}
+
+/**
+ * Categorize deferred small files in batches of BATCH_SIZE. Files a batch
+ * reply leaves out (or all of them, when the batch call fails) are asked
+ * about one by one.
+ * @param {Object[]} deferred - Records returned by processFile
+ * @param {Object} context - See processFile
+ * @returns {Promise<Object[]>} - Final records, in the same order
+ */
+async function categorizeDeferred(deferred, { taxonomy, aiOptions }) {
+    const answers = new Map();
+    const batches = [];
+    for (let i = 0; i < deferred.length; i += BATCH_SIZE) {
+        batches.push(deferred.slice(i, i + BATCH_SIZE));
+    }
+    await Promise.all(
+        batches.map(async (files) => {
             try {
-                // PDF files - can use PDF parser to extract text
-                if (ext === ".pdf") {
-                    const pdfText = await extractTextFromPDF(itemPath);
-                    category = await categorizeContent(
-                        pdfText.slice(0, 4000),
-                        item
-                    );
+                const reply = await categorizeBatch(
+                    files.map((file) => ({
+                        filename: file.name,
+                        content: sampleContent(
+                            file.deferred.content,
+                            file.name,
+                            BATCH_EXCERPT_TOKENS
+                        ),
+                    })),
+                    { ...aiOptions, examples: batchExamples(files) }
+                );
+                for (const file of files) {
+                    if (reply[file.name]) answers.set(file, reply[file.name]);
                 }
-                // Text-like files
-                else if (
-                    [
-                        ".txt",
-                        ".md",
-                        ".json",
-                        ".csv",
-                        ".js",
-                        ".py",
-                        ".html",
-                        ".css",
-                    ].includes(ext)
-                ) {
-                    const content = await fsPromises.readFile(itemPath, "utf8");
-                    category = await categorizeContent(
-                        content.slice(0, 4000),
-                        item
+            } catch (error) {
+                console.error(
+                    `Batch of ${files.length} files failed, asking one by one:`,
+                    error.message
+                );
+            }
+        })
+    );
+
+    return Promise.all(
+        deferred.map(async (file) => {
+            const { content, examples, cache, provider } = file.deferred;
+            let answer = answers.get(file) || null;
+            let error = null;
+            try {
+                if (!answer) {
+                    answer = await categorizeContent(
+                        sampleContent(
+                            content,
+                            file.name,
+                            getProvider().contentTokens
+                        ),
+                        file.name,
+                        { ...aiOptions, examples }
                     );
                 }
-                // Office documents - could use dedicated parsers
-                else if (
-                    [
-                        ".doc",
-                        ".docx",
-                        ".xls",
-                        ".xlsx",
-                        ".ppt",
-                        ".pptx",
-                    ].includes(ext)
-                ) {
-                    // For production, implement proper Office document text extraction
-                    // For now, we'll categorize based on extension but with more specific categories
-                    if ([".xls", ".xlsx"].includes(ext)) {
-                        category = "Spreadsheet";
-                    } else if ([".ppt", ".pptx"].includes(ext)) {
-                        category = "Presentation";
-                    } else {
-                        category = "Word Document";
-                    }
-                }
-                // Images - use filename and possibly image recognition API
-                else if (
-                    [".jpg", ".jpeg", ".png", ".gif", ".bmp"].includes(ext)
-                ) {
-                    // Consider image recognition APIs for better categorization
-                    // For now, a simple categorization based on filename patterns
-                    if (
-                        item.toLowerCase().includes("invoice") ||
-                        item.toLowerCase().includes("receipt")
-                    ) {
-                        category = "Receipt/Invoice Image";
-                    } else if (item.toLowerCase().includes("screenshot")) {
-                        category = "Screenshot";
-                    } else {
-                        category = "Image";
-                    }
-                }
-                // Other file types - try to read as text, otherwise fallback
-                else {
-                    try {
-                        const content = await fsPromises.readFile(
-                            itemPath,
-                            "utf8"
-                        );
-                        category = await categorizeContent(
-                            content.slice(0, 4000),
-                            item
-                        );
-                    } catch {
-                        category = "Other";
-                    }
-                }
+                await setCached(cache.key, {
+                    answer,
+                    extraction: "text",
+                    contentHash: cache.contentHash,
+                    filename: file.name,
+                    ...cache.scope,
+                });
             } catch (e) {
-                console.error(`Error processing ${itemPath}:`, e);
-                category = "Error_Processing";
+                console.error(`Error processing ${file.path}:`, e.message);
+                error = e.reason || e.message;
+                answer = null;
             }
 
-            if (!fileCategories[category]) fileCategories[category] = [];
-            fileCategories[category].push(itemPath);
+            return fileRecord(
+                {
+                    path: file.path,
+                    name: file.name,
+                    size: file.size,
+                    hash: file.hash,
+                    type: file.type,
+                    extraction: "text",
+                    category: answer ? answer.category : null,
+                    answer,
+                    decidedBy: answer ? `model:${provider}` : "fallback",
+                    cached: false,
+                    sensitive: file.sensitive,
+                    error,
+                    startedAt: file.startedAt,
+                },
+                taxonomy
+            );
+        })
+    );
+}
+
+/**
+ * Few-shot examples for a batch: the most similar ones of all its files,
+ * as many as a single file would get
+ * @param {Object[]} files - Deferred records
+ * @returns {Object[]}
+ */
+function batchExamples(files) {
+    const byId = new Map();
+    for (const file of files) {
+        for (const example of file.deferred.examples) {
+            const seen = byId.get(example.id);
+            if (!seen || seen.similarity < example.similarity) {
+                byId.set(example.id, example);
+            }
         }
     }
-    return fileCategories;
+    const limit = Math.max(
+        0,
+        ...files.map((file) => file.deferred.examples.length)
+    );
+    return [...byId.values()]
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit);
+}
+
+/**
+ * Categorize a single file by its type and content
+ * @param {string} itemPath
+ * @param {string} item - File name
+ * @param {string} ext - Lower-case extension including the dot
+ * @param {() => Promise<string>} loadText - Memoized text extraction,
+ *   masked for the model; sampled to the provider's token budget (see
+ *   sampling/)
+ * @param {Object} aiOptions - Options passed to the provider
+ * @returns {Promise<{category: string, answer: Object|null, extraction:
+ *   string, sensitive?: Object[]}>} - `answer` is the model's answer, or
+ *   null when no model was asked; `extraction` says what the decision was
+ *   based on (see textExtraction, plus "vision", "ocr" and "metadata");
+ *   `sensitive` holds the findings in OCR text
+ */
+async function categorizeFile(itemPath, item, ext, loadText, aiOptions) {
+    const ask = async (text) => {
+        const answer = await categorizeContent(
+            sampleContent(text, item, getProvider().contentTokens),
+            item,
+            aiOptions
+        );
+        return {
+            category: answer.category,
+            answer,
+            extraction: textExtraction(ext),
+        };
+    };
+
+    // PDF files - can use PDF parser to extract text
+    if (ext === ".pdf") {
+        const pdfText = await loadText();
+        const data = isScannedPDFText(pdfText)
+            ? await readForVision(itemPath, "application/pdf")
+            : null;
+        if (data) {
+            // Scanned PDF without a text layer
+            const answer = await categorizeAttachment(
+                { mimeType: "application/pdf", data },
+                item,
+                aiOptions
+            );
+            return { category: answer.category, answer, extraction: "vision" };
+        }
+        return ask(pdfText);
+    }
+    // Office documents - OOXML and OpenDocument are zipped XML, so their
+    // text can be extracted and categorized like PDFs
+    if (OFFICE_EXTENSIONS.includes(ext)) {
+        const officeText = await loadText();
+        if (officeText.trim()) {
+            return ask(officeText);
+        }
+        return {
+            category: officeFormatCategory(ext),
+            answer: null,
+            extraction: "metadata",
+        };
+    }
+    // Email - subject, correspondents and body instead of raw MIME
+    if (MAIL_EXTENSIONS.includes(ext)) {
+        const mailText = await loadText();
+        if (mailText.trim()) {
+            return ask(mailText);
+        }
+        return { category: "Email", answer: null, extraction: "metadata" };
+    }
+    // Legacy binary Office formats - no text extraction available
+    if ([".doc", ".xls", ".ppt"].includes(ext)) {
+        return {
+            category: officeFormatCategory(ext),
+            answer: null,
+            extraction: "metadata",
+        };
+    }
+    // Images - send to a vision model or OCR them so a photo of an invoice
+    // lands next to PDF invoices
+    if (IMAGE_MIME_TYPES[ext]) {
+        return categorizeImage(
+            itemPath,
+            item,
+            IMAGE_MIME_TYPES[ext],
+            aiOptions
+        );
+    }
+    // Text-like and other file types - try to read as text, otherwise
+    // fallback
+    let content;
+    try {
+        content = await loadText();
+    } catch {
+        return { category: "Other", answer: null, extraction: "metadata" };
+    }
+    return ask(content);
+}
+
+/**
+ * Read a file for inline submission to a vision model, or return null when
+ * vision is disabled, unsupported for this type, or the file is too large
+ * @param {string} filePath
+ * @param {string} mimeType
+ * @returns {Promise<Buffer|null>}
+ */
+async function readForVision(filePath, mimeType) {
+    if (!["auto", "vision"].includes(IMAGE_STRATEGY)) return null;
+    if (!supportsAttachment(mimeType)) return null;
+    const { size } = await fs.stat(filePath);
+    if (size > MAX_INLINE_ATTACHMENT_MB * 1024 * 1024) return null;
+    return fs.readFile(filePath);
+}
+
+/**
+ * Whether PDF extraction produced no usable text (scanned document)
+ * @param {string} pdfText
+ * @returns {boolean}
+ */
+function isScannedPDFText(pdfText) {
+    return (
+        pdfText.trim().length < MIN_TEXT_LENGTH ||
+        pdfText.startsWith("[PDF text extraction failed")
+    );
+}
+
+/**
+ * Categorize an image by vision model or OCR, falling back to "Image"
+ * (filename conventions are handled by rules)
+ * @param {string} itemPath
+ * @param {string} item - File name
+ * @param {string} mimeType
+ * @param {Object} [aiOptions] - Options passed through to the provider
+ * @returns {Promise<{category: string, answer: ?Object, extraction: string,
+ *   sensitive?: Object[]}>}
+ */
+async function categorizeImage(itemPath, item, mimeType, aiOptions = {}) {
+    const data = await readForVision(itemPath, mimeType);
+    if (data) {
+        const answer = await categorizeAttachment(
+            { mimeType, data },
+            item,
+            aiOptions
+        );
+        return { category: answer.category, answer, extraction: "vision" };
+    }
+
+    if (
+        ["auto", "ocr"].includes(IMAGE_STRATEGY) &&
+        OCR_MIME_TYPES.includes(mimeType) &&
+        isOcrAvailable()
+    ) {
+        let text = "";
+        try {
+            text = await extractTextFromImage(await fs.readFile(itemPath));
+        } catch (error) {
+            console.error(`OCR failed for ${itemPath}:`, error.message);
+        }
+        if (text.length >= MIN_TEXT_LENGTH) {
+            const { masked, findings } = scanText(text);
+            const answer = await categorizeContent(
+                sampleContent(
+                    SENSITIVE_REDACTION ? masked : text,
+                    item,
+                    getProvider().contentTokens
+                ),
+                item,
+                aiOptions
+            );
+            return {
+                category: answer.category,
+                answer,
+                extraction: "ocr",
+                sensitive: findings,
+            };
+        }
+    }
+
+    return { category: "Image", answer: null, extraction: "metadata" };
+}
+
+/**
+ * Extract the text of a file for rules and the model
+ * @param {string} itemPath
+ * @param {string} ext - Lower-case extension including the dot
+ * @returns {Promise<string>} - Text; empty for formats without text
+ */
+async function extractText(itemPath, ext) {
+    if (ext === ".pdf") {
+        return extractTextFromPDF(itemPath);
+    }
+    if (OFFICE_EXTENSIONS.includes(ext)) {
+        try {
+            return await extractTextFromOffice(itemPath, ext);
+        } catch (error) {
+            console.error(
+                `Error extracting text from ${itemPath}:`,
+                error.message
+            );
+            return "";
+        }
+    }
+    if (MAIL_EXTENSIONS.includes(ext)) {
+        try {
+            return await extractTextFromMail(itemPath, ext);
+        } catch (error) {
+            console.error(
+                `Error extracting text from ${itemPath}:`,
+                error.message
+            );
+            return "";
+        }
+    }
+    if (IMAGE_MIME_TYPES[ext] || [".doc", ".xls", ".ppt"].includes(ext)) {
+        return "";
+    }
+    return fsPromises.readFile(itemPath, "utf8");
+}
+
+/**
+ * How extractText gets a file's text, for reports
+ * @param {string} ext - Lower-case extension including the dot
+ * @returns {string} - "pdf-text", "office-text", "mail-text" or "text"
+ */
+function textExtraction(ext) {
+    if (ext === ".pdf") return "pdf-text";
+    if (OFFICE_EXTENSIONS.includes(ext)) return "office-text";
+    if (MAIL_EXTENSIONS.includes(ext)) return "mail-text";
+    return "text";
+}
+
+/**
+ * Fallback category for office files whose content could not be read
+ * @param {string} ext - Lower-case extension including the dot
+ * @returns {string}
+ */
+function officeFormatCategory(ext) {
+    if ([".xls", ".xlsx", ".ods"].includes(ext)) {
+        return "Spreadsheet";
+    }
+    if ([".ppt", ".pptx", ".odp"].includes(ext)) {
+        return "Presentation";
+    }
+    return "Word Document";
+}
+
+/**
+ * Pick an output path that no other file has taken yet. Comparison ignores
+ * case, so the result zip also extracts cleanly on Windows and macOS.
+ * @param {string} relativePath - Wanted path, "/" separated
+ * @param {Set<string>} used - Lower-cased paths already taken; updated
+ * @returns {string}
+ */
+function uniqueOutputPath(relativePath, used) {
+    const ext = path.posix.extname(relativePath);
+    const base = relativePath.slice(0, relativePath.length - ext.length);
+    let candidate = relativePath;
+    // "invoice.pdf", "invoice (2).pdf", "invoice (3).pdf", ...
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = `${base} (${n})${ext}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
 }
 
 /**
  * Organize files into category folders
  * @param {Object} fileCategories
  * @param {string} outputPath
+ * @param {Object} [options]
+ * @param {boolean} [options.normalize=true] - Merge similar categories first
+ *   with the default merge strategy (see merging/); turned off for taxonomy
+ *   categories, which are already canonical
+ * @param {string} [options.layout="flat"] - "flat" puts files directly in
+ *   their category folder, renaming on name collisions; "preserve" keeps
+ *   their folders below the category (category/original/relative/path)
+ * @param {string} [options.root] - Folder the original paths are relative
+ *   to; required for the "preserve" layout
+ * @param {boolean} [options.move=false] - Move the files instead of
+ *   copying them
+ * @param {Object} [options.names] - file path -> new file name, for files
+ *   that are renamed (see naming.js); collisions are resolved as usual
+ * @returns {Promise<{groups: Object, outputs: Object}>} - Normalized
+ *   categories (group name -> file paths) and where each file was written
+ *   (file path -> output path relative to outputPath, null if copying failed)
  */
-async function organizeFilesByCategory(fileCategories, outputPath) {
-    // Apply smart normalization and grouping to categories
-    const normalizedCategories = await normalizeCategoriesAndGroup(
-        fileCategories
-    );
+async function organizeFilesByCategory(
+    fileCategories,
+    outputPath,
+    options = {}
+) {
+    const layout = options.layout || OUTPUT_LAYOUT;
+    if (!OUTPUT_LAYOUTS.includes(layout)) {
+        throw new Error(
+            `Unknown output layout "${layout}". Use one of: ${OUTPUT_LAYOUTS.join(
+                ", "
+            )}`
+        );
+    }
 
-    // Create folders and copy files using the normalized categories
+    // Merge similar categories unless the groups are final already
+    const normalizedCategories =
+        options.normalize === false
+            ? fileCategories
+            : (
+                  await mergeCategories(fileCategories, {
+                      keep: RESERVED_CATEGORIES,
+                  })
+              ).groups;
+
+    // Create folders and copy (or move) files using the normalized categories
+    const [verb, done, transfer] = options.move
+        ? [
+              "move",
+              "Moved",
+              (from, to) => fs.move(from, to, { overwrite: false }),
+          ]
+        : [
+              "copy",
+              "Copied",
+              (from, to) =>
+                  fs.copy(from, to, { overwrite: false, errorOnExist: true }),
+          ];
+    const used = new Set();
+    const outputs = {};
     for (const category in normalizedCategories) {
         const categoryPath = path.join(outputPath, category);
         await fs.ensureDir(categoryPath);
 
         for (const filePath of normalizedCategories[category]) {
-            const fileName = path.basename(filePath);
-            const destPath = path.join(categoryPath, fileName);
+            const name =
+                (options.names && options.names[filePath]) ||
+                path.basename(filePath);
+            const relativePath =
+                layout === "preserve" && options.root
+                    ? path.join(
+                          path.dirname(path.relative(options.root, filePath)),
+                          name
+                      )
+                    : name;
+            const outputFile = uniqueOutputPath(
+                [category, ...relativePath.split(path.sep)].join("/"),
+                used
+            );
+            const destPath = path.join(outputPath, ...outputFile.split("/"));
             try {
-                await fs.copy(filePath, destPath);
-                console.log(`Copied: ${filePath} -> ${destPath}`);
+                await transfer(filePath, destPath);
+                outputs[filePath] = outputFile;
+                console.log(`${done}: ${filePath} -> ${destPath}`);
             } catch (error) {
-                console.error(`Failed to copy ${filePath}:`, error);
+                outputs[filePath] = null;
+                console.error(`Failed to ${verb} ${filePath}:`, error);
             }
         }
     }
+
+    return { groups: normalizedCategories, outputs };
+}
+
+/**
+ * Text of one PDF page, one line per text row as pdf-parse renders it by
+ * default, followed by a form feed so samplers can tell the pages apart
+ * @param {Object} pageData - pdf.js page
+ * @returns {Promise<string>}
+ */
+async function renderPage(pageData) {
+    const { items } = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false,
+    });
+    let text = "";
+    let lastY;
+    for (const item of items) {
+        const y = item.transform[5];
+        text += lastY === undefined || lastY === y ? item.str : `\n${item.str}`;
+        lastY = y;
+    }
+    return `${text}\f`;
 }
 
 /**
  * Extract text content from a PDF file
  * @param {string} pdfPath - Path to the PDF file
- * @returns {Promise<string>} - Extracted text content
+ * @returns {Promise<string>} - Extracted text content, each page ending in
+ *   a form feed
  */
 async function extractTextFromPDF(pdfPath) {
     try {
@@ -175,7 +1146,10 @@ async function extractTextFromPDF(pdfPath) {
         const options = {
             // Limit the number of pages to parse if the PDF is very large
             // Set to 0 for all pages (might be slow for large files)
-            max: 20,
+            max: PDF_MAX_PAGES,
+
+            // Mark the end of each page
+            pagerender: renderPage,
 
             // Extract hyperlinks (useful for some categorizations)
             hyperlinks: true,
@@ -199,324 +1173,14 @@ async function extractTextFromPDF(pdfPath) {
     }
 }
 
-/**
- * Smart category normalization and grouping
- * @param {Object} fileCategories - The original file categories object
- * @returns {Object} - Normalized file categories
- */
-async function normalizeCategoriesAndGroup(fileCategories) {
-    // Step 1: Create a map of original categories to normalized categories
-    const categoryMap = {};
-    const normalizedCategories = {};
-    const categoryGroups = [];
-
-    // Basic normalization function
-    const basicNormalize = (category) => {
-        return category
-            .toLowerCase()
-            .replace(/&/g, " and ")
-            .replace(/[^\w\s]/g, " ")
-            .replace(/\s+/g, " ")
-            .trim();
-    };
-
-    // Define comprehensive synonyms and related terms for all possible file categorization scenarios
-    const synonymGroups = [
-        // Financial & Accounting
-        ["report", "statement", "analysis", "summary", "overview", "review"],
-        ["invoice", "bill", "receipt", "voucher", "ticket", "stub"],
-        ["sales", "revenue", "income", "earnings", "proceeds"],
-        ["expense", "cost", "expenditure", "spending", "outlay"],
-        ["stock", "inventory", "assets", "holdings", "shares"],
-        ["budget", "forecast", "projection", "estimate", "plan"],
-        ["profit", "loss", "pnl", "p&l", "earnings"],
-        ["tax", "taxes", "taxation", "duty", "levy"],
-        ["audit", "auditing", "compliance", "verification"],
-        ["payroll", "salary", "wages", "compensation"],
-        ["balance", "sheet", "financial", "fiscal"],
-
-        // Legal & Contracts
-        ["contract", "agreement", "deal", "arrangement", "pact"],
-        ["legal", "law", "lawyer", "attorney", "counsel"],
-        ["license", "permit", "authorization", "certification"],
-        ["terms", "conditions", "policy", "policies"],
-        ["compliance", "regulation", "regulatory", "rule"],
-        ["lawsuit", "litigation", "dispute", "claim"],
-        ["patent", "trademark", "copyright", "intellectual property"],
-        ["nda", "non disclosure", "confidentiality"],
-
-        // HR & Employment
-        ["resume", "cv", "curriculum vitae", "bio", "profile"],
-        ["employee", "staff", "personnel", "worker"],
-        ["job", "position", "role", "employment"],
-        ["hire", "hiring", "recruitment", "onboarding"],
-        ["performance", "evaluation", "appraisal", "review"],
-        ["training", "development", "education", "learning"],
-        ["benefit", "benefits", "compensation", "package"],
-
-        // Communication & Correspondence
-        ["letter", "correspondence", "mail", "email", "message"],
-        ["memo", "memorandum", "notice", "announcement"],
-        ["newsletter", "bulletin", "update", "communication"],
-        ["proposal", "offer", "bid", "quote", "quotation"],
-        ["presentation", "slides", "deck", "slideshow"],
-        ["meeting", "minutes", "notes", "agenda"],
-
-        // Technical & IT
-        ["code", "script", "source", "program", "software"],
-        ["manual", "guide", "instruction", "documentation", "doc"],
-        ["specification", "spec", "requirement", "design"],
-        ["config", "configuration", "settings", "setup"],
-        ["log", "logs", "logging", "debug", "trace"],
-        ["database", "db", "data", "dataset", "records"],
-        ["backup", "archive", "copy", "duplicate"],
-        ["security", "password", "credential", "auth"],
-        ["api", "interface", "endpoint", "service"],
-        ["test", "testing", "qa", "quality", "validation"],
-
-        // Marketing & Sales
-        ["marketing", "promotion", "advertising", "campaign"],
-        ["brochure", "flyer", "pamphlet", "leaflet"],
-        ["catalog", "catalogue", "brochure", "portfolio"],
-        ["customer", "client", "prospect", "lead"],
-        ["product", "service", "offering", "solution"],
-        ["brand", "branding", "identity", "logo"],
-        ["social", "media", "digital", "online"],
-
-        // Project Management
-        ["project", "initiative", "program", "effort"],
-        ["timeline", "schedule", "plan", "roadmap"],
-        ["milestone", "deliverable", "task", "activity"],
-        ["resource", "allocation", "assignment", "distribution"],
-        ["status", "progress", "update", "tracker"],
-        ["risk", "issue", "problem", "concern"],
-
-        // Medical & Health
-        ["medical", "health", "healthcare", "clinical"],
-        ["patient", "record", "chart", "file"],
-        ["prescription", "medication", "drug", "medicine"],
-        ["treatment", "therapy", "procedure", "intervention"],
-        ["diagnosis", "condition", "disease", "illness"],
-        ["insurance", "claim", "coverage", "policy"],
-
-        // Real Estate
-        ["property", "real estate", "realty", "estate"],
-        ["lease", "rental", "rent", "tenancy"],
-        ["mortgage", "loan", "financing", "credit"],
-        ["inspection", "appraisal", "valuation", "assessment"],
-        ["deed", "title", "ownership", "property"],
-
-        // Education & Academic
-        ["course", "class", "lesson", "lecture"],
-        ["assignment", "homework", "project", "exercise"],
-        ["exam", "test", "quiz", "assessment"],
-        ["grade", "score", "mark", "result"],
-        ["thesis", "dissertation", "paper", "research"],
-        ["student", "pupil", "learner", "scholar"],
-        ["teacher", "instructor", "professor", "educator"],
-
-        // Creative & Media
-        ["image", "photo", "picture", "graphic"],
-        ["video", "movie", "film", "clip"],
-        ["audio", "sound", "music", "recording"],
-        ["design", "artwork", "creative", "visual"],
-        ["template", "layout", "format", "style"],
-        ["content", "material", "media", "asset"],
-
-        // General Document Types
-        ["form", "application", "request", "submission"],
-        ["certificate", "diploma", "award", "recognition"],
-        ["warranty", "guarantee", "service", "support"],
-        ["inventory", "list", "catalog", "index"],
-        ["schedule", "calendar", "timetable", "agenda"],
-        ["checklist", "todo", "task", "action"],
-
-        // Industry Specific
-        ["manufacturing", "production", "factory", "plant"],
-        ["retail", "store", "shop", "outlet"],
-        ["logistics", "shipping", "delivery", "transport"],
-        ["supply", "vendor", "supplier", "procurement"],
-        ["quality", "control", "assurance", "standard"],
-
-        // Time & Date Related
-        ["daily", "weekly", "monthly", "quarterly", "annual"],
-        ["year", "yearly", "annual", "12month"],
-        ["quarter", "quarterly", "q1", "q2", "q3", "q4"],
-        ["month", "monthly", "30day"],
-
-        // Action & Process Words
-        ["create", "creation", "develop", "development"],
-        ["update", "revision", "modification", "change"],
-        ["draft", "preliminary", "initial", "rough"],
-        ["final", "complete", "finished", "done"],
-        ["approved", "signed", "executed", "ratified"],
-        ["pending", "waiting", "review", "approval"],
-
-        // Format & File Types
-        ["spreadsheet", "excel", "csv", "data"],
-        ["document", "word", "text", "doc"],
-        ["pdf", "portable", "acrobat"],
-        ["image", "jpg", "png", "gif"],
-        ["archive", "zip", "compressed", "backup"],
-
-        // Organizational
-        ["admin", "administrative", "administration", "office"],
-        ["internal", "external", "public", "private"],
-        ["confidential", "secret", "classified", "restricted"],
-        ["draft", "working", "temp", "temporary"],
-        ["old", "archive", "historical", "legacy"],
-        ["new", "latest", "current", "recent"],
-
-        // Relationship & Contact
-        ["contact", "address", "phone", "directory"],
-        ["partner", "vendor", "supplier", "contractor"],
-        ["internal", "staff", "employee", "team"],
-        ["external", "client", "customer", "public"],
-    ];
-
-    // First pass: Normalize all categories and prepare for grouping
-    for (const category of Object.keys(fileCategories)) {
-        const normalized = basicNormalize(category);
-        categoryMap[category] = {
-            original: category,
-            normalized,
-            words: normalized.split(" ").filter((w) => w.length > 2),
-            hasBeenGrouped: false,
-        };
-    }
-
-    // Second pass: Group similar categories
-    const categoryEntries = Object.values(categoryMap);
-
-    for (let i = 0; i < categoryEntries.length; i++) {
-        const entry = categoryEntries[i];
-
-        // Skip if already grouped
-        if (entry.hasBeenGrouped) continue;
-
-        // Start a new group with this category
-        const group = {
-            categories: [entry.original],
-            primaryName: entry.original,
-        };
-        entry.hasBeenGrouped = true;
-
-        // Compare with all other categories
-        for (let j = 0; j < categoryEntries.length; j++) {
-            if (i === j) continue;
-
-            const otherEntry = categoryEntries[j];
-            if (otherEntry.hasBeenGrouped) continue;
-
-            let shouldGroup = false;
-
-            // Method 1: Exact match after normalization
-            if (entry.normalized === otherEntry.normalized) {
-                shouldGroup = true;
-            }
-
-            // Method 2: Check if they share the same significant words
-            else {
-                const entryWords = new Set(entry.words);
-                const otherWords = new Set(otherEntry.words);
-                const intersection = new Set(
-                    [...entryWords].filter((x) => otherWords.has(x))
-                );
-
-                // If they share significant words
-                if (intersection.size >= 2) {
-                    shouldGroup = true;
-                }
-                // If one is a subset of the other (with at least one significant word)
-                else if (
-                    intersection.size > 0 &&
-                    (intersection.size === entryWords.size ||
-                        intersection.size === otherWords.size)
-                ) {
-                    shouldGroup = true;
-                }
-            }
-
-            // Method 3: Check for synonym relationships
-            if (!shouldGroup) {
-                const entryWords = entry.words;
-                const otherWords = otherEntry.words;
-
-                // Check if they have synonymous terms
-                for (const synonymSet of synonymGroups) {
-                    const entryHasSynonym = entryWords.some((word) =>
-                        synonymSet.includes(word)
-                    );
-                    const otherHasSynonym = otherWords.some((word) =>
-                        synonymSet.includes(word)
-                    );
-
-                    if (entryHasSynonym && otherHasSynonym) {
-                        // Check if the non-synonym parts are similar
-                        const entryNonSynonyms = entryWords.filter(
-                            (word) => !synonymSet.includes(word)
-                        );
-                        const otherNonSynonyms = otherWords.filter(
-                            (word) => !synonymSet.includes(word)
-                        );
-
-                        const nonSynIntersection = new Set(
-                            [...entryNonSynonyms].filter((x) =>
-                                otherNonSynonyms.includes(x)
-                            )
-                        );
-
-                        if (nonSynIntersection.size > 0) {
-                            shouldGroup = true;
-                            break;
-                        }
-                    }
-                }
-            }
-
-            // If should be grouped, add to current group
-            if (shouldGroup) {
-                group.categories.push(otherEntry.original);
-                otherEntry.hasBeenGrouped = true;
-
-                // Select the most descriptive name as primary
-                // (generally prefer longer names as they're more specific)
-                if (otherEntry.original.length > group.primaryName.length) {
-                    group.primaryName = otherEntry.original;
-                }
-            }
-        }
-
-        categoryGroups.push(group);
-    }
-
-    // Build the new fileCategories object
-    for (const group of categoryGroups) {
-        // Generalized handling: Merge all image-related categories into 'Images'
-        let primaryName = group.primaryName;
-        const imagePattern = /\b(image|photo|picture|graphic|svg|scalable vector graphic|png|jpg|jpeg|gif|bmp|tiff|webp)\b/i;
-        if (imagePattern.test(primaryName)) {
-            primaryName = 'Images';
-        }
-        normalizedCategories[primaryName] = normalizedCategories[primaryName] || [];
-
-        // Merge all files from the group categories
-        for (const category of group.categories) {
-            // If this category is image-related, also merge under 'Images'
-            if (imagePattern.test(category)) {
-                normalizedCategories['Images'] = normalizedCategories['Images'] || [];
-                normalizedCategories['Images'].push(...fileCategories[category]);
-            } else {
-                normalizedCategories[primaryName].push(...fileCategories[category]);
-            }
-        }
-    }
-
-    return normalizedCategories;
-}
-
 module.exports = {
     processDirectory,
     organizeFilesByCategory,
+    uniqueOutputPath,
+    extractText,
     extractTextFromPDF,
+    OUTPUT_LAYOUT,
+    OUTPUT_LAYOUTS,
+    RESERVED_CATEGORIES,
+    FILE_CONCURRENCY,
 };
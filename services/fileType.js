@@ -0,0 +1,101 @@
+// File type detection for reports. The first bytes are checked against
+// well-known signatures, so a renamed file is still reported correctly;
+// everything else falls back to the extension.
+const fs = require("fs-extra");
+
+const SIGNATURES = [
+    { type: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46] },
+    { type: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+    { type: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+    { type: "application/gzip", bytes: [0x1f, 0x8b] },
+    { type: "application/x-7z-compressed", bytes: [0x37, 0x7a, 0xbc, 0xaf] },
+    { type: "application/vnd.rar", bytes: [0x52, 0x61, 0x72, 0x21] },
+    // OLE2 container: legacy .doc/.xls/.ppt and Outlook .msg
+    { type: "application/x-ole-storage", bytes: [0xd0, 0xcf, 0x11, 0xe0] },
+    // Zip container: also OOXML and OpenDocument files
+    { type: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+];
+
+const EXTENSION_TYPES = {
+    ".pdf": "application/pdf",
+    ".txt": "text/plain",
+    ".md": "text/markdown",
+    ".csv": "text/csv",
+    ".tsv": "text/tab-separated-values",
+    ".json": "application/json",
+    ".xml": "application/xml",
+    ".yaml": "application/yaml",
+    ".yml": "application/yaml",
+    ".html": "text/html",
+    ".htm": "text/html",
+    ".css": "text/css",
+    ".js": "text/javascript",
+    ".py": "text/x-python",
+    ".log": "text/plain",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".gif": "image/gif",
+    ".bmp": "image/bmp",
+    ".webp": "image/webp",
+    ".heic": "image/heic",
+    ".svg": "image/svg+xml",
+    ".doc": "application/msword",
+    ".xls": "application/vnd.ms-excel",
+    ".ppt": "application/vnd.ms-powerpoint",
+    ".docx":
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ".xlsx":
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ".pptx":
+        "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    ".odt": "application/vnd.oasis.opendocument.text",
+    ".ods": "application/vnd.oasis.opendocument.spreadsheet",
+    ".odp": "application/vnd.oasis.opendocument.presentation",
+    ".eml": "message/rfc822",
+    ".msg": "application/vnd.ms-outlook",
+    ".mbox": "application/mbox",
+};
+
+// Containers whose extension tells more than their signature
+const CONTAINER_TYPES = ["application/zip", "application/x-ole-storage"];
+
+/**
+ * Detect the MIME type of a file
+ * @param {string} filePath
+ * @param {string} ext - Lower-case extension including the dot
+ * @returns {Promise<string>}
+ */
+async function detectType(filePath, ext) {
+    let head = Buffer.alloc(0);
+    try {
+        const handle = await fs.open(filePath, "r");
+        try {
+            const buffer = Buffer.alloc(512);
+            const { bytesRead } = await fs.read(handle, buffer, 0, 512, 0);
+            head = buffer.subarray(0, bytesRead);
+        } finally {
+            await fs.close(handle);
+        }
+    } catch {
+        return EXTENSION_TYPES[ext] || "application/octet-stream";
+    }
+
+    const match = SIGNATURES.find(({ bytes }) =>
+        bytes.every((byte, i) => head[i] === byte)
+    );
+    if (match) {
+        return CONTAINER_TYPES.includes(match.type) && EXTENSION_TYPES[ext]
+            ? EXTENSION_TYPES[ext]
+            : match.type;
+    }
+    if (EXTENSION_TYPES[ext]) return EXTENSION_TYPES[ext];
+    // No signature and an unknown extension: text unless it has NUL bytes
+    if (head.length > 0 && !head.includes(0)) return "text/plain";
+    return "application/octet-stream";
+}
+
+module.exports = {
+    detectType,
+};
@@ -0,0 +1,255 @@
+// In-memory job queue with bounded worker concurrency. Each job runs the
+// upload pipeline and publishes progress through its own EventEmitter.
+const EventEmitter = require("events");
+const { v4: uuidv4 } = require("uuid");
+const { runPipeline, cleanup } = require("./pipeline");
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_TTL_MINUTES = parseInt(process.env.JOB_TTL_MINUTES, 10) || 60;
+
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+
+/**
+ * Public view of a job (safe to serialize)
+ * @param {Object} job
+ * @returns {Object}
+ */
+function toJSON(job) {
+    return {
+        id: job.id,
+        filename: job.filename,
+        taxonomy: job.taxonomy ? job.taxonomy.name : null,
+        preview: job.preview,
+        status: job.status,
+        stage: job.stage,
+        progress: {
+            total: job.total,
+            processed: job.files.length,
+            failed: job.files.filter((file) => file.error).length,
+        },
+        files: job.files,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+    };
+}
+
+/**
+ * Update a job and notify subscribers
+ * @param {Object} job
+ * @param {string} type - Event name
+ * @param {Object} [data] - Event payload
+ */
+function publish(job, type, data) {
+    job.events.emit("event", { type, data: data || toJSON(job) });
+}
+
+/**
+ * Mark a job as finished and schedule its removal from memory
+ * (the stored session outlives it)
+ * @param {Object} job
+ * @param {string} status
+ * @param {string} [error]
+ */
+function finish(job, status, error) {
+    job.status = status;
+    job.error = error || null;
+    job.finishedAt = new Date().toISOString();
+    publish(job, "status");
+    job.events.emit("end");
+
+    const timer = setTimeout(() => {
+        jobs.delete(job.id);
+    }, JOB_TTL_MINUTES * 60 * 1000);
+    timer.unref();
+}
+
+/**
+ * Run one job through the pipeline
+ * @param {Object} job
+ */
+async function runJob(job) {
+    running++;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    publish(job, "status");
+
+    try {
+        const { resultPath } = await runPipeline(
+            {
+                id: job.id,
+                uploadPath: job.uploadPath,
+                filename: job.filename,
+                taxonomy: job.taxonomy,
+                layout: job.layout,
+                mergeStrategy: job.mergeStrategy,
+                duplicatePolicy: job.duplicatePolicy,
+                sensitivePolicy: job.sensitivePolicy,
+                rename: job.rename,
+                preview: job.preview,
+            },
+            {
+                signal: job.controller.signal,
+                onStage: (stage) => {
+                    job.stage = stage;
+                    publish(job, "status");
+                },
+                onTotal: (total) => {
+                    job.total = total;
+                    publish(job, "status");
+                },
+                onFile: (file) => {
+                    const entry = {
+                        name: file.name,
+                        category: file.category,
+                        confidence: file.confidence,
+                        needsReview: file.needsReview,
+                        decidedBy: file.decidedBy,
+                        duplicate: Boolean(file.duplicate),
+                        sensitive: (file.sensitive || []).map(
+                            (finding) => finding.type
+                        ),
+                        error: file.error,
+                    };
+                    job.files.push(entry);
+                    publish(job, "file", {
+                        ...entry,
+                        processed: job.files.length,
+                        total: job.total,
+                    });
+                },
+            }
+        );
+        job.resultPath = resultPath;
+        finish(job, "completed");
+    } catch (error) {
+        if (job.controller.signal.aborted) {
+            finish(job, "cancelled");
+        } else {
+            console.error(`Job ${job.id} failed:`, error);
+            finish(job, "failed", error.message);
+        }
+    } finally {
+        running--;
+        drain();
+    }
+}
+
+/**
+ * Start queued jobs while worker slots are free
+ */
+function drain() {
+    while (running < JOB_CONCURRENCY && pending.length > 0) {
+        const job = pending.shift();
+        runJob(job);
+    }
+}
+
+/**
+ * Queue an uploaded archive for processing
+ * @param {Object} input
+ * @param {string} input.uploadPath - Path of the uploaded zip
+ * @param {string} input.filename - Original filename
+ * @param {Object} [input.taxonomy] - Loaded taxonomy for constrained mode
+ * @param {string} [input.layout] - Output layout, "flat" or "preserve"
+ * @param {string} [input.mergeStrategy] - How free-form categories are
+ *   merged
+ * @param {string} [input.duplicatePolicy] - What happens to duplicate files
+ * @param {string} [input.sensitivePolicy] - What happens to files with
+ *   sensitive data
+ * @param {boolean} [input.rename] - Rename files, see naming.js
+ * @param {boolean} [input.preview] - Stop for review before building the zip
+ * @returns {Object} job
+ */
+function enqueue({
+    uploadPath,
+    filename,
+    taxonomy = null,
+    layout,
+    mergeStrategy,
+    duplicatePolicy,
+    sensitivePolicy,
+    rename,
+    preview = false,
+}) {
+    const job = {
+        id: uuidv4(),
+        filename,
+        uploadPath,
+        taxonomy,
+        layout,
+        mergeStrategy,
+        duplicatePolicy,
+        sensitivePolicy,
+        rename,
+        preview,
+        status: "queued",
+        stage: null,
+        total: null,
+        files: [],
+        error: null,
+        resultPath: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        controller: new AbortController(),
+        events: new EventEmitter(),
+    };
+    // Every open progress stream adds a listener
+    job.events.setMaxListeners(0);
+    jobs.set(job.id, job);
+    pending.push(job);
+    drain();
+    return job;
+}
+
+/**
+ * Look up a job by ID
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+function getJob(id) {
+    return jobs.get(id);
+}
+
+/**
+ * Cancel a queued or running job
+ * @param {string} id
+ * @returns {Promise<boolean>} - false when the job is unknown or already finished
+ */
+async function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job || isFinished(job)) return false;
+
+    job.controller.abort();
+    const index = pending.indexOf(job);
+    if (index !== -1) {
+        // Never started: drop it from the queue and its upload with it
+        pending.splice(index, 1);
+        await cleanup([job.uploadPath]);
+        finish(job, "cancelled");
+    }
+    return true;
+}
+
+/**
+ * Whether a job has reached a terminal status
+ * @param {Object} job
+ * @returns {boolean}
+ */
+function isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+}
+
+module.exports = {
+    enqueue,
+    getJob,
+    cancelJob,
+    isFinished,
+    toJSON,
+};
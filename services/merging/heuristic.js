@@ -0,0 +1,313 @@
+// The original merge heuristic: names that are equal after normalization,
+// share words, or contain words from the same synonym group end up
+// together, and anything image-related becomes "Images". Known to
+// over-merge (a "Review" is a "Report" here); kept for setups tuned to it.
+
+// Related terms for common document topics
+const SYNONYM_GROUPS = [
+    // Financial & Accounting
+    ["report", "statement", "analysis", "summary", "overview", "review"],
+    ["invoice", "bill", "receipt", "voucher", "ticket", "stub"],
+    ["sales", "revenue", "income", "earnings", "proceeds"],
+    ["expense", "cost", "expenditure", "spending", "outlay"],
+    ["stock", "inventory", "assets", "holdings", "shares"],
+    ["budget", "forecast", "projection", "estimate", "plan"],
+    ["profit", "loss", "pnl", "p&l", "earnings"],
+    ["tax", "taxes", "taxation", "duty", "levy"],
+    ["audit", "auditing", "compliance", "verification"],
+    ["payroll", "salary", "wages", "compensation"],
+    ["balance", "sheet", "financial", "fiscal"],
+
+    // Legal & Contracts
+    ["contract", "agreement", "deal", "arrangement", "pact"],
+    ["legal", "law", "lawyer", "attorney", "counsel"],
+    ["license", "permit", "authorization", "certification"],
+    ["terms", "conditions", "policy", "policies"],
+    ["compliance", "regulation", "regulatory", "rule"],
+    ["lawsuit", "litigation", "dispute", "claim"],
+    ["patent", "trademark", "copyright", "intellectual property"],
+    ["nda", "non disclosure", "confidentiality"],
+
+    // HR & Employment
+    ["resume", "cv", "curriculum vitae", "bio", "profile"],
+    ["employee", "staff", "personnel", "worker"],
+    ["job", "position", "role", "employment"],
+    ["hire", "hiring", "recruitment", "onboarding"],
+    ["performance", "evaluation", "appraisal", "review"],
+    ["training", "development", "education", "learning"],
+    ["benefit", "benefits", "compensation", "package"],
+
+    // Communication & Correspondence
+    ["letter", "correspondence", "mail", "email", "message"],
+    ["memo", "memorandum", "notice", "announcement"],
+    ["newsletter", "bulletin", "update", "communication"],
+    ["proposal", "offer", "bid", "quote", "quotation"],
+    ["presentation", "slides", "deck", "slideshow"],
+    ["meeting", "minutes", "notes", "agenda"],
+
+    // Technical & IT
+    ["code", "script", "source", "program", "software"],
+    ["manual", "guide", "instruction", "documentation", "doc"],
+    ["specification", "spec", "requirement", "design"],
+    ["config", "configuration", "settings", "setup"],
+    ["log", "logs", "logging", "debug", "trace"],
+    ["database", "db", "data", "dataset", "records"],
+    ["backup", "archive", "copy", "duplicate"],
+    ["security", "password", "credential", "auth"],
+    ["api", "interface", "endpoint", "service"],
+    ["test", "testing", "qa", "quality", "validation"],
+
+    // Marketing & Sales
+    ["marketing", "promotion", "advertising", "campaign"],
+    ["brochure", "flyer", "pamphlet", "leaflet"],
+    ["catalog", "catalogue", "brochure", "portfolio"],
+    ["customer", "client", "prospect", "lead"],
+    ["product", "service", "offering", "solution"],
+    ["brand", "branding", "identity", "logo"],
+    ["social", "media", "digital", "online"],
+
+    // Project Management
+    ["project", "initiative", "program", "effort"],
+    ["timeline", "schedule", "plan", "roadmap"],
+    ["milestone", "deliverable", "task", "activity"],
+    ["resource", "allocation", "assignment", "distribution"],
+    ["status", "progress", "update", "tracker"],
+    ["risk", "issue", "problem", "concern"],
+
+    // Medical & Health
+    ["medical", "health", "healthcare", "clinical"],
+    ["patient", "record", "chart", "file"],
+    ["prescription", "medication", "drug", "medicine"],
+    ["treatment", "therapy", "procedure", "intervention"],
+    ["diagnosis", "condition", "disease", "illness"],
+    ["insurance", "claim", "coverage", "policy"],
+
+    // Real Estate
+    ["property", "real estate", "realty", "estate"],
+    ["lease", "rental", "rent", "tenancy"],
+    ["mortgage", "loan", "financing", "credit"],
+    ["inspection", "appraisal", "valuation", "assessment"],
+    ["deed", "title", "ownership", "property"],
+
+    // Education & Academic
+    ["course", "class", "lesson", "lecture"],
+    ["assignment", "homework", "project", "exercise"],
+    ["exam", "test", "quiz", "assessment"],
+    ["grade", "score", "mark", "result"],
+    ["thesis", "dissertation", "paper", "research"],
+    ["student", "pupil", "learner", "scholar"],
+    ["teacher", "instructor", "professor", "educator"],
+
+    // Creative & Media
+    ["image", "photo", "picture", "graphic"],
+    ["video", "movie", "film", "clip"],
+    ["audio", "sound", "music", "recording"],
+    ["design", "artwork", "creative", "visual"],
+    ["template", "layout", "format", "style"],
+    ["content", "material", "media", "asset"],
+
+    // General Document Types
+    ["form", "application", "request", "submission"],
+    ["certificate", "diploma", "award", "recognition"],
+    ["warranty", "guarantee", "service", "support"],
+    ["inventory", "list", "catalog", "index"],
+    ["schedule", "calendar", "timetable", "agenda"],
+    ["checklist", "todo", "task", "action"],
+
+    // Industry Specific
+    ["manufacturing", "production", "factory", "plant"],
+    ["retail", "store", "shop", "outlet"],
+    ["logistics", "shipping", "delivery", "transport"],
+    ["supply", "vendor", "supplier", "procurement"],
+    ["quality", "control", "assurance", "standard"],
+
+    // Time & Date Related
+    ["daily", "weekly", "monthly", "quarterly", "annual"],
+    ["year", "yearly", "annual", "12month"],
+    ["quarter", "quarterly", "q1", "q2", "q3", "q4"],
+    ["month", "monthly", "30day"],
+
+    // Action & Process Words
+    ["create", "creation", "develop", "development"],
+    ["update", "revision", "modification", "change"],
+    ["draft", "preliminary", "initial", "rough"],
+    ["final", "complete", "finished", "done"],
+    ["approved", "signed", "executed", "ratified"],
+    ["pending", "waiting", "review", "approval"],
+
+    // Format & File Types
+    ["spreadsheet", "excel", "csv", "data"],
+    ["document", "word", "text", "doc"],
+    ["pdf", "portable", "acrobat"],
+    ["image", "jpg", "png", "gif"],
+    ["archive", "zip", "compressed", "backup"],
+
+    // Organizational
+    ["admin", "administrative", "administration", "office"],
+    ["internal", "external", "public", "private"],
+    ["confidential", "secret", "classified", "restricted"],
+    ["draft", "working", "temp", "temporary"],
+    ["old", "archive", "historical", "legacy"],
+    ["new", "latest", "current", "recent"],
+
+    // Relationship & Contact
+    ["contact", "address", "phone", "directory"],
+    ["partner", "vendor", "supplier", "contractor"],
+    ["internal", "staff", "employee", "team"],
+    ["external", "client", "customer", "public"],
+];
+
+const IMAGE_PATTERN =
+    /\b(image|photo|picture|graphic|svg|scalable vector graphic|png|jpg|jpeg|gif|bmp|tiff|webp)\b/i;
+const IMAGE_CATEGORY = "Images";
+
+/**
+ * Lower-case a name and reduce it to words
+ * @param {string} category
+ * @returns {string}
+ */
+function basicNormalize(category) {
+    return category
+        .toLowerCase()
+        .replace(/&/g, " and ")
+        .replace(/[^\w\s]/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Why two names belong together, or null when they don't
+ * @param {Object} entry - { normalized, words }
+ * @param {Object} other
+ * @returns {string|null}
+ */
+function groupingReason(entry, other) {
+    // Same name after normalization
+    if (entry.normalized === other.normalized) {
+        return "same name after normalization";
+    }
+
+    // Shared significant words
+    const entryWords = new Set(entry.words);
+    const otherWords = new Set(other.words);
+    const shared = [...entryWords].filter((word) => otherWords.has(word));
+    if (shared.length >= 2) {
+        return `shares the words ${shared.join(", ")}`;
+    }
+    // One name's words are all in the other
+    if (
+        shared.length > 0 &&
+        (shared.length === entryWords.size || shared.length === otherWords.size)
+    ) {
+        return `one name contains the other (${shared.join(", ")})`;
+    }
+
+    // Synonymous words plus a shared other word
+    for (const synonyms of SYNONYM_GROUPS) {
+        const entrySynonym = entry.words.find((word) =>
+            synonyms.includes(word)
+        );
+        const otherSynonym = other.words.find((word) =>
+            synonyms.includes(word)
+        );
+        if (!entrySynonym || !otherSynonym) continue;
+
+        const entryRest = entry.words.filter(
+            (word) => !synonyms.includes(word)
+        );
+        const otherRest = other.words.filter(
+            (word) => !synonyms.includes(word)
+        );
+        const sharedRest = entryRest.filter((word) => otherRest.includes(word));
+        if (sharedRest.length > 0) {
+            return `synonyms "${entrySynonym}" and "${otherSynonym}", shares ${sharedRest.join(
+                ", "
+            )}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Group category names with the heuristic
+ * @param {Array<{name: string}>} categories
+ * @returns {Array<{name: string, members: string[], reasons: Object}>} -
+ *   `reasons` explains, per member merged under another name, why
+ */
+function merge(categories) {
+    const entries = categories.map(({ name }) => {
+        const normalized = basicNormalize(name);
+        return {
+            name,
+            normalized,
+            words: normalized.split(" ").filter((w) => w.length > 2),
+            grouped: false,
+        };
+    });
+
+    // Greedy: each ungrouped name collects every later match
+    const groups = [];
+    for (const entry of entries) {
+        if (entry.grouped) continue;
+        entry.grouped = true;
+        let lead = entry;
+        const joined = [];
+        for (const other of entries) {
+            if (other.grouped) continue;
+            const reason = groupingReason(entry, other);
+            if (!reason) continue;
+            joined.push({ other, reason });
+            other.grouped = true;
+            // Longer names are usually more specific
+            if (other.name.length > lead.name.length) lead = other;
+        }
+
+        // Members are explained by their match with the group's final
+        // name, or else with the name that collected them
+        const group = {
+            name: lead.name,
+            members: [entry.name, ...joined.map(({ other }) => other.name)],
+            joins: {},
+        };
+        if (lead !== entry) {
+            group.joins[entry.name] = `${groupingReason(entry, lead)} with "${
+                lead.name
+            }"`;
+        }
+        for (const { other, reason } of joined) {
+            if (other === lead) continue;
+            const direct = groupingReason(other, lead);
+            group.joins[other.name] = direct
+                ? `${direct} with "${lead.name}"`
+                : `${reason} with "${entry.name}"`;
+        }
+        groups.push(group);
+    }
+
+    // Image-related names are merged into IMAGE_CATEGORY on their own
+    const result = new Map();
+    const add = (name, member, reason) => {
+        if (!result.has(name))
+            result.set(name, { name, members: [], reasons: {} });
+        const target = result.get(name);
+        target.members.push(member);
+        if (member !== name) target.reasons[member] = reason;
+    };
+    for (const group of groups) {
+        const name = IMAGE_PATTERN.test(group.name)
+            ? IMAGE_CATEGORY
+            : group.name;
+        for (const member of group.members) {
+            if (IMAGE_PATTERN.test(member)) {
+                add(IMAGE_CATEGORY, member, "image-related name");
+            } else {
+                add(name, member, group.joins[member] || "image-related group");
+            }
+        }
+    }
+    return [...result.values()];
+}
+
+module.exports = {
+    merge,
+};
@@ -0,0 +1,114 @@
+// Merging of free-form categories: models name the same kind of document
+// in different ways ("Invoice", "Invoices", "Bill"), so similar names are
+// grouped before the result is built. The strategy is pluggable and every
+// merge comes with the reason for it.
+const heuristic = require("./heuristic");
+const similarity = require("./similarity");
+const llm = require("./llm");
+
+const STRATEGIES = {
+    // Local TF-IDF similarity with agglomerative clustering
+    similarity,
+    // One consolidation request to the configured model
+    llm,
+    // The original synonym table and word-overlap rules
+    heuristic,
+    // Keep every category as the model named it
+    none: {
+        merge: (categories) =>
+            categories.map(({ name }) => ({
+                name,
+                members: [name],
+                reasons: {},
+            })),
+    },
+};
+const MERGE_STRATEGIES = Object.keys(STRATEGIES);
+const MERGE_STRATEGY = (
+    process.env.MERGE_STRATEGY || "similarity"
+).toLowerCase();
+// Used when the chosen strategy can't run (e.g. "llm" with a provider that
+// can't consolidate)
+const FALLBACK_STRATEGY = "similarity";
+
+/**
+ * Merge similar categories into groups
+ * @param {Object} fileCategories - category -> file paths
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - One of MERGE_STRATEGIES; defaults
+ *   to MERGE_STRATEGY
+ * @param {string[]} [options.keep] - Categories never merged with others,
+ *   such as the review and error categories
+ * @param {Object} [options.tags] - category -> { tag: number of files },
+ *   the model's tags, which help telling categories apart
+ * @param {AbortSignal} [options.signal] - Cancels a model call
+ * @returns {Promise<{groups: Object, merges: Object[], strategy: string}>}
+ *   - `groups` maps group name -> file paths; `merges` has one
+ *   { from, into, files, reason } per category filed under another name;
+ *   `strategy` is the strategy that actually ran
+ */
+async function mergeCategories(fileCategories, options = {}) {
+    let strategy = (options.strategy || MERGE_STRATEGY).toLowerCase();
+    if (!STRATEGIES[strategy]) {
+        throw new Error(
+            `Unknown merge strategy "${strategy}". Use one of: ${MERGE_STRATEGIES.join(
+                ", "
+            )}`
+        );
+    }
+    const keep = new Set(options.keep || []);
+    const tags = options.tags || {};
+    const categories = Object.keys(fileCategories)
+        .filter((name) => !keep.has(name))
+        .map((name) => ({
+            name,
+            count: fileCategories[name].length,
+            tags: tags[name] || {},
+        }));
+
+    let merged;
+    try {
+        merged = await STRATEGIES[strategy].merge(categories, {
+            signal: options.signal,
+        });
+    } catch (error) {
+        if (strategy === FALLBACK_STRATEGY || options.signal?.aborted) {
+            throw error;
+        }
+        console.error(
+            `Merge strategy "${strategy}" failed, using "${FALLBACK_STRATEGY}":`,
+            error.message
+        );
+        strategy = FALLBACK_STRATEGY;
+        merged = await STRATEGIES[strategy].merge(categories);
+    }
+
+    const groups = {};
+    const merges = [];
+    for (const name of Object.keys(fileCategories)) {
+        if (keep.has(name)) groups[name] = [...fileCategories[name]];
+    }
+    for (const group of merged) {
+        // A merged group can't take over a kept category's folder
+        const into = keep.has(group.name) ? group.members[0] : group.name;
+        if (!groups[into]) groups[into] = [];
+        for (const member of group.members) {
+            groups[into].push(...fileCategories[member]);
+            if (member !== into) {
+                merges.push({
+                    from: member,
+                    into,
+                    files: fileCategories[member].length,
+                    reason: group.reasons[member] || "",
+                });
+            }
+        }
+    }
+    return { groups, merges, strategy };
+}
+
+module.exports = {
+    mergeCategories,
+    MERGE_STRATEGIES,
+    MERGE_STRATEGY,
+};
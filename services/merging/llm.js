@@ -0,0 +1,86 @@
+// Merge categories with one "consolidate these N labels" request to the
+// configured model. Providers without it (the local one) can't run this
+// strategy; the caller falls back to another.
+const {
+    getProvider,
+    consolidateCategories,
+    supportsConsolidation,
+} = require("../providers");
+
+// More names than this don't fit a single prompt well
+const MAX_CATEGORIES = 200;
+// Most common tags of a category shown to the model
+const TAGS_PER_CATEGORY = 5;
+
+/**
+ * Error with a `code`, for names this strategy can't merge
+ * @param {string} message
+ * @returns {Error}
+ */
+function unavailable(message) {
+    const error = new Error(message);
+    error.code = "MERGE_UNAVAILABLE";
+    return error;
+}
+
+/**
+ * Group category names as the model suggests
+ * @param {Array<{name: string, count: number, tags: Object}>} categories -
+ *   See similarity.merge
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels a waiting or retrying call
+ * @returns {Promise<Array<{name: string, members: string[], reasons:
+ *   Object}>>}
+ * @throws {Error} - code MERGE_UNAVAILABLE when the provider can't
+ *   consolidate or there are too many names; model call errors as they are
+ */
+async function merge(categories, options = {}) {
+    if (!supportsConsolidation()) {
+        throw unavailable(
+            `Provider "${getProvider().name}" can't consolidate categories`
+        );
+    }
+    if (categories.length > MAX_CATEGORIES) {
+        throw unavailable(
+            `Too many categories to consolidate (${categories.length} > ${MAX_CATEGORIES})`
+        );
+    }
+    if (categories.length < 2) {
+        return categories.map(({ name }) => ({
+            name,
+            members: [name],
+            reasons: {},
+        }));
+    }
+
+    const groups = await consolidateCategories(
+        categories.map(({ name, count, tags = {} }) => ({
+            name,
+            count,
+            tags: Object.keys(tags)
+                .sort((a, b) => tags[b] - tags[a] || a.localeCompare(b))
+                .slice(0, TAGS_PER_CATEGORY),
+        })),
+        { signal: options.signal }
+    );
+    const grouped = new Set(groups.flatMap((group) => group.members));
+    return [
+        ...groups.map((group) => ({
+            name: group.name,
+            members: group.members,
+            reasons: Object.fromEntries(
+                group.members.map((member) => [
+                    member,
+                    `model: ${group.reason || "same kind of document"}`,
+                ])
+            ),
+        })),
+        ...categories
+            .filter(({ name }) => !grouped.has(name))
+            .map(({ name }) => ({ name, members: [name], reasons: {} })),
+    ];
+}
+
+module.exports = {
+    merge,
+};
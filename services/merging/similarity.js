@@ -0,0 +1,198 @@
+// Merge categories by text similarity: every name becomes a TF-IDF vector
+// of its words and character trigrams (so "Invoice" meets "Invoices" and
+// "Config" meets "Configuration"), blended with the tags the model gave
+// its files. Names are then clustered agglomeratively, average linkage,
+// until no two clusters are at least MERGE_THRESHOLD similar.
+const { createIndex, cosine } = require("../tfidf");
+
+// Clusters at least this similar are merged (0 to 1); higher merges less
+const MERGE_THRESHOLD = parseFloat(process.env.MERGE_THRESHOLD ?? "0.65");
+// Share of the name in the similarity when both categories have tags
+const NAME_WEIGHT = 0.7;
+
+/**
+ * Crude English singular, so plural names compare equal
+ * @param {string} word
+ * @returns {string}
+ */
+function stem(word) {
+    if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && word.endsWith("s") && !word.endsWith("ss")) {
+        return word.slice(0, -1);
+    }
+    return word;
+}
+
+/**
+ * Words of a name, singular and lower-case
+ * @param {string} name
+ * @returns {string[]}
+ */
+function nameWords(name) {
+    return (name.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+}
+
+/**
+ * Terms of a name: "w:" words and "c:" character trigrams of each word
+ * @param {string} name
+ * @returns {string[]}
+ */
+function nameTerms(name) {
+    const terms = [];
+    for (const word of nameWords(name)) {
+        terms.push(`w:${word}`);
+        const padded = `#${word}#`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            terms.push(`c:${padded.slice(i, i + 3)}`);
+        }
+    }
+    return terms;
+}
+
+/**
+ * Tags of a category's files, one term per file that has the tag
+ * @param {Object} tags - tag -> number of files
+ * @returns {string[]}
+ */
+function tagTerms(tags = {}) {
+    const terms = [];
+    for (const [tag, count] of Object.entries(tags)) {
+        for (const word of nameWords(tag)) {
+            for (let i = 0; i < count; i++) terms.push(word);
+        }
+    }
+    return terms;
+}
+
+/**
+ * Pairwise similarity of the categories, with what they have in common
+ * @param {Object[]} categories - { name, tags }
+ * @returns {{score: number[][], shared: string[][][]}}
+ */
+function similarityMatrix(categories) {
+    const names = createIndex(
+        categories.map((category) => category.name),
+        nameTerms
+    );
+    const tags = createIndex(
+        categories.map((category) => category.tags),
+        tagTerms
+    );
+    const n = categories.length;
+    const score = Array.from({ length: n }, () => new Array(n).fill(0));
+    const shared = Array.from({ length: n }, () => new Array(n).fill(null));
+
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            const nameScore = cosine(names.vectors[i], names.vectors[j]);
+            const hasTags =
+                tags.vectors[i].size > 0 && tags.vectors[j].size > 0;
+            const value = hasTags
+                ? NAME_WEIGHT * nameScore +
+                  (1 - NAME_WEIGHT) * cosine(tags.vectors[i], tags.vectors[j])
+                : nameScore;
+            const common = [
+                ...[...names.vectors[i].keys()]
+                    .filter(
+                        (term) =>
+                            term.startsWith("w:") && names.vectors[j].has(term)
+                    )
+                    .map((term) => term.slice(2)),
+                ...[...tags.vectors[i].keys()]
+                    .filter((term) => tags.vectors[j].has(term))
+                    .map((term) => `tag ${term}`),
+            ];
+            score[i][j] = score[j][i] = value;
+            shared[i][j] = shared[j][i] = common;
+        }
+    }
+    return { score, shared };
+}
+
+/**
+ * Pick the name a cluster is merged under: the most general one, i.e. the
+ * name whose words appear in the names of the most files ("Invoice" over
+ * "Sales Invoice"); then the one with fewer words, more files, and the
+ * shorter name
+ * @param {Object[]} categories - { name, count }
+ * @param {number[]} cluster - Indexes into categories
+ * @returns {number} - Index of the chosen name
+ */
+function leadName(categories, cluster) {
+    const words = new Map(
+        cluster.map((i) => [i, new Set(nameWords(categories[i].name))])
+    );
+    const coverage = (i) =>
+        cluster
+            .filter((j) => [...words.get(i)].every((w) => words.get(j).has(w)))
+            .reduce((sum, j) => sum + categories[j].count, 0);
+    const covered = new Map(cluster.map((i) => [i, coverage(i)]));
+    return [...cluster].sort(
+        (a, b) =>
+            covered.get(b) - covered.get(a) ||
+            words.get(a).size - words.get(b).size ||
+            categories[b].count - categories[a].count ||
+            categories[a].name.length - categories[b].name.length ||
+            categories[a].name.localeCompare(categories[b].name)
+    )[0];
+}
+
+/**
+ * Group category names by similarity
+ * @param {Array<{name: string, count: number, tags: Object}>} categories -
+ *   `count` is the number of files, `tags` maps each model tag to the
+ *   number of files that have it
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Overrides MERGE_THRESHOLD
+ * @returns {Array<{name: string, members: string[], reasons: Object}>} -
+ *   `reasons` explains, per member merged under another name, why
+ */
+function merge(categories, options = {}) {
+    const threshold = options.threshold ?? MERGE_THRESHOLD;
+    const { score, shared } = similarityMatrix(categories);
+    let clusters = categories.map((category, i) => [i]);
+
+    const linkage = (a, b) => {
+        let sum = 0;
+        for (const i of a) for (const j of b) sum += score[i][j];
+        return sum / (a.length * b.length);
+    };
+    for (;;) {
+        let best = null;
+        for (let a = 0; a < clusters.length; a++) {
+            for (let b = a + 1; b < clusters.length; b++) {
+                const value = linkage(clusters[a], clusters[b]);
+                if (value >= threshold && (!best || value > best.value)) {
+                    best = { a, b, value };
+                }
+            }
+        }
+        if (!best) break;
+        clusters[best.a] = clusters[best.a].concat(clusters[best.b]);
+        clusters = clusters.filter((cluster, i) => i !== best.b);
+    }
+
+    return clusters.map((cluster) => {
+        const lead = leadName(categories, cluster);
+        const reasons = {};
+        for (const i of cluster) {
+            if (i === lead) continue;
+            const common = shared[i][lead];
+            reasons[categories[i].name] = `similarity ${score[i][lead].toFixed(
+                2
+            )} with "${categories[lead].name}"${
+                common.length > 0 ? ` (shared: ${common.join(", ")})` : ""
+            }`;
+        }
+        return {
+            name: categories[lead].name,
+            members: cluster.map((i) => categories[i].name),
+            reasons,
+        };
+    });
+}
+
+module.exports = {
+    merge,
+    MERGE_THRESHOLD,
+};
@@ -0,0 +1,386 @@
+// Structured metadata per category: after categorizing, files of categories
+// with an extraction schema (invoices, receipts, contracts, resumes, ...)
+// get a second model pass that reads the schema's fields out of them. The
+// answers are validated against the schema (JSON Schema) and collected
+// into one CSV and JSON file per category folder, e.g. Invoices/invoices.csv.
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs-extra");
+const YAML = require("yaml");
+const Ajv = require("ajv");
+const { getProvider, extractMetadata } = require("./providers");
+const {
+    extractText,
+    uniqueOutputPath,
+    FILE_CONCURRENCY,
+} = require("./fileServices");
+const { cacheScope, cacheKey, getCached, setCached } = require("./cache");
+const { csvField } = require("./report");
+const { redact, dropRedacted, SENSITIVE_REDACTION } = require("./sensitive");
+const { sampleContent } = require("./sampling");
+
+const METADATA_DIR = process.env.METADATA_DIR || "metadata";
+const METADATA_EXTRACTION = process.env.METADATA_EXTRACTION !== "0";
+// Schemas ask for more than a category, so the model sees this many times
+// the provider's token budget of each document
+const METADATA_BUDGET_FACTOR = 2;
+
+const SCHEMA_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+// Formats used by the bundled schemas; others are not checked
+const ajv = new Ajv({
+    allErrors: true,
+    coerceTypes: true,
+    removeAdditional: "all",
+    strict: false,
+    logger: false,
+    formats: {
+        date: /^\d{4}-\d{2}-\d{2}$/,
+        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    },
+});
+
+let cache = { stamp: null, schemas: [] };
+
+/**
+ * Parse and compile one schema file
+ * @param {Object} doc - Parsed YAML/JSON with `categories`, `output` and
+ *   `schema`
+ * @param {string} source - File base name
+ * @returns {Object} - { name, output, categories, schema, version, validate }
+ */
+function parseSchema(doc, source) {
+    if (!doc || typeof doc !== "object") {
+        throw new Error(`Metadata schema "${source}" is empty.`);
+    }
+    const categories = Array.isArray(doc.categories) ? doc.categories : [];
+    if (
+        categories.length === 0 ||
+        categories.some((c) => typeof c !== "string" || !c.trim())
+    ) {
+        throw new Error(
+            `Metadata schema "${source}" must list its categories.`
+        );
+    }
+    const output = doc.output === undefined ? source : String(doc.output);
+    if (!/^[\w-]+$/.test(output)) {
+        throw new Error(
+            `Metadata schema "${source}" has an invalid output name "${output}".`
+        );
+    }
+    const { schema } = doc;
+    if (
+        !schema ||
+        schema.type !== "object" ||
+        typeof schema.properties !== "object"
+    ) {
+        throw new Error(
+            `Metadata schema "${source}" must describe an object with properties.`
+        );
+    }
+    let validate;
+    try {
+        validate = ajv.compile(schema);
+    } catch (error) {
+        throw new Error(
+            `Metadata schema "${source}" is invalid: ${error.message}`
+        );
+    }
+    return {
+        name: source,
+        output,
+        categories: categories.map((c) => c.trim().toLowerCase()),
+        schema,
+        // Changing the schema invalidates cached answers
+        version: crypto
+            .createHash("sha256")
+            .update(JSON.stringify(schema))
+            .digest("hex")
+            .slice(0, 12),
+        validate,
+    };
+}
+
+/**
+ * Load the schemas in METADATA_DIR, re-reading them when a file changes.
+ * Invalid files are skipped with an error in the log.
+ * @returns {Promise<Object[]>} - See parseSchema, sorted by file name
+ */
+async function loadSchemas() {
+    if (!(await fs.pathExists(METADATA_DIR))) return [];
+    const entries = (await fs.readdir(METADATA_DIR))
+        .filter((entry) => SCHEMA_EXTENSIONS.includes(path.extname(entry)))
+        .sort();
+    const stats = await Promise.all(
+        entries.map((entry) => fs.stat(path.join(METADATA_DIR, entry)))
+    );
+    const stamp = entries
+        .map((entry, i) => `${entry}:${stats[i].mtimeMs}`)
+        .join("|");
+    if (cache.stamp === stamp) return cache.schemas;
+
+    const schemas = [];
+    for (const entry of entries) {
+        const source = path.basename(entry, path.extname(entry));
+        try {
+            const text = await fs.readFile(
+                path.join(METADATA_DIR, entry),
+                "utf8"
+            );
+            const doc = entry.endsWith(".json")
+                ? JSON.parse(text)
+                : YAML.parse(text);
+            schemas.push(parseSchema(doc, source));
+        } catch (error) {
+            console.error(
+                `Skipping invalid metadata schema ${entry}:`,
+                error.message
+            );
+        }
+    }
+    cache = { stamp, schemas };
+    return schemas;
+}
+
+/**
+ * Schema for a file: by group, category, or the last part of either;
+ * the first schema file listing it wins
+ * @param {Object} file - Session entry with `group` and `category`
+ * @param {Object[]} schemas - See loadSchemas
+ * @returns {Object|null}
+ */
+function schemaFor(file, schemas) {
+    const candidates = [file.group, file.category]
+        .filter(Boolean)
+        .flatMap((label) => [label, label.split("/").pop()])
+        .map((label) => label.toLowerCase());
+    for (const candidate of candidates) {
+        const schema = schemas.find((s) => s.categories.includes(candidate));
+        if (schema) return schema;
+    }
+    return null;
+}
+
+/**
+ * Validate extracted metadata against its schema. Values are coerced to
+ * the schema's types and unknown properties dropped first.
+ * @param {Object} schema - See parseSchema
+ * @param {Object|null} data - Parsed model answer
+ * @returns {{data: Object|null, errors: string[]}}
+ */
+function validateMetadata(schema, data) {
+    if (!data) return { data: null, errors: ["No JSON object in the answer"] };
+    const copy = JSON.parse(JSON.stringify(data));
+    if (schema.validate(copy)) return { data: copy, errors: [] };
+    return {
+        data: copy,
+        errors: schema.validate.errors.map(
+            (error) => `${error.instancePath || "/"} ${error.message}`
+        ),
+    };
+}
+
+/**
+ * Metadata of one file, from the cache or the model
+ * @param {Object} file - Session entry
+ * @param {string} root - Folder holding the files
+ * @param {Object} schema - See parseSchema
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object|null>} - { schema, data, errors }; null for
+ *   files without text
+ */
+async function metadataOf(file, root, schema, signal) {
+    const filePath = path.join(root, ...file.originalPath.split("/"));
+    const ext = path.extname(file.name).toLowerCase();
+    const text = await extractText(filePath, ext).catch(() => "");
+    if (!text.trim()) return null;
+
+    const provider = getProvider();
+    const scope = {
+        ...cacheScope(provider, null),
+        task: `metadata:${schema.name}@${schema.version}${
+            SENSITIVE_REDACTION ? ":redacted" : ""
+        }`,
+    };
+    const key = cacheKey(file.hash, scope);
+    let entry = await getCached(key);
+    if (!entry) {
+        try {
+            // Values the model could only copy masked are left empty
+            const data = dropRedacted(
+                await extractMetadata(
+                    sampleContent(
+                        redact(text),
+                        file.name,
+                        provider.contentTokens * METADATA_BUDGET_FACTOR
+                    ),
+                    file.name,
+                    schema.schema,
+                    { signal }
+                )
+            );
+            entry = { data, contentHash: file.hash, filename: file.name };
+            await setCached(key, { ...entry, ...scope });
+        } catch (error) {
+            console.error(
+                `Error reading metadata of ${file.originalPath}:`,
+                error.message
+            );
+            return { schema: schema.name, data: null, errors: [error.message] };
+        }
+    }
+    return { schema: schema.name, ...validateMetadata(schema, entry.data) };
+}
+
+/**
+ * Read the metadata of every organized file whose category has a schema.
+ * Files that already hold metadata of the right schema are kept as they
+ * are, so after corrections only the moved files are read again.
+ * Duplicates are skipped: their canonical copy stands for them.
+ * @param {Object[]} files - Session entries with their `group`
+ * @param {string} root - Folder holding the files
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object[]>} - The files with `metadata`: { schema, data,
+ *   errors }, or null
+ */
+async function readMetadata(files, root, options = {}) {
+    const { signal } = options;
+    const schemas = await loadSchemas();
+    const results = files.map((file) => {
+        const schema =
+            file.group && !file.error && !file.duplicateOf
+                ? schemaFor(file, schemas)
+                : null;
+        const current =
+            schema && file.metadata && file.metadata.schema === schema.name
+                ? file.metadata
+                : null;
+        return { file, schema, metadata: current };
+    });
+    const todo = results.filter((result) => result.schema && !result.metadata);
+    let next = 0;
+    const worker = async () => {
+        while (next < todo.length) {
+            if (signal && signal.aborted) return;
+            const result = todo[next++];
+            result.metadata = await metadataOf(
+                result.file,
+                root,
+                result.schema,
+                signal
+            );
+        }
+    };
+    await Promise.all(
+        Array.from({ length: Math.min(FILE_CONCURRENCY, todo.length) }, worker)
+    );
+    return results.map(({ file, metadata }) => ({ ...file, metadata }));
+}
+
+/**
+ * CSV cell for a metadata value: lists joined with "; ", objects as JSON
+ * @param {*} value
+ * @returns {string}
+ */
+function metadataCell(value) {
+    if (Array.isArray(value)) return csvField(value.join("; "));
+    if (value && typeof value === "object") {
+        return csvField(JSON.stringify(value));
+    }
+    return csvField(value);
+}
+
+/**
+ * Write one CSV and one JSON file per category folder and schema,
+ * next to the organized files
+ * @param {string} outputPath - Folder holding the category folders
+ * @param {Object[]} files - Session entries with `group`, `outputPath` and
+ *   `metadata`
+ * @returns {Promise<Object[]>} - Per collection: { group, schema, csv,
+ *   json, files, invalid }, paths relative to outputPath
+ */
+async function writeMetadata(outputPath, files) {
+    const schemas = await loadSchemas();
+    const collections = new Map();
+    for (const file of files) {
+        if (!file.metadata || !file.outputPath) continue;
+        const key = `${file.group}\u0000${file.metadata.schema}`;
+        if (!collections.has(key)) collections.set(key, []);
+        collections.get(key).push(file);
+    }
+
+    // Organized files keep their names; the collections give way
+    const used = new Set(
+        files
+            .filter((file) => file.outputPath)
+            .map((file) => file.outputPath.toLowerCase())
+    );
+    const written = [];
+    for (const members of collections.values()) {
+        const { group } = members[0];
+        const schema = schemas.find(
+            (s) => s.name === members[0].metadata.schema
+        );
+        if (!schema) continue;
+        const columns = Object.keys(schema.schema.properties);
+        const csvPath = uniqueOutputPath(`${group}/${schema.output}.csv`, used);
+        const jsonPath = uniqueOutputPath(
+            `${group}/${schema.output}.json`,
+            used
+        );
+
+        const lines = [
+            ["file", "originalPath", ...columns, "errors"].join(","),
+        ];
+        for (const file of members) {
+            const data = file.metadata.data || {};
+            lines.push(
+                [
+                    csvField(file.outputPath.slice(group.length + 1)),
+                    csvField(file.originalPath),
+                    ...columns.map((column) => metadataCell(data[column])),
+                    csvField(file.metadata.errors.join("; ")),
+                ].join(",")
+            );
+        }
+        await fs.writeFile(
+            path.join(outputPath, ...csvPath.split("/")),
+            `${lines.join("\r\n")}\r\n`
+        );
+        await fs.writeJson(
+            path.join(outputPath, ...jsonPath.split("/")),
+            {
+                schema: schema.name,
+                version: schema.version,
+                category: group,
+                files: members.map((file) => ({
+                    file: file.outputPath.slice(group.length + 1),
+                    originalPath: file.originalPath,
+                    data: file.metadata.data,
+                    errors: file.metadata.errors,
+                })),
+            },
+            { spaces: 2 }
+        );
+        written.push({
+            group,
+            schema: schema.name,
+            csv: csvPath,
+            json: jsonPath,
+            files: members.length,
+            invalid: members.filter((file) => file.metadata.errors.length > 0)
+                .length,
+        });
+    }
+    return written;
+}
+
+module.exports = {
+    readMetadata,
+    writeMetadata,
+    loadSchemas,
+    parseSchema,
+    validateMetadata,
+    METADATA_EXTRACTION,
+};
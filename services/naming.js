@@ -0,0 +1,379 @@
+// Renaming stage: new file names built from fields the model reads out of
+// each document (date, counterparty, document number, title) and a naming
+// template per category, e.g. "{date}_{vendor}_{invoiceNo}". Templates live
+// in NAMING_FILE; the names are made unique when the files are organized.
+const path = require("path");
+const fs = require("fs-extra");
+const YAML = require("yaml");
+const { getProvider, extractFields } = require("./providers");
+const { extractText, FILE_CONCURRENCY } = require("./fileServices");
+const { cacheScope, cacheKey, getCached, setCached } = require("./cache");
+const { redact, dropRedacted, SENSITIVE_REDACTION } = require("./sensitive");
+const { sampleContent } = require("./sampling");
+
+const NAMING_FILE =
+    process.env.NAMING_FILE || path.join("naming", "default.yaml");
+// Whether uploads that don't say are renamed
+const RENAME_FILES = process.env.RENAME_FILES === "1";
+// Longest generated name, without the extension
+const MAX_NAME_LENGTH = 120;
+// Files of categories without a template keep their name
+const DEFAULT_TEMPLATE = "{name}";
+
+// Fields the model is asked for
+const NAMING_FIELDS = [
+    {
+        name: "date",
+        description:
+            "the document's own date (issue, signing or letter date), YYYY-MM-DD",
+    },
+    {
+        name: "counterparty",
+        description:
+            "the other party: the vendor of an invoice or receipt, the sender of a letter, the other company of a contract",
+    },
+    {
+        name: "documentNumber",
+        description:
+            "the document's own number or ID, e.g. an invoice, order or contract number",
+    },
+    {
+        name: "title",
+        description:
+            "a short title of what the document is about, at most 8 words",
+    },
+];
+// Other names for the fields in templates
+const FIELD_ALIASES = {
+    vendor: "counterparty",
+    invoiceNo: "documentNumber",
+};
+// Placeholders filled from the file itself
+const FILE_PLACEHOLDERS = ["category", "name"];
+
+// Names Windows refuses for files, whatever the extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+
+let cache = { mtimeMs: null, config: null };
+
+/**
+ * Validate a template's placeholders
+ * @param {*} template
+ * @param {string} label - Where the template comes from, for errors
+ * @returns {string}
+ */
+function checkTemplate(template, label) {
+    if (typeof template !== "string" || !template.trim()) {
+        throw new Error(`Naming template for ${label} must be a string.`);
+    }
+    const known = [
+        ...NAMING_FIELDS.map((field) => field.name),
+        ...Object.keys(FIELD_ALIASES),
+        ...FILE_PLACEHOLDERS,
+    ];
+    for (const [, key] of template.matchAll(/\{(\w+)\}/g)) {
+        if (!known.includes(key)) {
+            throw new Error(
+                `Naming template for ${label} has an unknown placeholder {${key}}.`
+            );
+        }
+    }
+    // The original extension is kept, so "{date}_{title}.pdf" means
+    // "{date}_{title}"
+    return template.trim().replace(/\.[a-z0-9]{1,5}$/i, "");
+}
+
+/**
+ * Parse and validate a naming document
+ * @param {Object} doc - Parsed YAML/JSON with `default` and `categories`
+ * @returns {{default: string, categories: Object}} - Templates keyed by
+ *   lower-cased category
+ */
+function parseNaming(doc) {
+    const config = { default: DEFAULT_TEMPLATE, categories: {} };
+    if (!doc) return config;
+    if (doc.default !== undefined) {
+        config.default = checkTemplate(doc.default, "the default");
+    }
+    const categories = doc.categories || {};
+    if (typeof categories !== "object" || Array.isArray(categories)) {
+        throw new Error(`"categories" must map category names to templates.`);
+    }
+    for (const [category, template] of Object.entries(categories)) {
+        config.categories[category.toLowerCase()] = checkTemplate(
+            template,
+            `"${category}"`
+        );
+    }
+    return config;
+}
+
+/**
+ * Load the naming templates, re-reading the file when it changes
+ * @returns {{default: string, categories: Object}}
+ */
+function getNaming() {
+    if (!fs.pathExistsSync(NAMING_FILE)) return parseNaming(null);
+
+    const { mtimeMs } = fs.statSync(NAMING_FILE);
+    if (cache.mtimeMs !== mtimeMs) {
+        const text = fs.readFileSync(NAMING_FILE, "utf8");
+        const doc = NAMING_FILE.endsWith(".json")
+            ? JSON.parse(text)
+            : YAML.parse(text);
+        cache = { mtimeMs, config: parseNaming(doc) };
+    }
+    return cache.config;
+}
+
+/**
+ * Last part of a category path
+ * @param {string} category
+ * @returns {string}
+ */
+function lastSegment(category) {
+    return String(category || "")
+        .split("/")
+        .pop();
+}
+
+/**
+ * Template for a file: by group, category, or the last part of either
+ * @param {Object} file - Session entry with `group` and `category`
+ * @param {Object} config - See getNaming
+ * @returns {string}
+ */
+function templateFor(file, config) {
+    const candidates = [
+        file.group,
+        file.category,
+        lastSegment(file.group),
+        lastSegment(file.category),
+    ];
+    for (const candidate of candidates) {
+        const template =
+            candidate && config.categories[candidate.toLowerCase()];
+        if (template) return template;
+    }
+    return config.default;
+}
+
+/**
+ * Whether a template has placeholders the model has to read, as opposed to
+ * those filled from the file itself
+ * @param {string} template
+ * @returns {boolean}
+ */
+function usesModelFields(template) {
+    return [...template.matchAll(/\{(\w+)\}/g)].some(
+        ([, key]) => !FILE_PLACEHOLDERS.includes(key)
+    );
+}
+
+/**
+ * YYYY-MM-DD for values that parse as a date; others unchanged
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeDate(value) {
+    const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+    if (iso) return iso[0];
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) return value;
+    const date = new Date(time);
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, "0"),
+        String(date.getDate()).padStart(2, "0"),
+    ].join("-");
+}
+
+/**
+ * Make a value safe inside a file name on every platform
+ * @param {string} value
+ * @returns {string}
+ */
+function sanitizePart(value) {
+    return String(value)
+        .replace(/[\u0000-\u001f]/g, "")
+        .replace(/[<>:"/\\|?*]+/g, "-")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Render a template for a file
+ * @param {string} template
+ * @param {Object} file - Session entry with `name`, `group`, `category`
+ *   and `fields`
+ * @returns {string|null} - New name with the original extension, or null
+ *   when no field has a value
+ */
+function renderName(template, file) {
+    const ext = path.extname(file.name);
+    const values = {
+        ...(file.fields || {}),
+        category: lastSegment(file.group || file.category),
+        name: path.basename(file.name, ext),
+    };
+    if (values.date) values.date = normalizeDate(values.date);
+
+    // Literal text before the first placeholder is kept; the text in front
+    // of any other placeholder only when that placeholder has a value
+    const [prefix, ...rest] = template.split(/(\{\w+\})/);
+    let name = prefix;
+    let filled = 0;
+    let first = true;
+    for (let i = 0; i < rest.length; i += 2) {
+        const key = rest[i].slice(1, -1);
+        const value = sanitizePart(values[FIELD_ALIASES[key] || key] || "");
+        const separator = i > 0 ? rest[i - 1] : "";
+        if (value) {
+            name += (first ? "" : separator) + value;
+            first = false;
+            if (!FILE_PLACEHOLDERS.includes(key)) filled++;
+        }
+        if (i === rest.length - 2) name += rest[i + 1];
+    }
+    if (filled === 0) return null;
+
+    name = sanitizePart(name)
+        .slice(0, MAX_NAME_LENGTH)
+        .replace(/^[.\s]+|[.\s]+$/g, "");
+    if (!name) return null;
+    if (RESERVED_NAMES.test(name)) name = `_${name}`;
+    return `${name}${ext}`;
+}
+
+/**
+ * Naming fields of one file, from the cache or the model
+ * @param {Object} file - Session entry
+ * @param {string} root - Folder holding the files
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object|null>} - null for files without text, or when
+ *   the model call failed
+ */
+async function fieldsOf(file, root, signal) {
+    const filePath = path.join(root, ...file.originalPath.split("/"));
+    const ext = path.extname(file.name).toLowerCase();
+    const text = await extractText(filePath, ext).catch(() => "");
+    if (!text.trim()) return null;
+
+    const provider = getProvider();
+    const scope = {
+        ...cacheScope(provider, null),
+        task: `fields:${NAMING_FIELDS.map((field) => field.name).join(",")}${
+            SENSITIVE_REDACTION ? ":redacted" : ""
+        }`,
+    };
+    const key = cacheKey(file.hash, scope);
+    const entry = await getCached(key);
+    if (entry) return entry.fields;
+    try {
+        const fields = dropRedacted(
+            await extractFields(
+                sampleContent(redact(text), file.name, provider.contentTokens),
+                file.name,
+                NAMING_FIELDS,
+                { signal }
+            )
+        );
+        await setCached(key, {
+            fields,
+            contentHash: file.hash,
+            filename: file.name,
+            ...scope,
+        });
+        return fields;
+    } catch (error) {
+        console.error(
+            `Error reading naming fields of ${file.originalPath}:`,
+            error.message
+        );
+        return null;
+    }
+}
+
+/**
+ * Read the naming fields of the organized files whose template uses
+ * fields read by the model; files that keep their name cost no model
+ * calls. Files that already hold fields keep them, so after corrections
+ * only files moved to a category with such a template are read. Duplicates
+ * share the fields of their canonical copy, so copies cost no model calls
+ * either.
+ * @param {Object[]} files - Session entries with their `group`
+ * @param {string} root - Folder holding the files
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object[]>} - The files with `fields` (null when none
+ *   were read)
+ */
+async function readNamingFields(files, root, options = {}) {
+    const { signal } = options;
+    const config = getNaming();
+    const templates = [config.default, ...Object.values(config.categories)];
+    if (!templates.some(usesModelFields)) {
+        return files.map((file) => ({ ...file, fields: file.fields || null }));
+    }
+    const wanted = new Set(
+        files
+            .filter(
+                (file) =>
+                    file.group &&
+                    !file.error &&
+                    !file.fields &&
+                    usesModelFields(templateFor(file, config))
+            )
+            .map((file) => file.duplicateOf || file.originalPath)
+    );
+    const todo = files.filter((file) => wanted.has(file.originalPath));
+    const fields = new Map();
+    let next = 0;
+    const worker = async () => {
+        while (next < todo.length) {
+            if (signal && signal.aborted) return;
+            const file = todo[next++];
+            fields.set(file.originalPath, await fieldsOf(file, root, signal));
+        }
+    };
+    await Promise.all(
+        Array.from({ length: Math.min(FILE_CONCURRENCY, todo.length) }, worker)
+    );
+    return files.map((file) => ({
+        ...file,
+        fields:
+            file.fields ||
+            fields.get(file.duplicateOf || file.originalPath) ||
+            null,
+    }));
+}
+
+/**
+ * New names for organized files, from their fields and their category's
+ * template
+ * @param {Object[]} files - Session entries with `group` and `fields`
+ * @param {string} root - Folder holding the files
+ * @returns {Object} - file path -> new file name, only for files whose name
+ *   changes; see organizeFilesByCategory's `names`
+ */
+function suggestNames(files, root) {
+    const config = getNaming();
+    const names = {};
+    for (const file of files) {
+        if (!file.group || !file.fields) continue;
+        const name = renderName(templateFor(file, config), file);
+        if (name && name !== file.name) {
+            names[path.join(root, ...file.originalPath.split("/"))] = name;
+        }
+    }
+    return names;
+}
+
+module.exports = {
+    readNamingFields,
+    suggestNames,
+    renderName,
+    getNaming,
+    NAMING_FIELDS,
+    RENAME_FILES,
+};
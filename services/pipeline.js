@@ -0,0 +1,628 @@
+const path = require("path");
+const fs = require("fs-extra");
+const AdmZip = require("adm-zip");
+const fileService = require("./fileServices");
+const { extractArchive, ARCHIVE_MAX_NESTING } = require("./archives");
+const { mergeCategories } = require("./merging");
+const {
+    duplicateGroup,
+    DUPLICATE_POLICY,
+    DUPLICATE_DETECTION,
+} = require("./duplicates");
+const {
+    sensitiveGroup,
+    SENSITIVE_POLICY,
+    SENSITIVE_DETECTION,
+} = require("./sensitive");
+const sessionStore = require("./sessionStore");
+const { writeReports } = require("./report");
+const { readNamingFields, suggestNames, RENAME_FILES } = require("./naming");
+const {
+    readMetadata,
+    writeMetadata,
+    METADATA_EXTRACTION,
+} = require("./metadata");
+
+const MAX_FOLDER_DEPTH = 3;
+// Each expanded nested archive adds up to MAX_FOLDER_DEPTH levels
+const MAX_DIRECTORY_DEPTH = MAX_FOLDER_DEPTH * (ARCHIVE_MAX_NESTING + 1);
+
+/**
+ * Remove paths, ignoring failures
+ * @param {string[]} paths
+ */
+async function cleanup(paths) {
+    for (const p of paths) {
+        if (!p) continue;
+        try {
+            await fs.remove(p);
+        } catch (e) {
+            /* ignore */
+        }
+    }
+}
+
+/**
+ * Count regular files below a directory
+ * @param {string} dir
+ * @returns {number}
+ */
+function countFiles(dir) {
+    let count = 0;
+    for (const item of fs.readdirSync(dir)) {
+        const itemPath = path.join(dir, item);
+        if (fs.statSync(itemPath).isDirectory()) {
+            count += countFiles(itemPath);
+        } else {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Path of an extracted file relative to the archive root, with forward slashes
+ * @param {string} extractPath
+ * @param {string} filePath
+ * @returns {string}
+ */
+function toArchivePath(extractPath, filePath) {
+    return path.relative(extractPath, filePath).split(path.sep).join("/");
+}
+
+/**
+ * The innermost archive a file was extracted from
+ * @param {Object[]} archives - Expanded nested archives
+ * @param {string} originalPath
+ * @param {string} [upload] - Name of the uploaded archive
+ * @returns {string|null}
+ */
+function parentArchive(archives, originalPath, upload = null) {
+    let parent = null;
+    for (const archive of archives) {
+        if (
+            !archive.error &&
+            originalPath.startsWith(`${archive.path}/`) &&
+            (!parent || archive.path.length > parent.length)
+        ) {
+            parent = archive.path;
+        }
+    }
+    return parent || upload;
+}
+
+/**
+ * The message a file was attached to
+ * @param {Object[]} messages - Messages whose attachments were extracted,
+ *   see extractArchive
+ * @param {string} originalPath
+ * @returns {string|null}
+ */
+function parentMessage(messages, originalPath) {
+    let parent = null;
+    for (const message of messages) {
+        if (
+            message.attachments &&
+            originalPath.startsWith(`${message.attachments}/`) &&
+            (!parent || message.attachments.length > parent.attachments.length)
+        ) {
+            parent = message;
+        }
+    }
+    return parent ? parent.path : null;
+}
+
+/**
+ * Throw if the job has been cancelled
+ * @param {AbortSignal} [signal]
+ */
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        const error = new Error("Job was cancelled.");
+        error.code = "JOB_CANCELLED";
+        throw error;
+    }
+}
+
+/**
+ * Extract, validate, categorize and bundle an uploaded archive. In preview
+ * mode it stops once the files are categorized and grouped, keeping them on
+ * disk until the session is finalized (see finalizePreview).
+ * @param {Object} input
+ * @param {string} input.id - Job/session ID
+ * @param {string} input.uploadPath - Path of the uploaded archive
+ * @param {string} [input.filename] - Original upload filename; its
+ *   extension selects the archive format
+ * @param {Object} [input.taxonomy] - Constrain categories to this taxonomy
+ * @param {string} [input.layout] - Output layout, "flat" or "preserve"
+ * @param {string} [input.mergeStrategy] - How free-form categories are
+ *   merged, see merging/
+ * @param {string} [input.duplicatePolicy] - What happens to duplicate
+ *   files, see duplicates.js
+ * @param {string} [input.sensitivePolicy] - What happens to files with
+ *   sensitive data, see sensitive.js
+ * @param {boolean} [input.rename] - Rename files from fields read out of
+ *   them, see naming.js; defaults to RENAME_FILES
+ * @param {boolean} [input.preview] - Stop before building the result zip
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts processing between files
+ * @param {(stage: string) => void} [options.onStage] - Called when a stage starts
+ * @param {(total: number) => void} [options.onTotal] - Called with the file count
+ * @param {(file: Object) => void} [options.onFile] - Called after each file
+ * @returns {Promise<{resultPath: string|null, session: Object}>} -
+ *   resultPath is null for previews
+ */
+async function runPipeline(input, options = {}) {
+    const { signal, onStage = () => {}, onTotal = () => {} } = options;
+    const extractPath = path.join("extracted", input.id);
+    const startedAt = new Date();
+    const files = [];
+
+    try {
+        fs.ensureDirSync(extractPath);
+
+        onStage("extracting");
+        // Validates every entry first; rejections carry an ARCHIVE_* code.
+        // Archives inside the upload are expanded into folders, email
+        // attachments extracted next to their messages.
+        const { archives, messages } = await extractArchive(
+            input.uploadPath,
+            extractPath,
+            {
+                filename: input.filename || path.basename(input.uploadPath),
+                maxFolderDepth: MAX_FOLDER_DEPTH,
+                signal,
+            }
+        );
+        throwIfCancelled(signal);
+
+        onStage("categorizing");
+        onTotal(countFiles(extractPath));
+        const fileCategories = await fileService.processDirectory(
+            extractPath,
+            0,
+            MAX_DIRECTORY_DEPTH,
+            {
+                signal,
+                taxonomy: input.taxonomy,
+                onFile: (file) => {
+                    files.push(
+                        sessionFile(
+                            file,
+                            extractPath,
+                            archives,
+                            input.filename,
+                            messages
+                        )
+                    );
+                    if (options.onFile) options.onFile(file);
+                },
+            }
+        );
+        throwIfCancelled(signal);
+
+        const rename = input.rename ?? RENAME_FILES;
+        const grouped = await prepareFiles(files, fileCategories, extractPath, {
+            taxonomy: input.taxonomy,
+            mergeStrategy: input.mergeStrategy,
+            duplicatePolicy: input.duplicatePolicy,
+            sensitivePolicy: input.sensitivePolicy,
+            rename,
+            signal,
+            onStage,
+        });
+
+        const draft = {
+            id: input.id,
+            filename: input.filename,
+            createdAt: startedAt.toISOString(),
+            taxonomy: input.taxonomy
+                ? {
+                      name: input.taxonomy.name,
+                      version: input.taxonomy.version,
+                  }
+                : null,
+            cache: {
+                hits: files.filter((file) => file.cached).length,
+                misses: files.filter(
+                    (file) =>
+                        file.raw !== null && !file.cached && !file.duplicateOf
+                ).length,
+            },
+            needsReview: files.filter((file) => file.needsReview).length,
+            archives,
+            messages,
+            // Files whose model call failed after all retries
+            failures: files
+                .filter((file) => file.error)
+                .map(({ originalPath, error }) => ({
+                    originalPath,
+                    error,
+                })),
+            layout: input.layout || fileService.OUTPUT_LAYOUT,
+            mergeStrategy: grouped.mergeStrategy,
+            // Why each category was filed under another name
+            merges: grouped.merges,
+            duplicates: grouped.duplicates,
+            sensitive: grouped.sensitive,
+            rename,
+            files: grouped.files,
+        };
+
+        if (input.preview) {
+            // Keep the files for the review step and the final zip
+            await fs.move(extractPath, sessionStore.previewPath(input.id), {
+                overwrite: true,
+            });
+            const finishedAt = new Date();
+            const session = await sessionStore.saveSession({
+                ...draft,
+                status: "preview",
+                finishedAt: finishedAt.toISOString(),
+                durationMs: finishedAt - startedAt,
+                categories: groupCategories(draft.files),
+                corrections: [],
+            });
+            return { resultPath: null, session };
+        }
+
+        onStage("organizing");
+        const session = await buildResult(draft, extractPath);
+        return { resultPath: sessionStore.resultZipPath(input.id), session };
+    } finally {
+        await cleanup([input.uploadPath, extractPath]);
+    }
+}
+
+/**
+ * Session entry of a processed file
+ * @param {Object} file - Record passed to processDirectory's `onFile`
+ * @param {string} root - Folder the files were extracted to
+ * @param {Object[]} [archives] - Expanded nested archives
+ * @param {string} [upload] - Name of the uploaded archive
+ * @param {Object[]} [messages] - Messages whose attachments were extracted
+ * @returns {Object}
+ */
+function sessionFile(file, root, archives = [], upload = null, messages = []) {
+    const originalPath = toArchivePath(root, file.path);
+    return {
+        name: file.name,
+        originalPath,
+        size: file.size,
+        hash: file.hash,
+        type: file.type,
+        extraction: file.extraction,
+        parentArchive: parentArchive(archives, originalPath, upload),
+        parentMessage: parentMessage(messages, originalPath),
+        category: file.category,
+        suggestedCategory: file.suggestedCategory,
+        raw: file.raw,
+        confidence: file.confidence,
+        rationale: file.rationale,
+        tags: file.tags,
+        secondaryCategory: file.secondaryCategory,
+        needsReview: file.needsReview,
+        decidedBy: file.decidedBy,
+        cached: file.cached,
+        sensitive: file.sensitive || [],
+        duplicateOf: file.duplicate
+            ? toArchivePath(root, file.duplicate.of)
+            : null,
+        duplicateKind: file.duplicate ? file.duplicate.kind : null,
+        duplicateSimilarity: file.duplicate ? file.duplicate.similarity : null,
+        error: file.error,
+        durationMs: file.durationMs,
+    };
+}
+
+/**
+ * Give every file its group: merges similar free-form categories
+ * (taxonomy categories are already canonical) and applies the sensitive
+ * data and duplicate policies
+ * @param {Object[]} files - Session entries, see sessionFile
+ * @param {Object} fileCategories - Returned by processDirectory
+ * @param {string} root - Folder the files were extracted to
+ * @param {Object} [options]
+ * @param {Object} [options.taxonomy]
+ * @param {string} [options.mergeStrategy] - See merging/
+ * @param {string} [options.duplicatePolicy] - See duplicates.js
+ * @param {string} [options.sensitivePolicy] - See sensitive.js
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{files: Object[], mergeStrategy: string|null, merges:
+ *   Object[], duplicates: Object|null, sensitive: Object|null}>} - The
+ *   files with their `group`, the merge strategy that ran, why each
+ *   category was merged, and the duplicate and sensitive data summaries
+ *   (null when that detection is turned off)
+ */
+async function groupFiles(files, fileCategories, root, options = {}) {
+    const merged = options.taxonomy
+        ? { groups: fileCategories, merges: [], strategy: null }
+        : await mergeCategories(fileCategories, {
+              strategy: options.mergeStrategy,
+              keep: fileService.RESERVED_CATEGORIES,
+              tags: categoryTags(files),
+              signal: options.signal,
+          });
+    const groupByPath = {};
+    for (const group in merged.groups) {
+        for (const p of merged.groups[group]) {
+            groupByPath[toArchivePath(root, p)] = group;
+        }
+    }
+
+    const policy = options.duplicatePolicy || DUPLICATE_POLICY;
+    const sensitivePolicy = options.sensitivePolicy || SENSITIVE_POLICY;
+    const duplicates = files.filter((file) => file.duplicateOf);
+    const flagged = files.filter(
+        (file) => file.sensitive && file.sensitive.length > 0
+    );
+    const findings = {};
+    for (const file of flagged) {
+        for (const { type, count } of file.sensitive) {
+            findings[type] = (findings[type] || 0) + count;
+        }
+    }
+    return {
+        files: files.map((file) => {
+            const group = sensitiveGroup(
+                groupByPath[file.originalPath],
+                file.sensitive,
+                sensitivePolicy
+            );
+            return {
+                ...file,
+                group: file.duplicateOf ? duplicateGroup(group, policy) : group,
+            };
+        }),
+        mergeStrategy: merged.strategy,
+        merges: merged.merges,
+        duplicates: DUPLICATE_DETECTION
+            ? {
+                  policy,
+                  exact: duplicates.filter(
+                      (file) => file.duplicateKind === "exact"
+                  ).length,
+                  near: duplicates.filter(
+                      (file) => file.duplicateKind === "near"
+                  ).length,
+              }
+            : null,
+        sensitive: SENSITIVE_DETECTION
+            ? { policy: sensitivePolicy, files: flagged.length, findings }
+            : null,
+    };
+}
+
+/**
+ * Group the files, then read what the result needs out of them: their
+ * naming fields when renaming and their metadata. Shared by runPipeline
+ * and the command line, so both file the same files the same way.
+ * @param {Object[]} files - Session entries, see sessionFile
+ * @param {Object} fileCategories - Returned by processDirectory
+ * @param {string} root - Folder the files were extracted to
+ * @param {Object} [options] - Also those of groupFiles
+ * @param {boolean} [options.rename] - Read the naming fields
+ * @param {boolean} [options.metadata] - Read the metadata; defaults to
+ *   METADATA_EXTRACTION
+ * @param {(stage: string) => void} [options.onStage] - Called when a stage
+ *   starts
+ * @returns {Promise<Object>} - See groupFiles; the files also have their
+ *   `fields` and `metadata`
+ */
+async function prepareFiles(files, fileCategories, root, options = {}) {
+    const { signal, onStage = () => {} } = options;
+    const grouped = await groupFiles(files, fileCategories, root, options);
+    throwIfCancelled(signal);
+
+    if (options.rename) {
+        onStage("naming");
+        grouped.files = await readNamingFields(grouped.files, root, {
+            signal,
+        });
+        throwIfCancelled(signal);
+    }
+    if (options.metadata ?? METADATA_EXTRACTION) {
+        onStage("metadata");
+        grouped.files = await readMetadata(grouped.files, root, { signal });
+        throwIfCancelled(signal);
+    }
+    return grouped;
+}
+
+/**
+ * How often each model tag occurs per category
+ * @param {Object[]} files - File records with `category` and `tags`
+ * @returns {Object} - category -> { tag: number of files }
+ */
+function categoryTags(files) {
+    const tags = {};
+    for (const file of files) {
+        if (!tags[file.category]) tags[file.category] = {};
+        for (const tag of file.tags || []) {
+            tags[file.category][tag] = (tags[file.category][tag] || 0) + 1;
+        }
+    }
+    return tags;
+}
+
+/**
+ * Group name -> original paths, in file order
+ * @param {Object[]} files - Session files with their `group`
+ * @returns {Object}
+ */
+function groupCategories(files) {
+    const categories = {};
+    for (const file of files) {
+        if (!file.group) continue;
+        if (!categories[file.group]) categories[file.group] = [];
+        categories[file.group].push(file.originalPath);
+    }
+    return categories;
+}
+
+/**
+ * Copy the files into their group folders below a folder and write the
+ * metadata and reports next to them. Shared by buildResult and the command
+ * line.
+ * @param {Object} draft - Session record; each file has its final `group`,
+ *   its naming `fields` when `rename` is set and its `metadata`
+ * @param {string} sourcePath - Folder holding the files
+ * @param {string} outputPath - Folder to write to
+ * @param {Object} [options]
+ * @param {boolean} [options.move] - Move the files instead of copying them
+ * @returns {Promise<{files: Object[], metadata: Object[]}>} - The files
+ *   with their `outputPath` and `renamedTo`, and the metadata collections
+ */
+async function writeResult(draft, sourcePath, outputPath, options = {}) {
+    // Files a review moved to another category may need other metadata
+    const reviewed = METADATA_EXTRACTION
+        ? await readMetadata(draft.files, sourcePath)
+        : draft.files;
+
+    // Groups are final here, so nothing is normalized again
+    const groups = {};
+    for (const file of draft.files) {
+        if (!file.group) continue;
+        if (!groups[file.group]) groups[file.group] = [];
+        groups[file.group].push(
+            path.join(sourcePath, ...file.originalPath.split("/"))
+        );
+    }
+    // Templates go by the final group, so names follow corrections
+    const names = draft.rename ? suggestNames(draft.files, sourcePath) : {};
+    const { outputs } = await fileService.organizeFilesByCategory(
+        groups,
+        outputPath,
+        {
+            normalize: false,
+            layout: draft.layout,
+            root: sourcePath,
+            move: Boolean(options.move),
+            names,
+        }
+    );
+    const outputByPath = {};
+    for (const p in outputs) {
+        outputByPath[toArchivePath(sourcePath, p)] = outputs[p];
+    }
+    const files = reviewed.map((file) => {
+        const output = outputByPath[file.originalPath] || null;
+        const name = output && path.posix.basename(output);
+        return {
+            ...file,
+            outputPath: output,
+            // Also set when a renamed file's name had to be made unique
+            renamedTo: draft.rename && name && name !== file.name ? name : null,
+        };
+    });
+
+    const metadata = METADATA_EXTRACTION
+        ? await writeMetadata(outputPath, files)
+        : [];
+
+    // The manifest lists every file, so none can go missing unnoticed
+    await writeReports(outputPath, {
+        filename: draft.filename,
+        layout: draft.layout,
+        taxonomy: draft.taxonomy
+            ? `${draft.taxonomy.name}@${draft.taxonomy.version}`
+            : null,
+        mergeStrategy: draft.mergeStrategy || null,
+        merges: draft.merges || [],
+        duplicates: draft.duplicates || null,
+        sensitive: draft.sensitive || null,
+        rename: Boolean(draft.rename),
+        metadata,
+        files,
+    });
+    return { files, metadata };
+}
+
+/**
+ * Organize the files and write the reports (see writeResult), bundle the
+ * result zip and store the completed session
+ * @param {Object} draft - Session record; each file has its final `group`,
+ *   its naming `fields` when `rename` is set and its `metadata`
+ * @param {string} sourcePath - Folder holding the extracted files
+ * @returns {Promise<Object>} - The stored session
+ */
+async function buildResult(draft, sourcePath) {
+    const categorizedPath = path.join("categorized", draft.id);
+    const resultPath = path.join("categorized", `${draft.id}-result.zip`);
+
+    try {
+        fs.ensureDirSync(categorizedPath);
+
+        const { files, metadata } = await writeResult(
+            draft,
+            sourcePath,
+            categorizedPath
+        );
+
+        // Bundle the categorized result as zip
+        const resultZip = new AdmZip();
+        resultZip.addLocalFolder(categorizedPath);
+        resultZip.writeZip(resultPath);
+
+        const finishedAt = new Date();
+        return await sessionStore.saveSession(
+            {
+                ...draft,
+                status: "completed",
+                // A reviewed preview keeps its processing time
+                finishedAt: draft.finishedAt || finishedAt.toISOString(),
+                durationMs:
+                    draft.durationMs || finishedAt - new Date(draft.createdAt),
+                files,
+                categories: groupCategories(files),
+                metadata,
+            },
+            resultPath
+        );
+    } catch (error) {
+        await cleanup([resultPath]);
+        throw error;
+    } finally {
+        await cleanup([categorizedPath]);
+    }
+}
+
+/**
+ * Build the result zip of a reviewed preview session
+ * @param {Object} session - Stored session with status "preview"
+ * @param {Object} [options]
+ * @param {string} [options.layout] - Override the layout chosen at upload
+ * @returns {Promise<Object>} - The completed session
+ */
+async function finalizePreview(session, options = {}) {
+    const sourcePath = sessionStore.previewPath(session.id);
+    // Files a review moved to a category with a template may need fields
+    const files = session.rename
+        ? await readNamingFields(session.files, sourcePath)
+        : session.files;
+    const completed = await buildResult(
+        {
+            ...session,
+            files,
+            layout: options.layout || session.layout,
+            finalizedAt: new Date().toISOString(),
+        },
+        sourcePath
+    );
+    await cleanup([sourcePath]);
+    return completed;
+}
+
+module.exports = {
+    runPipeline,
+    finalizePreview,
+    sessionFile,
+    groupFiles,
+    prepareFiles,
+    writeResult,
+    groupCategories,
+    countFiles,
+    cleanup,
+    MAX_FOLDER_DEPTH,
+    MAX_DIRECTORY_DEPTH,
+};
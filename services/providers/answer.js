@@ -0,0 +1,315 @@
+// Structured categorization answers. Models are asked for a JSON object;
+// replies are validated against ANSWER_SCHEMA and repaired where possible
+// (code fences, single quotes, trailing commas, percentages, stray
+// punctuation) so a sloppy reply never becomes a folder name.
+const Ajv = require("ajv");
+
+const MAX_CATEGORY_LENGTH = 80;
+const MAX_RATIONALE_LENGTH = 300;
+const MAX_TAGS = 10;
+const MAX_FIELD_LENGTH = 200;
+
+const ANSWER_SCHEMA = {
+    type: "object",
+    properties: {
+        category: { type: "string", minLength: 1 },
+        confidence: { type: ["number", "null"], minimum: 0, maximum: 1 },
+        rationale: { type: "string" },
+        tags: { type: "array", items: { type: "string" } },
+        secondaryCategory: { type: ["string", "null"] },
+    },
+    required: ["category", "confidence", "rationale", "tags"],
+    additionalProperties: false,
+};
+
+const validate = new Ajv({ allErrors: true }).compile(ANSWER_SCHEMA);
+
+/**
+ * Clean a label so it can be used as a folder name: first line only, no
+ * list markers, quotes or trailing punctuation, no path separators other
+ * than "/" between words, and no empty or dot-only segments ("..") that
+ * would lead out of the output folder
+ * @param {*} value
+ * @returns {string|null}
+ */
+function sanitizeCategory(value) {
+    if (typeof value !== "string") return null;
+    const label = value
+        .split("\n")[0]
+        .replace(/^(category\s*:\s*)/i, "")
+        .replace(/^[\s\-*#>"'`]+|[\s.,;:!"'`]+$/g, "")
+        .replace(/\\/g, "/")
+        .replace(/[<>:"|?*\u0000-\u001f]/g, "")
+        .slice(0, MAX_CATEGORY_LENGTH)
+        .split("/")
+        .map((segment) => segment.trim())
+        .filter((segment) => segment && !/^\.+$/.test(segment))
+        .join("/");
+    return label || null;
+}
+
+/**
+ * Read a confidence given as 0..1, a percentage ("85%", 85) or a word
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toConfidence(value) {
+    if (typeof value === "string") {
+        const word = { high: 0.9, medium: 0.6, low: 0.3 }[
+            value.trim().toLowerCase()
+        ];
+        if (word !== undefined) return word;
+        value = parseFloat(value);
+    }
+    if (typeof value !== "number" || Number.isNaN(value)) return null;
+    if (value > 1 && value <= 100) value /= 100;
+    return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Parse the first JSON object in a reply, tolerating the usual mistakes
+ * @param {string} text
+ * @returns {*} - Parsed value, or undefined
+ */
+function parseJsonObject(text) {
+    const start = text.indexOf("{");
+    const end = text.lastIndexOf("}");
+    if (start === -1 || end < start) return undefined;
+    const candidate = text.slice(start, end + 1);
+    const attempts = [
+        candidate,
+        candidate
+            .replace(/,\s*([}\]])/g, "$1")
+            .replace(/([{,]\s*)([A-Za-z_]\w*)\s*:/g, '$1"$2":')
+            .replace(/'([^'\\]*)'/g, '"$1"'),
+    ];
+    for (const attempt of attempts) {
+        try {
+            return JSON.parse(attempt);
+        } catch {
+            /* try the next repair */
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Coerce a parsed object into the answer shape
+ * @param {Object} value
+ * @returns {Object|null} - Answer, or null without a usable category
+ */
+function repairAnswer(value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return null;
+    }
+    const category = sanitizeCategory(
+        value.category ?? value.primaryCategory ?? value.label
+    );
+    if (!category) return null;
+
+    const secondary = sanitizeCategory(
+        value.secondaryCategory ?? value.secondary_category ?? null
+    );
+    let tags = value.tags ?? [];
+    if (typeof tags === "string") tags = tags.split(",");
+    return {
+        category,
+        confidence: toConfidence(value.confidence),
+        rationale: String(value.rationale ?? value.reason ?? "")
+            .trim()
+            .slice(0, MAX_RATIONALE_LENGTH),
+        tags: Array.isArray(tags)
+            ? [
+                  ...new Set(
+                      tags
+                          .filter((tag) => typeof tag === "string")
+                          .map((tag) => tag.trim().toLowerCase())
+                          .filter(Boolean)
+                  ),
+              ].slice(0, MAX_TAGS)
+            : [],
+        secondaryCategory:
+            secondary && secondary.toLowerCase() !== category.toLowerCase()
+                ? secondary
+                : null,
+    };
+}
+
+/**
+ * Turn any value a model produced for one file into a valid answer
+ * @param {*} value - Parsed object, or the raw reply text
+ * @returns {Object|null} - { category, confidence, rationale, tags,
+ *   secondaryCategory }, or null when no category can be recovered
+ */
+function normalizeAnswer(value) {
+    let answer;
+    if (typeof value === "string") {
+        const parsed = parseJsonObject(value);
+        // Not JSON at all: old-style plain label, confidence unknown
+        answer =
+            parsed === undefined
+                ? repairAnswer({ category: value })
+                : repairAnswer(parsed);
+    } else {
+        answer = repairAnswer(value);
+    }
+    if (!answer) return null;
+    if (!validate(answer)) {
+        console.error(
+            "Answer failed validation:",
+            validate.errors.map((e) => `${e.instancePath} ${e.message}`)
+        );
+        return null;
+    }
+    return answer;
+}
+
+/**
+ * Parse the reply for a single file
+ * @param {string} text - Raw model reply
+ * @returns {Object} - Answer
+ * @throws {Error} - code INVALID_ANSWER when no category can be recovered
+ */
+function parseAnswer(text) {
+    const answer = normalizeAnswer(text);
+    if (!answer) {
+        const error = new Error(
+            `Model reply has no usable category: ${text.slice(0, 200)}`
+        );
+        error.code = "INVALID_ANSWER";
+        error.reason = "Model reply has no usable category";
+        throw error;
+    }
+    return answer;
+}
+
+/**
+ * Parse a batch reply: a JSON object of filename → answer. Unknown
+ * filenames and invalid answers are dropped, so callers can re-ask for
+ * whatever is missing.
+ * @param {string} text - Raw model reply
+ * @param {string[]} filenames - Files that were asked about
+ * @returns {Object} - filename → answer
+ */
+function parseBatchAnswers(text, filenames) {
+    const parsed = parseJsonObject(text);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        return {};
+    }
+    const answers = {};
+    for (const filename of filenames) {
+        const answer =
+            parsed[filename] !== undefined
+                ? normalizeAnswer(parsed[filename])
+                : null;
+        if (answer) answers[filename] = answer;
+    }
+    return answers;
+}
+
+/**
+ * Parse a consolidation reply: groups of category names to merge. Unknown
+ * names, names already in an earlier group and groups left with fewer than
+ * two names are dropped.
+ * @param {string} text - Raw model reply
+ * @param {string[]} names - Categories that were asked about
+ * @returns {Array<{name: string, members: string[], reason: string}>}
+ */
+function parseConsolidation(text, names) {
+    const parsed = parseJsonObject(text);
+    if (!parsed || !Array.isArray(parsed.groups)) return [];
+    const known = new Set(names);
+    const used = new Set();
+    const groups = [];
+    for (const group of parsed.groups) {
+        if (!group || !Array.isArray(group.categories)) continue;
+        const members = [
+            ...new Set(group.categories.filter((name) => known.has(name))),
+        ].filter((name) => !used.has(name));
+        if (members.length < 2) continue;
+        members.forEach((name) => used.add(name));
+        groups.push({
+            name: sanitizeCategory(group.name) || members[0],
+            members,
+            reason: typeof group.reason === "string" ? group.reason.trim() : "",
+        });
+    }
+    return groups;
+}
+
+/**
+ * Clean an extracted field value: first line, trimmed, no placeholders
+ * like "null" or "n/a"
+ * @param {*} value
+ * @returns {string|null}
+ */
+function sanitizeField(value) {
+    if (typeof value === "number" && Number.isFinite(value)) {
+        return String(value);
+    }
+    if (typeof value !== "string") return null;
+    const text = value
+        .split("\n")[0]
+        .replace(/[\u0000-\u001f]/g, "")
+        .trim()
+        .slice(0, MAX_FIELD_LENGTH)
+        .trim();
+    if (!text || /^(null|none|n\/?a|unknown|-+)$/i.test(text)) return null;
+    return text;
+}
+
+/**
+ * Parse a field extraction reply
+ * @param {string} text - Raw model reply
+ * @param {string[]} names - Fields that were asked for
+ * @returns {Object} - name -> string value or null, for every name
+ */
+function parseFields(text, names) {
+    const parsed = parseJsonObject(text);
+    const values = parsed && typeof parsed === "object" ? parsed : {};
+    return Object.fromEntries(
+        names.map((name) => [name, sanitizeField(values[name])])
+    );
+}
+
+/**
+ * Parse a metadata extraction reply. The object is validated against the
+ * category's schema by the caller (see metadata.js).
+ * @param {string} text - Raw model reply
+ * @returns {Object|null} - null when the reply holds no JSON object
+ */
+function parseMetadata(text) {
+    const parsed = parseJsonObject(text);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed)
+        ? parsed
+        : null;
+}
+
+/**
+ * Answer for decisions that didn't come from a model reply
+ * @param {string} category
+ * @param {number|null} confidence
+ * @param {string} [rationale]
+ * @returns {Object}
+ */
+function createAnswer(category, confidence, rationale = "") {
+    return {
+        category,
+        confidence,
+        rationale,
+        tags: [],
+        secondaryCategory: null,
+    };
+}
+
+module.exports = {
+    parseAnswer,
+    parseBatchAnswers,
+    parseConsolidation,
+    parseFields,
+    parseMetadata,
+    sanitizeField,
+    createAnswer,
+    sanitizeCategory,
+    ANSWER_SCHEMA,
+};
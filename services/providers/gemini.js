@@ -0,0 +1,60 @@
+// Google Gemini provider
+const { createLLMProvider } = require("./llm");
+const { contentTokens } = require("../sampling");
+
+const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-pro";
+// Text-only models, which reject image and PDF parts
+const TEXT_ONLY_MODELS = /^(models\/)?gemini-(1\.0-)?pro(-\d+)?(-latest)?$/;
+// GEMINI_VISION=1 or 0 overrides; by default images and scanned PDFs are
+// sent inline unless the model is text-only, like the default gemini-pro
+const GEMINI_VISION = process.env.GEMINI_VISION
+    ? process.env.GEMINI_VISION !== "0"
+    : !TEXT_ONLY_MODELS.test(GEMINI_MODEL);
+// Tokens of each file's content in a prompt; CONTENT_TOKENS when unset
+const GEMINI_CONTENT_TOKENS = contentTokens(process.env.GEMINI_CONTENT_TOKENS);
+
+const ATTACHMENT_TYPES = [
+    "image/png",
+    "image/jpeg",
+    "image/webp",
+    "image/heic",
+    "image/heif",
+    "application/pdf",
+];
+
+/**
+ * Create the Gemini provider
+ * @returns {Object} provider
+ */
+function createGeminiProvider() {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+        throw new Error("GEMINI_API_KEY is not set in environment variables.");
+    }
+
+    // Loaded on first use, so other providers work without the SDK
+    const { GoogleGenerativeAI } = require("@google/generative-ai");
+    const genAI = new GoogleGenerativeAI(apiKey);
+
+    return createLLMProvider({
+        name: "gemini",
+        model: GEMINI_MODEL,
+        contentTokens: GEMINI_CONTENT_TOKENS,
+        attachmentTypes: GEMINI_VISION ? ATTACHMENT_TYPES : [],
+        generate: async (prompt, attachments = [], { signal } = {}) => {
+            const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
+            const result = await model.generateContent(
+                [
+                    prompt,
+                    ...attachments.map(({ mimeType, data }) => ({
+                        inlineData: { mimeType, data: data.toString("base64") },
+                    })),
+                ],
+                { signal }
+            );
+            return result.response.text();
+        },
+    });
+}
+
+module.exports = createGeminiProvider;
@@ -0,0 +1,174 @@
+// AI provider registry. The active provider is chosen by AI_PROVIDER;
+// when unset we pick the first one that has credentials configured and
+// fall back to the offline "local" provider.
+const createGeminiProvider = require("./gemini");
+const createOpenAIProvider = require("./openai");
+const createLocalProvider = require("./local");
+
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    local: createLocalProvider,
+};
+
+const instances = {};
+
+/**
+ * Resolve the provider name from configuration
+ * @returns {string}
+ */
+function defaultProviderName() {
+    if (process.env.AI_PROVIDER) {
+        return process.env.AI_PROVIDER.toLowerCase();
+    }
+    if (process.env.GEMINI_API_KEY) return "gemini";
+    if (process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL) {
+        return "openai";
+    }
+    return "local";
+}
+
+/**
+ * Get (and lazily create) a provider instance
+ * @param {string} [name] - Provider name, defaults to the configured one
+ * @returns {Object} provider
+ */
+function getProvider(name = defaultProviderName()) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(
+            `Unknown AI provider "${name}". Available providers: ${Object.keys(
+                PROVIDERS
+            ).join(", ")}`
+        );
+    }
+    if (!instances[name]) {
+        instances[name] = factory();
+    }
+    return instances[name];
+}
+
+/**
+ * Categorize file content with the configured provider
+ * @param {string} content - The file content to analyze
+ * @param {string} [filename] - Optional filename for context
+ * @param {Object} [options]
+ * @param {Object} [options.taxonomy] - Constrain the answer to a taxonomy
+ * @param {Object[]} [options.examples] - Similar, already categorized
+ *   files shown to the model (see examples.js)
+ * @param {AbortSignal} [options.signal] - Cancels a waiting or retrying call
+ * @returns {Promise<Object>} - Answer { category, confidence, rationale,
+ *   tags, secondaryCategory }
+ */
+async function categorizeContent(content, filename = "", options = {}) {
+    return getProvider().categorizeContent(content, filename, options);
+}
+
+/**
+ * Categorize a file sent inline (image or scanned PDF) with the configured
+ * provider. Check `supportsAttachment` first.
+ * @param {{mimeType: string, data: Buffer}} attachment
+ * @param {string} [filename] - Optional filename for context
+ * @param {Object} [options]
+ * @param {Object} [options.taxonomy] - Constrain the answer to a taxonomy
+ * @param {AbortSignal} [options.signal] - Cancels a waiting or retrying call
+ * @returns {Promise<Object>} - Answer { category, confidence, rationale,
+ *   tags, secondaryCategory }
+ */
+async function categorizeAttachment(attachment, filename = "", options = {}) {
+    return getProvider().categorizeAttachment(attachment, filename, options);
+}
+
+/**
+ * Categorize several small files in one call with the configured provider.
+ * Check `supportsBatch` first.
+ * @param {Array<{filename: string, content: string}>} files
+ * @param {Object} [options]
+ * @param {Object} [options.taxonomy] - Constrain the answers to a taxonomy
+ * @param {Object[]} [options.examples] - Similar, already categorized files
+ * @param {AbortSignal} [options.signal] - Cancels a waiting or retrying call
+ * @returns {Promise<Object>} - filename → answer; may be incomplete
+ */
+async function categorizeBatch(files, options = {}) {
+    return getProvider().categorizeBatch(files, options);
+}
+
+/**
+ * Ask the configured provider which free-form categories name the same
+ * thing. Check `supportsConsolidation` first.
+ * @param {Array<{name: string, count: number, tags: string[]}>} categories
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels a waiting or retrying call
+ * @returns {Promise<Array<{name: string, members: string[], reason:
+ *   string}>>} - Groups to merge
+ */
+async function consolidateCategories(categories, options = {}) {
+    return getProvider().consolidateCategories(categories, options);
+}
+
+/**
+ * Read named fields (a date, a counterparty, ...) out of file content with
+ * the configured provider
+ * @param {string} content - The file content to analyze
+ * @param {string} [filename] - Optional filename for context
+ * @param {Array<{name: string, description: string}>} fields
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels a waiting or retrying call
+ * @returns {Promise<Object>} - name -> value, null when not stated
+ */
+async function extractFields(content, filename, fields, options = {}) {
+    return getProvider().extractFields(content, filename, fields, options);
+}
+
+/**
+ * Read a metadata object described by a JSON Schema out of file content
+ * with the configured provider
+ * @param {string} content - The file content to analyze
+ * @param {string} [filename] - Optional filename for context
+ * @param {Object} schema - JSON Schema of the object
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels a waiting or retrying call
+ * @returns {Promise<Object|null>} - The parsed, not yet validated object
+ */
+async function extractMetadata(content, filename, schema, options = {}) {
+    return getProvider().extractMetadata(content, filename, schema, options);
+}
+
+/**
+ * Whether the configured provider can consolidate category names
+ * @returns {boolean}
+ */
+function supportsConsolidation() {
+    return typeof getProvider().consolidateCategories === "function";
+}
+
+/**
+ * Whether the configured provider can categorize files in batches
+ * @returns {boolean}
+ */
+function supportsBatch() {
+    return typeof getProvider().categorizeBatch === "function";
+}
+
+/**
+ * Whether the configured provider accepts an inline attachment of this type
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+function supportsAttachment(mimeType) {
+    return getProvider().supportsAttachment(mimeType);
+}
+
+module.exports = {
+    getProvider,
+    categorizeContent,
+    categorizeAttachment,
+    categorizeBatch,
+    consolidateCategories,
+    extractFields,
+    extractMetadata,
+    supportsAttachment,
+    supportsBatch,
+    supportsConsolidation,
+    availableProviders: Object.keys(PROVIDERS),
+};
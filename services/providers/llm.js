@@ -0,0 +1,242 @@
+// Shared behaviour for providers backed by a text-generation model
+const fs = require("fs-extra");
+const {
+    buildCategorizationPrompt,
+    buildAttachmentPrompt,
+    buildBatchPrompt,
+    buildConsolidationPrompt,
+    buildFieldExtractionPrompt,
+    buildMetadataPrompt,
+} = require("./prompt");
+const { createScheduler } = require("./scheduler");
+const {
+    parseAnswer,
+    parseBatchAnswers,
+    parseConsolidation,
+    parseFields,
+    parseMetadata,
+} = require("./answer");
+
+/**
+ * Append a prompt/response pair to the debug log when AI_DEBUG_LOG=1
+ * (GEMINI_DEBUG_LOG=1 is still honoured for existing setups)
+ * @param {string} providerName
+ * @param {string} filename
+ * @param {string} prompt
+ * @param {string} text
+ */
+function debugLog(providerName, filename, prompt, text) {
+    const enabled =
+        process.env.AI_DEBUG_LOG === "1" ||
+        process.env.GEMINI_DEBUG_LOG === "1";
+    if (!enabled) return;
+
+    const logMsg = `[${new Date().toISOString()}] ${providerName} ${
+        filename || ""
+    }\nPrompt: ${prompt}\nRaw response: ${text}\n\n`;
+    fs.ensureDirSync("logs");
+    fs.appendFileSync("logs/ai_debug.log", logMsg, {
+        encoding: "utf8",
+        flag: "a",
+    });
+}
+
+/**
+ * Wrap a raw `generate(prompt, attachments, { signal })` function into a
+ * categorization provider. Calls go through a scheduler that bounds
+ * concurrency and rate and retries transient errors; calls that still fail
+ * reject with code MODEL_CALL_FAILED. Replies are parsed into structured
+ * answers (see answer.js).
+ * @param {Object} options
+ * @param {string} options.name - Provider name used in logs
+ * @param {string} options.model - Model identifier
+ * @param {number} options.contentTokens - Budget for a file's content in a
+ *   prompt, see sampling/
+ * @param {(prompt: string, attachments?: Array<{mimeType: string, data: Buffer}>, options?: {signal: AbortSignal}) => Promise<string>} options.generate
+ * @param {string[]} [options.attachmentTypes] - MIME types the model accepts
+ *   as inline attachments (empty when it has no vision support)
+ * @returns {Object} provider
+ */
+function createLLMProvider({
+    name,
+    model,
+    contentTokens,
+    generate,
+    attachmentTypes = [],
+}) {
+    const scheduler = createScheduler({ name });
+
+    async function ask(prompt, filename, attachments, signal) {
+        try {
+            const text = (
+                await scheduler.run(
+                    (callSignal) =>
+                        generate(prompt, attachments, { signal: callSignal }),
+                    { signal }
+                )
+            ).trim();
+            debugLog(name, filename, prompt, text);
+            console.log(`${name} raw response:`, filename || "", text);
+            return text;
+        } catch (error) {
+            console.error(`${name} API error:`, filename || "", error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Categorize file content with the underlying model
+     * @param {string} content - The file content to analyze
+     * @param {string} [filename] - Optional filename for context
+     * @param {Object} [options]
+     * @param {Object} [options.taxonomy] - Constrain the answer to a taxonomy
+     * @param {Object[]} [options.examples] - Few-shot examples for the prompt
+     * @param {AbortSignal} [options.signal] - Cancels a waiting or retrying call
+     * @returns {Promise<Object>} - Answer { category, confidence, rationale,
+     *   tags, secondaryCategory }
+     */
+    async function categorizeContent(content, filename = "", options = {}) {
+        const text = await ask(
+            buildCategorizationPrompt(
+                content,
+                filename,
+                options.taxonomy,
+                options.examples
+            ),
+            filename,
+            [],
+            options.signal
+        );
+        return parseAnswer(text);
+    }
+
+    /**
+     * Categorize a file by sending it inline to a multimodal model
+     * @param {{mimeType: string, data: Buffer}} attachment
+     * @param {string} [filename] - Optional filename for context
+     * @param {Object} [options]
+     * @param {Object} [options.taxonomy] - Constrain the answer to a taxonomy
+     * @param {AbortSignal} [options.signal] - Cancels a waiting or retrying call
+     * @returns {Promise<Object>} - Answer, as for categorizeContent
+     */
+    async function categorizeAttachment(
+        attachment,
+        filename = "",
+        options = {}
+    ) {
+        const text = await ask(
+            buildAttachmentPrompt(filename, options.taxonomy),
+            filename,
+            [attachment],
+            options.signal
+        );
+        return parseAnswer(text);
+    }
+
+    /**
+     * Categorize several small files with a single call
+     * @param {Array<{filename: string, content: string}>} files - Excerpts
+     *   with unique filenames
+     * @param {Object} [options]
+     * @param {Object} [options.taxonomy] - Constrain the answers to a taxonomy
+     * @param {Object[]} [options.examples] - Few-shot examples for the prompt
+     * @param {AbortSignal} [options.signal] - Cancels a waiting or retrying call
+     * @returns {Promise<Object>} - filename → answer; files the reply left
+     *   out or answered invalidly are missing
+     */
+    async function categorizeBatch(files, options = {}) {
+        const filenames = files.map((file) => file.filename);
+        const text = await ask(
+            buildBatchPrompt(files, options.taxonomy, options.examples),
+            `batch of ${files.length}`,
+            [],
+            options.signal
+        );
+        return parseBatchAnswers(text, filenames);
+    }
+
+    /**
+     * Ask the model which free-form categories name the same thing
+     * @param {Array<{name: string, count: number, tags: string[]}>} categories
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels a waiting or retrying call
+     * @returns {Promise<Array<{name: string, members: string[], reason:
+     *   string}>>} - Groups to merge; see parseConsolidation
+     */
+    async function consolidateCategories(categories, options = {}) {
+        const text = await ask(
+            buildConsolidationPrompt(categories),
+            `consolidation of ${categories.length} categories`,
+            [],
+            options.signal
+        );
+        return parseConsolidation(
+            text,
+            categories.map((category) => category.name)
+        );
+    }
+
+    /**
+     * Read named fields out of file content
+     * @param {string} content - The file content to analyze
+     * @param {string} [filename] - Optional filename for context
+     * @param {Array<{name: string, description: string}>} fields
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels a waiting or retrying call
+     * @returns {Promise<Object>} - name -> value, null when not stated
+     */
+    async function extractFields(content, filename = "", fields, options = {}) {
+        const text = await ask(
+            buildFieldExtractionPrompt(content, filename, fields),
+            filename,
+            [],
+            options.signal
+        );
+        return parseFields(
+            text,
+            fields.map((field) => field.name)
+        );
+    }
+
+    /**
+     * Read a metadata object described by a JSON Schema out of file content
+     * @param {string} content - The file content to analyze
+     * @param {string} [filename] - Optional filename for context
+     * @param {Object} schema - JSON Schema of the object
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels a waiting or retrying call
+     * @returns {Promise<Object|null>} - The parsed, not yet validated object
+     */
+    async function extractMetadata(
+        content,
+        filename = "",
+        schema,
+        options = {}
+    ) {
+        const text = await ask(
+            buildMetadataPrompt(content, filename, schema),
+            filename,
+            [],
+            options.signal
+        );
+        return parseMetadata(text);
+    }
+
+    return {
+        name,
+        model,
+        contentTokens,
+        generate,
+        categorizeContent,
+        categorizeAttachment,
+        categorizeBatch,
+        consolidateCategories,
+        extractFields,
+        extractMetadata,
+        supportsAttachment: (mimeType) => attachmentTypes.includes(mimeType),
+    };
+}
+
+module.exports = {
+    createLLMProvider,
+};
@@ -0,0 +1,530 @@
+// Offline keyword/heuristic provider. Needs no API key and always returns
+// the same category for the same input, which makes it suitable for
+// air-gapped environments and test runs.
+const path = require("path");
+const { createAnswer, sanitizeField } = require("./answer");
+const { contentTokens } = require("../sampling");
+
+// Tokens of each file's content looked at; CONTENT_TOKENS when unset
+const LOCAL_CONTENT_TOKENS = contentTokens(process.env.LOCAL_CONTENT_TOKENS);
+
+// Keyword signatures per category. Filename hits weigh more than content hits.
+const CATEGORY_KEYWORDS = [
+    {
+        category: "Invoice",
+        keywords: [
+            "invoice",
+            "bill to",
+            "invoice number",
+            "amount due",
+            "due date",
+            "remit",
+        ],
+    },
+    {
+        category: "Receipt",
+        keywords: [
+            "receipt",
+            "paid",
+            "thank you for your purchase",
+            "cashier",
+            "change due",
+            "subtotal",
+        ],
+    },
+    {
+        category: "Resume/CV",
+        keywords: [
+            "resume",
+            "curriculum vitae",
+            "work experience",
+            "education",
+            "skills",
+            "references available",
+        ],
+    },
+    {
+        category: "Cover Letter",
+        keywords: [
+            "cover letter",
+            "dear hiring manager",
+            "i am writing to apply",
+            "position of",
+        ],
+    },
+    {
+        category: "Contract",
+        keywords: [
+            "contract",
+            "agreement",
+            "hereinafter",
+            "party",
+            "parties",
+            "terms and conditions",
+            "governing law",
+            "witness whereof",
+        ],
+    },
+    {
+        category: "Financial Statement",
+        keywords: [
+            "balance sheet",
+            "income statement",
+            "cash flow",
+            "assets",
+            "liabilities",
+            "equity",
+            "fiscal year",
+        ],
+    },
+    {
+        category: "Business Report",
+        keywords: [
+            "report",
+            "executive summary",
+            "findings",
+            "recommendations",
+            "quarterly",
+            "kpi",
+        ],
+    },
+    {
+        category: "Meeting Notes",
+        keywords: ["meeting", "minutes", "attendees", "agenda", "action items"],
+    },
+    {
+        category: "Research Paper",
+        keywords: [
+            "abstract",
+            "introduction",
+            "methodology",
+            "conclusion",
+            "references",
+            "et al",
+        ],
+    },
+    {
+        category: "User Manual",
+        keywords: [
+            "manual",
+            "user guide",
+            "getting started",
+            "troubleshooting",
+            "step 1",
+        ],
+    },
+    {
+        category: "Tutorial",
+        keywords: [
+            "tutorial",
+            "how to",
+            "in this guide",
+            "let's",
+            "walkthrough",
+        ],
+    },
+    {
+        category: "API Documentation",
+        keywords: [
+            "endpoint",
+            "request body",
+            "response",
+            "get /",
+            "post /",
+            "status code",
+            "api",
+        ],
+    },
+    {
+        category: "Marketing Copy",
+        keywords: [
+            "limited offer",
+            "buy now",
+            "discount",
+            "subscribe",
+            "campaign",
+            "brand",
+        ],
+    },
+    {
+        category: "Legal Document",
+        keywords: [
+            "pursuant",
+            "court",
+            "plaintiff",
+            "defendant",
+            "statute",
+            "jurisdiction",
+        ],
+    },
+    {
+        category: "Personal Letter",
+        keywords: ["dear", "love", "yours truly", "sincerely", "best wishes"],
+    },
+];
+
+// Categories that can be decided by extension alone
+const EXTENSION_CATEGORIES = {
+    ".js": "Source Code (JavaScript)",
+    ".ts": "Source Code (TypeScript)",
+    ".py": "Source Code (Python)",
+    ".java": "Source Code (Java)",
+    ".go": "Source Code (Go)",
+    ".rb": "Source Code (Ruby)",
+    ".php": "Source Code (PHP)",
+    ".c": "Source Code (C)",
+    ".cpp": "Source Code (C++)",
+    ".cs": "Source Code (C#)",
+    ".sh": "Source Code (Shell)",
+    ".css": "Source Code (CSS)",
+    ".html": "Web Page",
+    ".log": "Log File",
+    ".yml": "Configuration File",
+    ".yaml": "Configuration File",
+    ".ini": "Configuration File",
+    ".toml": "Configuration File",
+    ".env": "Configuration File",
+};
+
+/**
+ * Score every category by keyword occurrences in filename and content
+ * @param {string} content
+ * @param {string} filename
+ * @returns {{category: string, score: number}|null}
+ */
+function bestKeywordMatch(content, filename) {
+    const name = filename.toLowerCase();
+    const text = content.toLowerCase();
+    let best = null;
+
+    for (const { category, keywords } of CATEGORY_KEYWORDS) {
+        let score = 0;
+        for (const keyword of keywords) {
+            if (name.includes(keyword)) score += 3;
+            if (text.includes(keyword)) score += 1;
+        }
+        if (score > 0 && (!best || score > best.score)) {
+            best = { category, score };
+        }
+    }
+    return best;
+}
+
+/**
+ * Guess a category for structured data formats
+ * @param {string} content
+ * @param {string} ext
+ * @returns {string|null}
+ */
+function detectDataFormat(content, ext) {
+    const trimmed = content.trim();
+    if (ext === ".json" || /^[[{]/.test(trimmed)) {
+        try {
+            const parsed = JSON.parse(trimmed);
+            if (parsed && (parsed.dependencies || parsed.scripts)) {
+                return "Configuration File";
+            }
+            return Array.isArray(parsed) ? "Dataset" : "Configuration File";
+        } catch {
+            /* not JSON */
+        }
+    }
+    if (ext === ".csv" || ext === ".tsv") {
+        return "Dataset";
+    }
+    const lines = trimmed.split("\n").slice(0, 20);
+    if (
+        lines.length > 3 &&
+        lines.filter((l) => /^\[?\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/.test(l))
+            .length >=
+            lines.length / 2
+    ) {
+        return "Log File";
+    }
+    return null;
+}
+
+/**
+ * Score taxonomy categories by their keywords and name
+ * @param {Object} taxonomy
+ * @param {string} content
+ * @param {string} filename
+ * @returns {{path: string, score: number}|null} - Best category
+ */
+function bestTaxonomyMatch(taxonomy, content, filename) {
+    const name = filename.toLowerCase();
+    const text = content.toLowerCase();
+    let best = null;
+
+    for (const category of taxonomy.categories) {
+        let score = 0;
+        const terms = [...category.keywords, category.name].map((k) =>
+            String(k).toLowerCase()
+        );
+        for (const term of terms) {
+            if (name.includes(term)) score += 3;
+            if (text.includes(term)) score += 1;
+        }
+        if (score > 0 && (!best || score > best.score)) {
+            best = { path: category.path, score };
+        }
+    }
+    return best;
+}
+
+const MONTHS = [
+    "jan",
+    "feb",
+    "mar",
+    "apr",
+    "may",
+    "jun",
+    "jul",
+    "aug",
+    "sep",
+    "oct",
+    "nov",
+    "dec",
+];
+
+/**
+ * YYYY-MM-DD from parts, or null when they are no valid date
+ * @param {number|string} year
+ * @param {number|string} month - 1 to 12
+ * @param {number|string} day
+ * @returns {string|null}
+ */
+function isoDate(year, month, day) {
+    const [y, m, d] = [year, month, day].map(Number);
+    if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+    return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+/**
+ * First date in a text: ISO, day-first with dots ("05.01.2024"),
+ * month-first with slashes ("01/05/2024") or with a month name
+ * @param {string} text
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function findDate(text) {
+    const month = `(${MONTHS.join("|")})[a-z]*\\.?`;
+    const patterns = [
+        [/\b(\d{4})-(\d{2})-(\d{2})\b/, (m) => isoDate(m[1], m[2], m[3])],
+        [/\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/, (m) => isoDate(m[3], m[2], m[1])],
+        [/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/, (m) => isoDate(m[3], m[1], m[2])],
+        [
+            new RegExp(`\\b(\\d{1,2})\\.? ${month},? (\\d{4})\\b`, "i"),
+            (m) => isoDate(m[3], MONTHS.indexOf(m[2].toLowerCase()) + 1, m[1]),
+        ],
+        [
+            new RegExp(`\\b${month} (\\d{1,2}),? (\\d{4})\\b`, "i"),
+            (m) => isoDate(m[3], MONTHS.indexOf(m[1].toLowerCase()) + 1, m[2]),
+        ],
+    ];
+    let first = null;
+    for (const [pattern, toDate] of patterns) {
+        const match = pattern.exec(text);
+        if (match && (!first || match.index < first.index)) {
+            const date = toDate(match);
+            if (date) first = { index: match.index, date };
+        }
+    }
+    return first ? first.date : null;
+}
+
+// Field heuristics by field name; other fields are never found
+const FIELD_FINDERS = {
+    date: findDate,
+    counterparty: (text) => {
+        const match =
+            /^\s*(?:from|vendor|supplier|seller|merchant|store|shop|bill(?:ed)? from|issued by|company)\s*:\s*(.+)$/im.exec(
+                text
+            );
+        return match ? match[1] : null;
+    },
+    documentNumber: (text) => {
+        const match =
+            /\b(?:invoice|inv|order|po|receipt|document|doc|contract|ref(?:erence)?)\s*(?:no\.?|number|nr\.?|#|id)?\s*[:#]?\s*([a-z]*[-/]?\d[\w/-]*)/i.exec(
+                text
+            );
+        return match ? match[1] : null;
+    },
+    // The first line, when it is short enough to be a heading
+    title: (text) => {
+        const line = text.split("\n").find((l) => l.trim());
+        return line && line.trim().length <= 80 ? line : null;
+    },
+};
+
+/**
+ * Number from an amount as written: "1,234.50", "1.234,50", "1'234"
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseAmount(value) {
+    const sign = value.trim().startsWith("-") ? -1 : 1;
+    const digits = value.replace(/[^\d.,]/g, "");
+    const decimal = /[.,](\d{1,2})$/.exec(digits);
+    const whole = (decimal ? digits.slice(0, decimal.index) : digits).replace(
+        /[.,]/g,
+        ""
+    );
+    const amount = Number(`${whole}.${decimal ? decimal[1] : "0"}`);
+    return whole && Number.isFinite(amount) ? sign * amount : null;
+}
+
+// Currency symbols and the codes they stand for
+const CURRENCY_SYMBOLS = { "€": "EUR", $: "USD", "£": "GBP", "¥": "JPY" };
+
+// Metadata heuristics by property name. Each fills the first property it
+// matches ("invoiceDate" but not "dueDate"); others are never found.
+const METADATA_FINDERS = [
+    [/date/i, findDate],
+    [
+        /total|^(amount|sum)$/i,
+        (text) => {
+            const match =
+                /\b(?:grand total|total(?: due| amount)?|amount due|balance due)\b\s*:?\s*[€$£¥]?\s*(-?\s*\d[\d.,' ]*)/i.exec(
+                    text
+                );
+            return match ? parseAmount(match[1].trim()) : null;
+        },
+    ],
+    [
+        /currency/i,
+        (text) => {
+            const code = /\b(EUR|USD|GBP|CHF|JPY|CAD|AUD)\b/.exec(text);
+            const symbol = /[€$£¥]/.exec(text);
+            return code ? code[1] : symbol ? CURRENCY_SYMBOLS[symbol[0]] : null;
+        },
+    ],
+    [
+        /vendor|supplier|seller|merchant|counterparty|party|sender/i,
+        FIELD_FINDERS.counterparty,
+    ],
+    [/number|^no$|id$/i, FIELD_FINDERS.documentNumber],
+    [/title|subject/i, FIELD_FINDERS.title],
+];
+
+/**
+ * Create the local heuristic provider
+ * @returns {Object} provider
+ */
+function createLocalProvider() {
+    /**
+     * Categorize file content with keyword heuristics
+     * @param {string} content - The file content to analyze
+     * @param {string} [filename] - Optional filename for context
+     * @param {Object} [options]
+     * @param {Object} [options.taxonomy] - Prefer categories of this taxonomy
+     * @returns {Promise<Object>} - Answer; confidence grows with the
+     *   strength of the signal
+     */
+    async function categorizeContent(content, filename = "", options = {}) {
+        const ext = path.extname(filename).toLowerCase();
+
+        if (options.taxonomy) {
+            const match = bestTaxonomyMatch(
+                options.taxonomy,
+                content || "",
+                filename
+            );
+            // Otherwise fall through: the generic label may still map onto
+            // the taxonomy when the answer is validated
+            if (match) {
+                return createAnswer(
+                    match.path,
+                    Math.min(0.95, 0.4 + match.score * 0.1),
+                    "Matched taxonomy keywords"
+                );
+            }
+        }
+
+        const keywordMatch = bestKeywordMatch(content || "", filename);
+        // Prose keywords win over format detection only when the signal is strong
+        if (keywordMatch && keywordMatch.score >= 3) {
+            return createAnswer(
+                keywordMatch.category,
+                Math.min(0.95, 0.5 + keywordMatch.score * 0.05),
+                "Matched keywords in the filename or content"
+            );
+        }
+        if (EXTENSION_CATEGORIES[ext]) {
+            return createAnswer(
+                EXTENSION_CATEGORIES[ext],
+                0.8,
+                `Known ${ext} file type`
+            );
+        }
+        const dataFormat = detectDataFormat(content || "", ext);
+        if (dataFormat) {
+            return createAnswer(dataFormat, 0.7, "Detected data format");
+        }
+        if (keywordMatch) {
+            return createAnswer(
+                keywordMatch.category,
+                0.4,
+                "Weak keyword match in the content"
+            );
+        }
+        return createAnswer("Uncategorized", 0.1, "No known signal");
+    }
+
+    /**
+     * Read fields with regular expressions: dates, "From:" style
+     * counterparties, "Invoice No." style numbers and a first-line title
+     * @param {string} content - The file content to analyze
+     * @param {string} [filename] - Optional filename for context
+     * @param {Array<{name: string}>} fields
+     * @returns {Promise<Object>} - name -> value, null when not found
+     */
+    async function extractFields(content, filename = "", fields = []) {
+        return Object.fromEntries(
+            fields.map(({ name }) => [
+                name,
+                FIELD_FINDERS[name]
+                    ? sanitizeField(FIELD_FINDERS[name](content || ""))
+                    : null,
+            ])
+        );
+    }
+
+    /**
+     * Fill a metadata schema's top-level properties by their names: dates,
+     * totals, currencies, counterparties, numbers and titles
+     * @param {string} content - The file content to analyze
+     * @param {string} [filename] - Optional filename for context
+     * @param {Object} schema - JSON Schema of the object
+     * @returns {Promise<Object>} - property -> value, null when not found
+     */
+    async function extractMetadata(content, filename = "", schema = {}) {
+        const unused = new Set(METADATA_FINDERS);
+        return Object.fromEntries(
+            Object.keys(schema.properties || {}).map((name) => {
+                const finder = [...unused].find(([pattern]) =>
+                    pattern.test(name)
+                );
+                if (!finder) return [name, null];
+                unused.delete(finder);
+                const value = finder[1](content || "");
+                return [
+                    name,
+                    typeof value === "string" ? sanitizeField(value) : value,
+                ];
+            })
+        );
+    }
+
+    return {
+        name: "local",
+        model: "keyword-heuristics",
+        contentTokens: LOCAL_CONTENT_TOKENS,
+        categorizeContent,
+        extractFields,
+        extractMetadata,
+        // No vision: images and scanned PDFs go through OCR or filename rules
+        supportsAttachment: () => false,
+    };
+}
+
+module.exports = createLocalProvider;
@@ -0,0 +1,90 @@
+// OpenAI provider; also works with any OpenAI-compatible endpoint
+// (Ollama, LM Studio, vLLM, ...) by setting OPENAI_BASE_URL
+const { createLLMProvider } = require("./llm");
+const { contentTokens } = require("../sampling");
+
+const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+// Many local OpenAI-compatible models are text-only; set OPENAI_VISION=0 for them
+const OPENAI_VISION = process.env.OPENAI_VISION !== "0";
+// Tokens of each file's content in a prompt; CONTENT_TOKENS when unset.
+// Small local models often need less than hosted ones.
+const OPENAI_CONTENT_TOKENS = contentTokens(process.env.OPENAI_CONTENT_TOKENS);
+
+const ATTACHMENT_TYPES = [
+    "image/png",
+    "image/jpeg",
+    "image/webp",
+    "image/gif",
+    "application/pdf",
+];
+
+/**
+ * Convert an inline attachment to a chat message content part
+ * @param {{mimeType: string, data: Buffer}} attachment
+ * @param {number} index
+ * @returns {Object}
+ */
+function toContentPart({ mimeType, data }, index) {
+    const dataUrl = `data:${mimeType};base64,${data.toString("base64")}`;
+    if (mimeType === "application/pdf") {
+        return {
+            type: "file",
+            file: {
+                filename: `attachment-${index + 1}.pdf`,
+                file_data: dataUrl,
+            },
+        };
+    }
+    return { type: "image_url", image_url: { url: dataUrl } };
+}
+
+/**
+ * Create the OpenAI provider
+ * @returns {Object} provider
+ */
+function createOpenAIProvider() {
+    const apiKey = process.env.OPENAI_API_KEY;
+    const baseURL = process.env.OPENAI_BASE_URL;
+    if (!apiKey && !baseURL) {
+        throw new Error(
+            "OPENAI_API_KEY (or OPENAI_BASE_URL for a local endpoint) is not set in environment variables."
+        );
+    }
+
+    // Loaded on first use, so other providers work without the SDK
+    const OpenAI = require("openai");
+    // Local endpoints usually ignore the key, but the client requires one.
+    // Retries are handled by our scheduler, not the client.
+    const client = new OpenAI({
+        apiKey: apiKey || "not-needed",
+        baseURL,
+        maxRetries: 0,
+    });
+
+    return createLLMProvider({
+        name: "openai",
+        model: OPENAI_MODEL,
+        contentTokens: OPENAI_CONTENT_TOKENS,
+        attachmentTypes: OPENAI_VISION ? ATTACHMENT_TYPES : [],
+        generate: async (prompt, attachments = [], { signal } = {}) => {
+            const content =
+                attachments.length > 0
+                    ? [
+                          { type: "text", text: prompt },
+                          ...attachments.map(toContentPart),
+                      ]
+                    : prompt;
+            const completion = await client.chat.completions.create(
+                {
+                    model: OPENAI_MODEL,
+                    messages: [{ role: "user", content }],
+                    temperature: 0,
+                },
+                { signal }
+            );
+            return completion.choices[0]?.message?.content || "";
+        },
+    });
+}
+
+module.exports = createOpenAIProvider;
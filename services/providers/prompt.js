@@ -0,0 +1,267 @@
+// Prompt construction shared by every LLM-backed provider
+
+// Bump whenever the prompts change, so cached answers are not reused
+const PROMPT_VERSION = "2";
+
+const CATEGORY_INSTRUCTIONS = `Choose ONE specific category name: the most precise category that describes the content.
+
+Examples of content-based categories:
+- Invoice
+- Receipt
+- Resume/CV
+- Cover Letter
+- Contract
+- Business Report
+- Financial Statement
+- Meeting Notes
+- Tutorial
+- Research Paper
+- Personal Letter
+- Product Description
+- API Documentation
+- User Manual
+- Creative Story
+- Source Code (specify language if clear)
+- Dataset
+- Configuration File
+- Log File
+- Marketing Copy
+- Legal Document
+
+If none of these categories fit precisely, create a specific descriptive category that accurately reflects the content.
+DO NOT use generic categories like "Document" or "Text File" unless the content is truly generic.`;
+
+/**
+ * Category instructions, constrained to a taxonomy when one is given
+ * @param {Object} [taxonomy]
+ * @returns {string}
+ */
+function categoryInstructions(taxonomy) {
+    if (!taxonomy) return CATEGORY_INSTRUCTIONS;
+
+    const list = taxonomy.categories
+        .map((c) => {
+            let line = `- ${c.path}`;
+            if (c.description) line += `: ${c.description}`;
+            if (c.keywords.length > 0) {
+                line += ` (e.g. ${c.keywords.join(", ")})`;
+            }
+            return line;
+        })
+        .join("\n");
+
+    return `Choose EXACTLY ONE category from the list below, written exactly as shown (including any "/" in it).
+
+Allowed categories:
+${list}
+
+If none of them fits, use "${taxonomy.fallback}". DO NOT invent new categories.`;
+}
+
+// The answer object every prompt asks for; see answer.js
+const ANSWER_FORMAT = `{"category": "<the category>", "confidence": <0.0 to 1.0, how sure you are>, "rationale": "<one short sentence>", "tags": ["<up to 5 short lower-case keywords>"], "secondaryCategory": "<second most likely category, or null>"}`;
+
+const RESPONSE_INSTRUCTIONS = `Respond with ONLY a JSON object in this format, without markdown or any other text:
+${ANSWER_FORMAT}
+
+Use a low confidence when the content is ambiguous or too short to tell.`;
+
+// Characters of each few-shot example's excerpt included in a prompt
+const EXAMPLE_PROMPT_CHARS = 500;
+
+/**
+ * Section showing how similar files were categorized by people before
+ * @param {Object[]} [examples] - { filename, excerpt, category }
+ * @returns {string} - Empty when there are no examples
+ */
+function examplesSection(examples = []) {
+    if (examples.length === 0) return "";
+    const list = examples
+        .map(
+            (example, i) =>
+                `=== EXAMPLE ${i + 1}${
+                    example.filename ? `: ${example.filename}` : ""
+                } ===\n${example.excerpt.slice(
+                    0,
+                    EXAMPLE_PROMPT_CHARS
+                )}\n=== CORRECT CATEGORY: ${example.category} ===`
+        )
+        .join("\n\n");
+    return `\n\nThese similar files were categorized by a person. When a file is the same kind of document, use the same category:\n\n${list}`;
+}
+
+/**
+ * Build the categorization prompt for a single file
+ * @param {string} content - The file content to analyze
+ * @param {string} [filename] - Optional filename for context
+ * @param {Object} [taxonomy] - Constrain the answer to this taxonomy
+ * @param {Object[]} [examples] - Similar, already categorized files
+ * @returns {string} - Prompt text
+ */
+function buildCategorizationPrompt(
+    content,
+    filename = "",
+    taxonomy = null,
+    examples = []
+) {
+    let prompt = `You are an AI file categorization assistant. Analyze the following file content and categorize it based on its ACTUAL CONTENT (not just file type).
+
+${categoryInstructions(taxonomy)}${examplesSection(examples)}
+
+${RESPONSE_INSTRUCTIONS}`;
+
+    if (filename) {
+        prompt += `\n\nFilename: ${filename}`;
+    }
+    prompt += `\n\nContent:\n${content}`;
+
+    return prompt;
+}
+
+/**
+ * Build the categorization prompt for a file sent as an inline attachment
+ * (an image or a scanned PDF)
+ * @param {string} [filename] - Optional filename for context
+ * @param {Object} [taxonomy] - Constrain the answer to this taxonomy
+ * @returns {string} - Prompt text
+ */
+function buildAttachmentPrompt(filename = "", taxonomy = null) {
+    let prompt = `You are an AI file categorization assistant. The attached file is an image or a scanned document. Read any visible text and look at the layout, then categorize it based on what the document IS (an invoice, a receipt, a contract, a photo, a diagram, ...), the same way you would categorize its text.
+
+A photographed or scanned invoice is an "Invoice", not an "Image". Only use image-style categories such as "Photo", "Screenshot" or "Diagram" when the picture is not a document.
+
+${categoryInstructions(taxonomy)}
+
+${RESPONSE_INSTRUCTIONS}`;
+
+    if (filename) {
+        prompt += `\n\nFilename: ${filename}`;
+    }
+
+    return prompt;
+}
+
+/**
+ * Build one prompt that categorizes several small files at once
+ * @param {Array<{filename: string, content: string}>} files - Excerpts;
+ *   filenames must be unique
+ * @param {Object} [taxonomy] - Constrain the answers to this taxonomy
+ * @param {Object[]} [examples] - Similar, already categorized files
+ * @returns {string} - Prompt text
+ */
+function buildBatchPrompt(files, taxonomy = null, examples = []) {
+    const sections = files
+        .map(
+            ({ filename, content }) =>
+                `=== FILE: ${filename} ===\n${content}\n=== END: ${filename} ===`
+        )
+        .join("\n\n");
+
+    return `You are an AI file categorization assistant. Below are excerpts of ${
+        files.length
+    } files. Categorize EACH file on its own, based on its ACTUAL CONTENT (not just file type).
+
+For each file: ${categoryInstructions(taxonomy)}${examplesSection(examples)}
+
+Respond with ONLY a JSON object that maps every filename, written exactly as given, to an answer object of this format, without markdown or any other text:
+{"<filename>": ${ANSWER_FORMAT}}
+
+Use a low confidence when a file is ambiguous or too short to tell.
+
+${sections}`;
+}
+
+/**
+ * Build the prompt that consolidates free-form category names
+ * @param {Array<{name: string, count: number, tags: string[]}>} categories
+ *   - Names with their number of files and most common tags
+ * @returns {string} - Prompt text
+ */
+function buildConsolidationPrompt(categories) {
+    const list = categories
+        .map(
+            ({ name, count, tags }) =>
+                `- ${JSON.stringify(name)} (${count} file${
+                    count === 1 ? "" : "s"
+                }${tags.length > 0 ? `; tags: ${tags.join(", ")}` : ""})`
+        )
+        .join("\n");
+
+    return `You are an AI file categorization assistant. Files were sorted into the ${categories.length} categories below, each with its number of files and the most common tags of its files. Consolidate them: merge categories that name the same kind of document (synonyms, plural forms, spelling variants, a more specific name for the same thing).
+
+DO NOT merge categories that are merely related: a "Report" is not a "Review", and a "Graphic Design Brief" is not an "Image". When in doubt, keep categories apart.
+
+Categories:
+${list}
+
+Respond with ONLY a JSON object in this format, without markdown or any other text:
+{"groups": [{"name": "<name of the merged category, usually one of its members>", "categories": ["<category>", "<category>"], "reason": "<one short sentence: why they are the same>"}]}
+
+List only groups of two or more categories, each category in at most one group, written exactly as given. Categories you leave out stay as they are.`;
+}
+
+/**
+ * Build the prompt that reads named fields out of a document
+ * @param {string} content - The file content to analyze
+ * @param {string} [filename] - Optional filename for context
+ * @param {Array<{name: string, description: string}>} fields
+ * @returns {string} - Prompt text
+ */
+function buildFieldExtractionPrompt(content, filename = "", fields = []) {
+    const list = fields
+        .map(({ name, description }) => `- "${name}": ${description}`)
+        .join("\n");
+    const format = `{${fields
+        .map(({ name }) => `"${name}": "<value, or null>"`)
+        .join(", ")}}`;
+
+    let prompt = `You are an AI document assistant. Read the document below and extract these fields:
+
+${list}
+
+Copy each value as the document states it, shortened to what identifies it (a company name without its address, a number without its label). Write dates as YYYY-MM-DD. Use null for a field the document doesn't state; DO NOT guess.
+
+Respond with ONLY a JSON object in this format, without markdown or any other text:
+${format}`;
+
+    if (filename) {
+        prompt += `\n\nFilename: ${filename}`;
+    }
+    prompt += `\n\nContent:\n${content}`;
+
+    return prompt;
+}
+
+/**
+ * Build the prompt that reads a category's metadata out of a document
+ * @param {string} content - The file content to analyze
+ * @param {string} [filename] - Optional filename for context
+ * @param {Object} schema - JSON Schema of the metadata object
+ * @returns {string} - Prompt text
+ */
+function buildMetadataPrompt(content, filename = "", schema = {}) {
+    let prompt = `You are an AI document assistant. Read the document below and extract its metadata as a JSON object matching this JSON Schema:
+
+${JSON.stringify(schema, null, 2)}
+
+Copy values as the document states them. Write dates as YYYY-MM-DD and amounts as plain numbers without currency symbols or thousands separators. Use null for a value the document doesn't state; DO NOT guess.
+
+Respond with ONLY the JSON object, without markdown or any other text.`;
+
+    if (filename) {
+        prompt += `\n\nFilename: ${filename}`;
+    }
+    prompt += `\n\nContent:\n${content}`;
+
+    return prompt;
+}
+
+module.exports = {
+    buildCategorizationPrompt,
+    buildAttachmentPrompt,
+    buildBatchPrompt,
+    buildConsolidationPrompt,
+    buildFieldExtractionPrompt,
+    buildMetadataPrompt,
+    PROMPT_VERSION,
+};
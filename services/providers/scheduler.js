@@ -0,0 +1,252 @@
+// Scheduler for model calls: bounded concurrency, a requests-per-minute
+// budget, per-call timeouts and retries with exponential backoff and jitter
+// on errors that are worth retrying (rate limits, overload, network).
+
+const MODEL_CONCURRENCY = parseInt(process.env.MODEL_CONCURRENCY, 10) || 4;
+// 0 disables the budget
+const MODEL_RPM = parseInt(process.env.MODEL_RPM ?? "60", 10) || 0;
+const MODEL_MAX_RETRIES = parseInt(process.env.MODEL_MAX_RETRIES ?? "3", 10);
+const MODEL_TIMEOUT_MS = parseInt(process.env.MODEL_TIMEOUT_MS, 10) || 60000;
+const MODEL_RETRY_BASE_MS =
+    parseInt(process.env.MODEL_RETRY_BASE_MS, 10) || 1000;
+const MODEL_RETRY_MAX_MS =
+    parseInt(process.env.MODEL_RETRY_MAX_MS, 10) || 30000;
+
+const RETRYABLE_STATUS = [408, 409, 429, 500, 502, 503, 504];
+const NETWORK_CODES = [
+    "ECONNRESET",
+    "ECONNREFUSED",
+    "ETIMEDOUT",
+    "EAI_AGAIN",
+    "ENOTFOUND",
+    "EPIPE",
+    "UND_ERR_SOCKET",
+    "UND_ERR_CONNECT_TIMEOUT",
+];
+
+/**
+ * Whether a failed call may succeed when tried again
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+    if (error.code === "MODEL_TIMEOUT") return true;
+    if (typeof error.status === "number") {
+        return RETRYABLE_STATUS.includes(error.status);
+    }
+    const code = error.code || (error.cause && error.cause.code);
+    if (NETWORK_CODES.includes(code)) return true;
+    // OpenAI SDK and fetch report dropped connections without a status
+    return (
+        error.name === "APIConnectionError" ||
+        /fetch failed|network|socket hang up/i.test(error.message || "")
+    );
+}
+
+/**
+ * Server-requested delay from a Retry-After header, if any
+ * @param {Error} error
+ * @returns {number|null} - Milliseconds
+ */
+function retryAfterMs(error) {
+    const headers = error.headers;
+    const value =
+        headers &&
+        (typeof headers.get === "function"
+            ? headers.get("retry-after")
+            : headers["retry-after"]);
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Short, human-readable reason for a failed call
+ * @param {Error} error
+ * @returns {string}
+ */
+function describeError(error) {
+    const message = (error.message || String(error)).split("\n")[0];
+    return typeof error.status === "number" &&
+        !message.includes(String(error.status))
+        ? `HTTP ${error.status}: ${message}`
+        : message;
+}
+
+function cancelledError() {
+    const error = new Error("Job was cancelled.");
+    error.code = "JOB_CANCELLED";
+    return error;
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(cancelledError());
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(cancelledError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+/**
+ * Create a scheduler; one per provider, since limits apply per API account
+ * @param {Object} [options]
+ * @param {string} [options.name] - Used in error messages
+ * @param {number} [options.concurrency] - Calls in flight at once
+ * @param {number} [options.requestsPerMinute] - 0 for no budget
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @returns {{run: Function}}
+ */
+function createScheduler({
+    name = "model",
+    concurrency = MODEL_CONCURRENCY,
+    requestsPerMinute = MODEL_RPM,
+    maxRetries = MODEL_MAX_RETRIES,
+    timeoutMs = MODEL_TIMEOUT_MS,
+} = {}) {
+    let active = 0;
+    const waiting = [];
+    // Start times of the calls made during the last minute
+    const starts = [];
+    let wakeTimer = null;
+
+    function pump() {
+        while (active < concurrency && waiting.length > 0) {
+            const now = Date.now();
+            while (starts.length > 0 && starts[0] <= now - 60000) {
+                starts.shift();
+            }
+            if (requestsPerMinute > 0 && starts.length >= requestsPerMinute) {
+                // Budget used up: try again when the oldest call ages out
+                if (!wakeTimer) {
+                    wakeTimer = setTimeout(() => {
+                        wakeTimer = null;
+                        pump();
+                    }, starts[0] + 60000 - now);
+                }
+                return;
+            }
+            const waiter = waiting.shift();
+            waiter.detach();
+            active++;
+            starts.push(now);
+            waiter.resolve();
+        }
+    }
+
+    function acquire(signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(cancelledError());
+            const waiter = { resolve, detach: () => {} };
+            if (signal) {
+                const onAbort = () => {
+                    waiting.splice(waiting.indexOf(waiter), 1);
+                    reject(cancelledError());
+                };
+                signal.addEventListener("abort", onAbort, { once: true });
+                waiter.detach = () =>
+                    signal.removeEventListener("abort", onAbort);
+            }
+            waiting.push(waiter);
+            pump();
+        });
+    }
+
+    function release() {
+        active--;
+        pump();
+    }
+
+    // One attempt, aborted after timeoutMs even if the client ignores signals
+    function attempt(task, signal) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener("abort", onAbort, { once: true });
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Timed out after ${timeoutMs} ms`);
+                error.code = "MODEL_TIMEOUT";
+                reject(error);
+                controller.abort();
+            }, timeoutMs);
+        });
+        return Promise.race([task(controller.signal), timeout]).finally(() => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener("abort", onAbort);
+        });
+    }
+
+    /**
+     * Run a model call under the scheduler's limits
+     * @param {(signal: AbortSignal) => Promise<*>} task - The call; must
+     *   honour the signal it is given
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels waiting and retries
+     * @returns {Promise<*>} - The task's result
+     * @throws {Error} - code MODEL_CALL_FAILED with `reason` and `attempts`,
+     *   or JOB_CANCELLED
+     */
+    async function run(task, { signal } = {}) {
+        for (let attempts = 1; ; attempts++) {
+            await acquire(signal);
+            let error;
+            try {
+                return await attempt(task, signal);
+            } catch (e) {
+                error = e;
+            } finally {
+                release();
+            }
+
+            if (signal && signal.aborted) throw cancelledError();
+            if (!isRetryable(error) || attempts > maxRetries) {
+                const reason = describeError(error);
+                const failure = new Error(
+                    `${name} call failed after ${attempts} attempt(s): ${reason}`
+                );
+                failure.code = "MODEL_CALL_FAILED";
+                failure.reason = reason;
+                failure.attempts = attempts;
+                failure.cause = error;
+                throw failure;
+            }
+
+            // Exponential backoff with equal jitter, unless the server says
+            const cap = Math.min(
+                MODEL_RETRY_MAX_MS,
+                MODEL_RETRY_BASE_MS * 2 ** (attempts - 1)
+            );
+            const delay =
+                retryAfterMs(error) ?? cap / 2 + (Math.random() * cap) / 2;
+            console.warn(
+                `${name} call failed (${describeError(
+                    error
+                )}); retrying in ${Math.round(delay)} ms`
+            );
+            await sleep(delay, signal);
+        }
+    }
+
+    return { run };
+}
+
+module.exports = {
+    createScheduler,
+    isRetryable,
+};
@@ -0,0 +1,333 @@
+// Reports written into every result zip: a machine-readable manifest (JSON
+// and CSV) and a self-contained HTML summary for printing.
+const path = require("path");
+const fs = require("fs-extra");
+
+const REPORT_FILES = ["manifest.json", "manifest.csv", "report.html"];
+
+// Per-file columns, in order, shared by the CSV and the HTML table
+const COLUMNS = [
+    { key: "originalPath", label: "Original path" },
+    { key: "outputPath", label: "Output path" },
+    { key: "renamedTo", label: "Renamed to" },
+    { key: "size", label: "Size (bytes)" },
+    { key: "hash", label: "SHA-256" },
+    { key: "type", label: "Detected type" },
+    { key: "extraction", label: "Extraction" },
+    { key: "category", label: "Category" },
+    { key: "group", label: "Group" },
+    { key: "confidence", label: "Confidence" },
+    { key: "decidedBy", label: "Decided by" },
+    { key: "sensitive", label: "Sensitive data" },
+    { key: "duplicateOf", label: "Duplicate of" },
+    { key: "duplicateSimilarity", label: "Duplicate similarity" },
+    { key: "parentArchive", label: "Parent archive" },
+    { key: "parentMessage", label: "Parent message" },
+    { key: "error", label: "Error" },
+];
+
+/**
+ * Quote a CSV field. Cells that spreadsheet apps would run as formulas are
+ * prefixed with an apostrophe; numbers, negative ones too, are left as they
+ * are.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return "";
+    if (typeof value === "number") return String(value);
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return "";
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+/**
+ * Human-readable byte count
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+    if (typeof bytes !== "number") return "";
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Sensitive data findings as text, e.g. "email (2), iban (1)"
+ * @param {Array<{type: string, count: number}>|null} findings
+ * @returns {string}
+ */
+function formatFindings(findings) {
+    return (findings || [])
+        .map(({ type, count }) => `${type} (${count})`)
+        .join(", ");
+}
+
+/**
+ * Build the manifest.csv content
+ * @param {Object[]} files
+ * @returns {string}
+ */
+function toCsv(files) {
+    const lines = [COLUMNS.map((column) => column.key).join(",")];
+    for (const file of files) {
+        lines.push(
+            COLUMNS.map((column) =>
+                csvField(
+                    column.key === "sensitive"
+                        ? formatFindings(file.sensitive)
+                        : file[column.key]
+                )
+            ).join(",")
+        );
+    }
+    return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Build the report.html content
+ * @param {Object} report - See writeReports
+ * @returns {string}
+ */
+function toHtml(report) {
+    const { files } = report;
+    const counts = {};
+    for (const file of files) {
+        const group = file.group || "(not organized)";
+        counts[group] = (counts[group] || 0) + 1;
+    }
+    const failed = files.filter((file) => file.error).length;
+    const totalSize = files.reduce((sum, file) => sum + (file.size || 0), 0);
+
+    const categoryRows = Object.keys(counts)
+        .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+        .map(
+            (group) =>
+                `<tr><td>${escapeHtml(group)}</td><td class="num">${
+                    counts[group]
+                }</td></tr>`
+        )
+        .join("\n");
+    const mergeRows = (report.merges || [])
+        .map(
+            (merge) =>
+                `<tr><td>${escapeHtml(merge.from)}</td><td>${escapeHtml(
+                    merge.into
+                )}</td><td class="num">${merge.files}</td><td>${escapeHtml(
+                    merge.reason
+                )}</td></tr>`
+        )
+        .join("\n");
+    const duplicateRow = report.duplicates
+        ? `<tr><td>Duplicates</td><td>${
+              report.duplicates.exact + report.duplicates.near
+          } (${report.duplicates.exact} exact, ${
+              report.duplicates.near
+          } near; policy ${escapeHtml(report.duplicates.policy)})</td></tr>`
+        : "";
+    const sensitiveTypes = report.sensitive
+        ? formatFindings(
+              Object.entries(report.sensitive.findings).map(
+                  ([type, count]) => ({ type, count })
+              )
+          )
+        : "";
+    const sensitiveRow = report.sensitive
+        ? `<tr><td>Sensitive data</td><td>${report.sensitive.files} files${
+              sensitiveTypes ? ` (${escapeHtml(sensitiveTypes)})` : ""
+          }; policy ${escapeHtml(report.sensitive.policy)}</td></tr>`
+        : "";
+    const renameRow = report.rename
+        ? `<tr><td>Renamed</td><td class="num">${
+              files.filter((file) => file.renamedTo).length
+          }</td></tr>`
+        : "";
+    const metadataRows = (report.metadata || [])
+        .map(
+            (collection) =>
+                `<tr><td>${escapeHtml(collection.group)}</td><td>${escapeHtml(
+                    collection.csv
+                )}</td><td class="num">${
+                    collection.files
+                }</td><td class="num">${collection.invalid}</td></tr>`
+        )
+        .join("\n");
+    const metadataSection = metadataRows
+        ? `<h2>Extracted metadata</h2>
+<p class="meta">Each file is also collected as JSON next to the CSV.</p>
+<table>
+<tr><th>Category</th><th>CSV</th><th>Files</th><th>Not valid</th></tr>
+${metadataRows}
+</table>
+
+`
+        : "";
+    const fileRows = files
+        .map((file) => {
+            const cells = COLUMNS.map(({ key }) => {
+                if (key === "size") {
+                    return `<td class="num">${escapeHtml(
+                        formatSize(file.size)
+                    )}</td>`;
+                }
+                if (key === "hash") {
+                    return `<td class="hash">${escapeHtml(file.hash)}</td>`;
+                }
+                if (key === "sensitive") {
+                    return `<td>${escapeHtml(
+                        formatFindings(file.sensitive)
+                    )}</td>`;
+                }
+                if (key === "confidence") {
+                    return `<td class="num">${
+                        typeof file.confidence === "number"
+                            ? `${Math.round(file.confidence * 100)}%`
+                            : ""
+                    }</td>`;
+                }
+                return `<td>${escapeHtml(file[key])}</td>`;
+            });
+            return `<tr${file.error ? ' class="error"' : ""}>${cells.join(
+                ""
+            )}</tr>`;
+        })
+        .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Categorization report: ${escapeHtml(report.filename)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #1f2937; margin: 2rem; }
+h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+h2 { font-size: 1.15rem; margin-top: 2rem; }
+.meta { color: #6b7280; margin: 0; }
+table { border-collapse: collapse; font-size: 0.85rem; }
+th, td { border: 1px solid #d1d5db; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+th { background: #f3f4f6; }
+td.num { text-align: right; white-space: nowrap; }
+td.hash { font-family: monospace; font-size: 0.75rem; word-break: break-all; }
+tr.error td { background: #fef2f2; }
+.summary td:first-child { font-weight: 600; }
+@media print { body { margin: 0; } table { font-size: 0.7rem; } }
+</style>
+</head>
+<body>
+<h1>Categorization report</h1>
+<p class="meta">${escapeHtml(report.filename)}, generated ${escapeHtml(
+        report.generatedAt
+    )}</p>
+
+<h2>Summary</h2>
+<table class="summary">
+<tr><td>Files</td><td class="num">${files.length}</td></tr>
+<tr><td>Total size</td><td class="num">${escapeHtml(
+        formatSize(totalSize)
+    )}</td></tr>
+<tr><td>Categories</td><td class="num">${Object.keys(counts).length}</td></tr>
+<tr><td>Failed</td><td class="num">${failed}</td></tr>
+${duplicateRow}
+${sensitiveRow}
+${renameRow}
+<tr><td>Taxonomy</td><td>${escapeHtml(report.taxonomy || "free-form")}</td></tr>
+<tr><td>Layout</td><td>${escapeHtml(report.layout)}</td></tr>
+</table>
+
+<h2>Files per category</h2>
+<table>
+<tr><th>Category</th><th>Files</th></tr>
+${categoryRows}
+</table>
+
+${
+    mergeRows
+        ? `<h2>Merged categories</h2>
+<p class="meta">Strategy: ${escapeHtml(report.mergeStrategy)}</p>
+<table>
+<tr><th>Category</th><th>Merged into</th><th>Files</th><th>Reason</th></tr>
+${mergeRows}
+</table>
+
+`
+        : ""
+}${metadataSection}<h2>Files</h2>
+<table>
+<tr>${COLUMNS.map(({ label }) => `<th>${escapeHtml(label)}</th>`).join("")}</tr>
+${fileRows}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write manifest.json, manifest.csv and report.html into a folder
+ * @param {string} outputPath - Folder that becomes the result zip
+ * @param {Object} report
+ * @param {string} report.filename - Uploaded file name
+ * @param {string} report.layout - Output layout
+ * @param {string|null} [report.taxonomy] - "name@version" in constrained mode
+ * @param {string|null} [report.mergeStrategy] - How free-form categories
+ *   were merged
+ * @param {Object[]} [report.merges] - { from, into, files, reason } per
+ *   category filed under another name
+ * @param {Object|null} [report.duplicates] - { policy, exact, near }: the
+ *   duplicate policy and how many exact and near duplicates were found
+ * @param {Object|null} [report.sensitive] - { policy, files, findings }:
+ *   the sensitive data policy, how many files had findings and the
+ *   findings per type
+ * @param {boolean} [report.rename] - Whether files were renamed
+ * @param {Object[]} [report.metadata] - { group, schema, csv, json, files,
+ *   invalid } per collected metadata file, see metadata.js
+ * @param {Object[]} report.files - Per file: { originalPath, outputPath,
+ *   renamedTo, size, hash, type, extraction, category, group, confidence,
+ *   decidedBy, sensitive, duplicateOf, duplicateSimilarity, parentArchive,
+ *   parentMessage, error }
+ * @returns {Promise<string[]>} - Names of the files written
+ */
+async function writeReports(outputPath, report) {
+    const full = {
+        generatedAt: new Date().toISOString(),
+        ...report,
+        files: report.files.map((file) =>
+            Object.fromEntries(
+                COLUMNS.map(({ key }) => [
+                    key,
+                    file[key] === undefined ? null : file[key],
+                ])
+            )
+        ),
+    };
+    await fs.writeJson(path.join(outputPath, "manifest.json"), full, {
+        spaces: 2,
+    });
+    await fs.writeFile(
+        path.join(outputPath, "manifest.csv"),
+        toCsv(full.files)
+    );
+    await fs.writeFile(path.join(outputPath, "report.html"), toHtml(full));
+    return REPORT_FILES;
+}
+
+module.exports = {
+    writeReports,
+    csvField,
+    REPORT_FILES,
+};
@@ -0,0 +1,276 @@
+// Review step for preview sessions: rename and merge groups, move files
+// between them, then finalize to build the result zip. Every change that
+// re-files a document is logged as a correction and kept as a labeled
+// example for future runs.
+const path = require("path");
+const sessionStore = require("./sessionStore");
+const { recordCorrections } = require("./corrections");
+const { addExamples } = require("./examples");
+const { finalizePreview, groupCategories } = require("./pipeline");
+const { OUTPUT_LAYOUTS, extractText } = require("./fileServices");
+
+const MAX_CATEGORY_LENGTH = 100;
+
+// Edits of one session run one after another so none is lost
+const locks = new Map();
+
+/**
+ * Error with a `code` the controller maps to a status
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function reviewError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Run an edit on a preview session while holding its lock
+ * @param {string} sessionId
+ * @param {(session: Object) => Promise<Object>} edit
+ * @returns {Promise<Object>}
+ */
+function withSession(sessionId, edit) {
+    const previous = locks.get(sessionId) || Promise.resolve();
+    const run = previous.then(async () => {
+        const session = await sessionStore.getSession(sessionId);
+        if (!session) {
+            throw reviewError("SESSION_NOT_FOUND", "Session not found");
+        }
+        if (session.status !== "preview") {
+            throw reviewError(
+                "SESSION_NOT_IN_REVIEW",
+                "Session has already been finalized."
+            );
+        }
+        return edit(session);
+    });
+    const settled = run.catch(() => {});
+    locks.set(sessionId, settled);
+    settled.then(() => {
+        if (locks.get(sessionId) === settled) locks.delete(sessionId);
+    });
+    return run;
+}
+
+/**
+ * Validate a group name typed by a user. Names become folders in the result
+ * zip: "/" nests them (like taxonomy paths such as Finance/Invoices), other
+ * path tricks are refused.
+ * @param {*} name
+ * @returns {string} - Normalized name
+ */
+function validateCategory(name) {
+    const segments = (typeof name === "string" ? name : "")
+        .split("/")
+        .map((segment) => segment.trim());
+    const normalized = segments.join("/");
+    if (!normalized) {
+        throw reviewError("INVALID_CATEGORY", "Category name is required.");
+    }
+    if (normalized.length > MAX_CATEGORY_LENGTH) {
+        throw reviewError(
+            "INVALID_CATEGORY",
+            `Category names can be at most ${MAX_CATEGORY_LENGTH} characters.`
+        );
+    }
+    if (
+        /[\\:*?"<>|\x00-\x1f]/.test(normalized) ||
+        segments.some((segment) => !segment || /^\.+$/.test(segment))
+    ) {
+        throw reviewError(
+            "INVALID_CATEGORY",
+            `"${normalized}" is not a valid category name; avoid \\ : * ? " < > | and empty or dot-only folder names.`
+        );
+    }
+    return normalized;
+}
+
+/**
+ * Turn corrections into labeled examples, reading the files' text from the
+ * preview folder. Files without text (images, legacy Office formats) are
+ * skipped; learning never fails a correction.
+ * @param {Object} session
+ * @param {Object[]} corrections
+ */
+async function learnFromCorrections(session, corrections) {
+    const entries = [];
+    for (const correction of corrections) {
+        const filePath = path.join(
+            sessionStore.previewPath(session.id),
+            ...correction.originalPath.split("/")
+        );
+        try {
+            const content = await extractText(
+                filePath,
+                path.extname(filePath).toLowerCase()
+            );
+            if (!content.trim()) continue;
+            entries.push({
+                content,
+                category: correction.to,
+                filename: correction.name,
+                hash: correction.hash,
+                taxonomy: session.taxonomy,
+                source: "review",
+                sessionId: session.id,
+            });
+        } catch (error) {
+            console.error(
+                `Could not learn from ${correction.originalPath}:`,
+                error.message
+            );
+        }
+    }
+    try {
+        await addExamples(entries);
+    } catch (error) {
+        console.error("Could not store learned examples:", error.message);
+    }
+}
+
+/**
+ * Re-file files into a group, log the corrections and save the session
+ * @param {Object} session
+ * @param {Object[]} files - Session files to re-file
+ * @param {string} to - Target group
+ * @param {string} action - "move", "rename" or "merge"
+ * @returns {Promise<Object>} - The saved session
+ */
+async function refile(session, files, to, action) {
+    const at = new Date().toISOString();
+    const corrections = files
+        .filter((file) => file.group !== to)
+        .map((file) => ({
+            sessionId: session.id,
+            action,
+            originalPath: file.originalPath,
+            name: file.name,
+            hash: file.hash,
+            from: file.group,
+            to,
+            modelCategory: file.raw,
+            at,
+        }));
+    for (const file of files) file.group = to;
+
+    await recordCorrections(corrections);
+    await learnFromCorrections(session, corrections);
+    return sessionStore.saveSession({
+        ...session,
+        categories: groupCategories(session.files),
+        corrections: [...(session.corrections || []), ...corrections],
+    });
+}
+
+/**
+ * Rename a group; renaming onto an existing group merges them
+ * @param {string} sessionId
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<Object>} - The updated session
+ */
+function renameCategory(sessionId, from, to) {
+    return withSession(sessionId, async (session) => {
+        const target = validateCategory(to);
+        const files = session.files.filter((file) => file.group === from);
+        if (files.length === 0) {
+            throw reviewError(
+                "CATEGORY_NOT_FOUND",
+                `Category "${from}" not found.`
+            );
+        }
+        const merge = session.files.some((file) => file.group === target);
+        return refile(session, files, target, merge ? "merge" : "rename");
+    });
+}
+
+/**
+ * Merge several groups into one (new or existing)
+ * @param {string} sessionId
+ * @param {string[]} from
+ * @param {string} to
+ * @returns {Promise<Object>} - The updated session
+ */
+function mergeCategories(sessionId, from, to) {
+    return withSession(sessionId, async (session) => {
+        const target = validateCategory(to);
+        if (!Array.isArray(from) || from.length === 0) {
+            throw reviewError(
+                "INVALID_CATEGORY",
+                `"from" must list the categories to merge.`
+            );
+        }
+        const missing = from.filter(
+            (name) => !session.files.some((file) => file.group === name)
+        );
+        if (missing.length > 0) {
+            throw reviewError(
+                "CATEGORY_NOT_FOUND",
+                `Category not found: ${missing.join(", ")}`
+            );
+        }
+        const files = session.files.filter((file) => from.includes(file.group));
+        return refile(session, files, target, "merge");
+    });
+}
+
+/**
+ * Move individual files to a group (new or existing)
+ * @param {string} sessionId
+ * @param {string[]} paths - Original paths of the files
+ * @param {string} to
+ * @returns {Promise<Object>} - The updated session
+ */
+function moveFiles(sessionId, paths, to) {
+    return withSession(sessionId, async (session) => {
+        const target = validateCategory(to);
+        if (!Array.isArray(paths) || paths.length === 0) {
+            throw reviewError(
+                "INVALID_FILES",
+                `"files" must list the original paths to move.`
+            );
+        }
+        const files = paths.map((p) =>
+            session.files.find((file) => file.originalPath === p)
+        );
+        const missing = paths.filter((p, i) => !files[i]);
+        if (missing.length > 0) {
+            throw reviewError(
+                "FILE_NOT_FOUND",
+                `File not found: ${missing.join(", ")}`
+            );
+        }
+        return refile(session, files, target, "move");
+    });
+}
+
+/**
+ * Build the result zip with the reviewed groups
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {string} [options.layout] - Override the layout chosen at upload
+ * @returns {Promise<Object>} - The completed session
+ */
+function finalize(sessionId, options = {}) {
+    return withSession(sessionId, async (session) => {
+        if (options.layout && !OUTPUT_LAYOUTS.includes(options.layout)) {
+            throw reviewError(
+                "INVALID_LAYOUT",
+                `Unknown layout "${
+                    options.layout
+                }". Use one of: ${OUTPUT_LAYOUTS.join(", ")}.`
+            );
+        }
+        return finalizePreview(session, options);
+    });
+}
+
+module.exports = {
+    renameCategory,
+    mergeCategories,
+    moveFiles,
+    finalize,
+};
@@ -0,0 +1,220 @@
+// Declarative rules evaluated before any model call. A rule assigns a
+// category when ALL of its conditions match; when several rules match, the
+// highest priority wins (ties go to the rule listed first).
+const path = require("path");
+const fs = require("fs-extra");
+const YAML = require("yaml");
+
+const RULES_FILE = process.env.RULES_FILE || path.join("rules", "default.yaml");
+const RULES_ENABLED = process.env.RULES_ENABLED !== "0";
+
+const CONDITIONS = [
+    "name",
+    "path",
+    "folder",
+    "extension",
+    "minSize",
+    "maxSize",
+    "content",
+];
+
+let cache = { mtimeMs: null, rules: [] };
+
+/**
+ * Convert a glob (`*`, `**`, `?`) to a case-insensitive regex
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    let source = "";
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === "*" && glob[i + 1] === "*") {
+            // "**/" matches zero or more folders
+            source += glob[i + 2] === "/" ? "(?:.*/)?" : ".*";
+            i += glob[i + 2] === "/" ? 2 : 1;
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * Normalize a condition that accepts one value or a list
+ * @param {*} value
+ * @returns {string[]}
+ */
+function toList(value) {
+    return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Validate a rule and precompile its patterns
+ * @param {Object} rule
+ * @param {number} index
+ * @returns {Object} compiled rule
+ */
+function compileRule(rule, index) {
+    const label = (rule && rule.id) || `#${index + 1}`;
+    if (!rule || typeof rule.id !== "string" || !rule.id) {
+        throw new Error(`Rule ${label} needs a string "id".`);
+    }
+    if (typeof rule.category !== "string" || !rule.category.trim()) {
+        throw new Error(`Rule "${label}" needs a "category".`);
+    }
+    const match = rule.match || {};
+    const keys = Object.keys(match);
+    if (keys.length === 0) {
+        throw new Error(`Rule "${label}" has no "match" conditions.`);
+    }
+    const unknown = keys.filter((key) => !CONDITIONS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(
+            `Rule "${label}" has unknown condition(s): ${unknown.join(", ")}`
+        );
+    }
+
+    let content = null;
+    if (match.content !== undefined) {
+        try {
+            content = new RegExp(match.content, match.flags || "im");
+        } catch (error) {
+            throw new Error(
+                `Rule "${label}" has an invalid content regex: ${error.message}`
+            );
+        }
+    }
+
+    return {
+        id: rule.id,
+        category: rule.category.trim(),
+        priority: Number(rule.priority) || 0,
+        order: index,
+        name:
+            match.name !== undefined
+                ? toList(match.name).map(globToRegExp)
+                : null,
+        path:
+            match.path !== undefined
+                ? toList(match.path).map(globToRegExp)
+                : null,
+        folder:
+            match.folder !== undefined
+                ? toList(match.folder).map(globToRegExp)
+                : null,
+        extension:
+            match.extension !== undefined
+                ? toList(match.extension).map((ext) =>
+                      (ext.startsWith(".") ? ext : `.${ext}`).toLowerCase()
+                  )
+                : null,
+        minSize: match.minSize !== undefined ? Number(match.minSize) : null,
+        maxSize: match.maxSize !== undefined ? Number(match.maxSize) : null,
+        content,
+    };
+}
+
+/**
+ * Parse and validate a rules document
+ * @param {Object} doc - Parsed JSON/YAML with a `rules` list
+ * @returns {Object[]} - Compiled rules, highest priority first
+ */
+function parseRules(doc) {
+    const list = (doc && doc.rules) || [];
+    if (!Array.isArray(list)) {
+        throw new Error(`"rules" must be a list.`);
+    }
+    const rules = list.map(compileRule);
+    const ids = new Set();
+    for (const rule of rules) {
+        if (ids.has(rule.id)) {
+            throw new Error(`Rule id "${rule.id}" is used more than once.`);
+        }
+        ids.add(rule.id);
+    }
+    return rules.sort((a, b) => b.priority - a.priority || a.order - b.order);
+}
+
+/**
+ * Load the configured rules, re-reading the file when it changes
+ * @returns {Object[]}
+ */
+function getRules() {
+    if (!RULES_ENABLED || !fs.pathExistsSync(RULES_FILE)) return [];
+
+    const { mtimeMs } = fs.statSync(RULES_FILE);
+    if (cache.mtimeMs !== mtimeMs) {
+        const text = fs.readFileSync(RULES_FILE, "utf8");
+        const doc = RULES_FILE.endsWith(".json")
+            ? JSON.parse(text)
+            : YAML.parse(text);
+        cache = { mtimeMs, rules: parseRules(doc) };
+        console.log(`Loaded ${cache.rules.length} rule(s) from ${RULES_FILE}`);
+    }
+    return cache.rules;
+}
+
+/**
+ * Check the conditions that don't need the file content
+ * @param {Object} rule
+ * @param {Object} file
+ * @returns {boolean}
+ */
+function matchesMetadata(rule, file) {
+    const folders = file.relativePath.split("/").slice(0, -1);
+    if (rule.name && !rule.name.some((re) => re.test(file.name))) return false;
+    if (rule.path && !rule.path.some((re) => re.test(file.relativePath))) {
+        return false;
+    }
+    if (
+        rule.folder &&
+        !folders.some((folder) => rule.folder.some((re) => re.test(folder)))
+    ) {
+        return false;
+    }
+    if (rule.extension && !rule.extension.includes(file.ext)) return false;
+    if (rule.minSize !== null && file.size < rule.minSize) return false;
+    if (rule.maxSize !== null && file.size > rule.maxSize) return false;
+    return true;
+}
+
+/**
+ * Find the winning rule for a file
+ * @param {Object[]} rules - Compiled rules, highest priority first
+ * @param {Object} file
+ * @param {string} file.name - File name
+ * @param {string} file.relativePath - Path inside the archive, "/" separated
+ * @param {string} file.ext - Lower-case extension including the dot
+ * @param {number} file.size - Size in bytes
+ * @param {() => Promise<string>} loadText - Lazily extracts the file's text;
+ *   only called when a content condition has to be checked
+ * @returns {Promise<Object|null>} - Matching rule
+ */
+async function evaluateRules(rules, file, loadText) {
+    for (const rule of rules) {
+        if (!matchesMetadata(rule, file)) continue;
+        if (rule.content) {
+            let text;
+            try {
+                text = await loadText();
+            } catch {
+                continue;
+            }
+            if (!text || !rule.content.test(text)) continue;
+        }
+        return rule;
+    }
+    return null;
+}
+
+module.exports = {
+    getRules,
+    parseRules,
+    evaluateRules,
+    RULES_FILE,
+};
@@ -0,0 +1,174 @@
+// Source code sampler: the imports and top-level symbols (functions,
+// classes, types...) of a file, then its beginning, which usually holds
+// the file's own description. Languages are told apart by extension.
+
+// Share of the budget for the imports and for the symbols
+const IMPORTS_SHARE = 0.25;
+const SYMBOLS_SHARE = 0.4;
+// Longest import or declaration line shown as is
+const MAX_LINE_CHARS = 120;
+
+// Per language family: file extensions, import lines and declarations of
+// top-level symbols (matched against untrimmed lines; imports are never
+// listed as symbols). Earlier symbol patterns are listed first, so
+// functions and classes are not crowded out by constants.
+const LANGUAGES = [
+    {
+        name: "JavaScript/TypeScript",
+        extensions: [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".vue"],
+        imports: [
+            /^\s*import\s/,
+            /^\s*export\s.*\sfrom\s/,
+            /^\s*(const|let|var)\s.*=\s*require\(/,
+            /^\}\s*=\s*require\(/,
+        ],
+        symbols: [
+            /^(export\s+(default\s+)?)?(declare\s+)?(abstract\s+)?(async\s+)?(function\*?|class|interface|type|enum|namespace)\s+[\w$]/,
+            /^(export\s+)?(const|let|var)\s+[\w$]/,
+            /^(module\.)?exports(\.[\w$]+)?\s*=/,
+        ],
+    },
+    {
+        name: "Python",
+        extensions: [".py", ".pyw"],
+        imports: [/^(import|from)\s+[\w.]+/],
+        symbols: [
+            /^(async\s+)?(def|class)\s+\w/,
+            /^[A-Z][A-Z0-9_]*\s*(:[^=]*)?=/,
+        ],
+    },
+    {
+        name: "Go",
+        extensions: [".go"],
+        imports: [/^import\s/, /^\s+("[^"]+"|\w+\s+"[^"]+")\s*$/],
+        symbols: [/^(func|type|var|const)\s/, /^package\s/],
+    },
+    {
+        name: "Rust",
+        extensions: [".rs"],
+        imports: [/^\s*(pub\s+)?use\s/, /^extern\s+crate\s/],
+        symbols: [
+            /^(pub(\([\w:]+\))?\s+)?(async\s+)?(unsafe\s+)?(fn|struct|enum|trait|impl|mod|type|const|static|macro_rules!)\b/,
+        ],
+    },
+    {
+        name: "Java/Kotlin/Scala/C#",
+        extensions: [".java", ".kt", ".kts", ".scala", ".cs"],
+        imports: [/^\s*import\s/, /^\s*using\s+[\w.=\s]+;/],
+        symbols: [
+            /^\s{0,4}((public|private|protected|internal|abstract|final|sealed|static|partial|data|open|case)\s+)*(class|interface|enum|record|object|trait|struct)\s+\w/,
+            /^\s{0,4}((public|protected|internal|override|static|abstract)\s+)+[\w<>[\],.?\s]*\s\w+\s*\(/,
+            /^\s{0,4}(fun|def)\s+[\w.]+/,
+            /^(package|namespace)\s/,
+        ],
+    },
+    {
+        name: "C/C++",
+        extensions: [".c", ".h", ".cpp", ".cc", ".cxx", ".hpp", ".hh"],
+        imports: [/^\s*#\s*include\s/],
+        symbols: [
+            /^(typedef\s+)?(struct|class|enum|union|namespace|template)\b/,
+            /^#\s*define\s+\w/,
+            /^[A-Za-z_][\w\s*&:<>,]*[\s*&]~?[\w:]+\s*\([^;]*$/,
+        ],
+    },
+    {
+        name: "PHP",
+        extensions: [".php"],
+        imports: [/^\s*(use|require|require_once|include|include_once)\b/],
+        symbols: [
+            /^\s{0,4}((abstract|final|public|private|protected|static)\s+)*(function|class|interface|trait|enum)\s+\w/,
+            /^namespace\s/,
+        ],
+    },
+    {
+        name: "Ruby",
+        extensions: [".rb"],
+        imports: [/^\s*(require|require_relative|load)\s/],
+        symbols: [/^\s{0,2}(class|module|def)\s/],
+    },
+    {
+        name: "Shell",
+        extensions: [".sh", ".bash", ".zsh"],
+        imports: [/^\s*(source|\.)\s+\S/],
+        symbols: [
+            /^(function\s+)?[\w-]+\s*\(\)/,
+            /^(export\s+)?[A-Z][A-Z0-9_]*=/,
+        ],
+    },
+];
+
+const CODE_EXTENSIONS = LANGUAGES.flatMap((language) => language.extensions);
+
+/**
+ * Lines that match the patterns, pattern by pattern, up to a budget
+ * @param {string[]} lines
+ * @param {RegExp[]} patterns
+ * @param {number} chars
+ * @returns {string}
+ */
+function collect(lines, patterns, chars) {
+    const matched = new Set();
+    const matches = [];
+    for (const pattern of patterns) {
+        lines.forEach((line, index) => {
+            if (!matched.has(index) && pattern.test(line)) {
+                matched.add(index);
+                matches.push(line);
+            }
+        });
+    }
+    let text = "";
+    for (let i = 0; i < matches.length; i++) {
+        let line = matches[i].trim().replace(/\s*\{\s*$/, "");
+        if (line.length > MAX_LINE_CHARS) {
+            line = `${line.slice(0, MAX_LINE_CHARS - 1)}…`;
+        }
+        const more = `... and ${matches.length - i} more\n`;
+        if (text.length + line.length + 1 + more.length > chars) {
+            return text + more;
+        }
+        text += `${line}\n`;
+    }
+    return text;
+}
+
+/**
+ * Sample a source file
+ * @param {string} text
+ * @param {number} chars - Budget in characters
+ * @param {string} ext
+ * @returns {string|null} - null for extensions of no known language
+ */
+function sampleCode(text, chars, ext) {
+    const language = LANGUAGES.find((candidate) =>
+        candidate.extensions.includes(ext)
+    );
+    if (!language) return null;
+    const lines = text.split(/\r?\n/);
+    let sample = `${language.name} source, ${lines.length} lines\n`;
+
+    const imports = collect(lines, language.imports, chars * IMPORTS_SHARE);
+    if (imports) sample += `Imports:\n${imports}`;
+    const symbols = collect(
+        lines.filter(
+            (line) => !language.imports.some((pattern) => pattern.test(line))
+        ),
+        language.symbols,
+        chars * SYMBOLS_SHARE
+    );
+    if (symbols) sample += `Top-level symbols:\n${symbols}`;
+
+    sample += "Beginning:\n";
+    let head = text.slice(0, Math.max(0, chars - sample.length));
+    // End on a whole line
+    if (head.length < text.length && head.includes("\n")) {
+        head = head.slice(0, head.lastIndexOf("\n") + 1);
+    }
+    return sample + head;
+}
+
+module.exports = {
+    sampleCode,
+    CODE_EXTENSIONS,
+};
@@ -0,0 +1,69 @@
+// Content sampling: what the model sees of a file's text. Text that fits the
+// provider's token budget is sent whole; longer text is sampled by file
+// type instead of cut after its first characters (see text.js, table.js,
+// pdf.js and code.js).
+const path = require("path");
+const { sampleText } = require("./text");
+const { sampleDelimited, sampleJson } = require("./table");
+const { samplePdf } = require("./pdf");
+const { sampleCode, CODE_EXTENSIONS } = require("./code");
+
+// Tokens of each file's content sent to the model, unless the provider sets
+// its own budget (GEMINI_CONTENT_TOKENS, OPENAI_CONTENT_TOKENS,
+// LOCAL_CONTENT_TOKENS)
+const CONTENT_TOKENS = parseInt(process.env.CONTENT_TOKENS, 10) || 1000;
+// Rough average for English text; lower it for code or other scripts
+const CHARS_PER_TOKEN = parseFloat(process.env.CHARS_PER_TOKEN) || 4;
+
+// Samplers by file extension; each returns null when the text is not what
+// its extension says, and plain text windows are used instead
+const SAMPLERS = [
+    { extensions: [".csv", ".tsv"], sample: sampleDelimited },
+    { extensions: [".json", ".jsonl", ".ndjson"], sample: sampleJson },
+    { extensions: [".pdf"], sample: samplePdf },
+    { extensions: CODE_EXTENSIONS, sample: sampleCode },
+];
+
+/**
+ * Token budget of a provider, from its own setting or CONTENT_TOKENS
+ * @param {string} [value] - The provider's setting, e.g.
+ *   process.env.GEMINI_CONTENT_TOKENS
+ * @returns {number}
+ */
+function contentTokens(value) {
+    return parseInt(value, 10) || CONTENT_TOKENS;
+}
+
+/**
+ * Sample a file's text to a token budget
+ * @param {string} text - Extracted (and masked) text
+ * @param {string} filename - Name used to pick the sampler
+ * @param {number} tokens - Budget
+ * @returns {string} - The text itself when it fits
+ */
+function sampleContent(text, filename, tokens) {
+    const chars = Math.floor(tokens * CHARS_PER_TOKEN);
+    if (text.length <= chars) return text;
+    const ext = path.extname(filename).toLowerCase();
+    const sampler = SAMPLERS.find((candidate) =>
+        candidate.extensions.includes(ext)
+    );
+    if (sampler) {
+        try {
+            const sample = sampler.sample(text, chars, ext);
+            if (sample !== null && sample.length <= chars) return sample;
+        } catch (error) {
+            console.warn(
+                `Sampling ${filename} by its type failed, using text windows:`,
+                error.message
+            );
+        }
+    }
+    return sampleText(text, chars);
+}
+
+module.exports = {
+    sampleContent,
+    contentTokens,
+    CHARS_PER_TOKEN,
+};
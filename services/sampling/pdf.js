@@ -0,0 +1,119 @@
+// PDF sampler: an outline of the headings found in the text, then the first
+// lines of every page (or of pages spread over the document when not all of
+// them fit), so a long PDF is not judged by its cover page alone. Pages are
+// told apart by the form feeds extractTextFromPDF puts after each of them.
+const { sampleText } = require("./text");
+
+// Share of the budget for the outline
+const OUTLINE_SHARE = 0.25;
+// Least text shown per page; fewer pages are shown when the budget is small
+const MIN_PAGE_CHARS = 200;
+// Longest line taken for a heading
+const MAX_HEADING_CHARS = 80;
+
+// Numbered ("2.1 Scope", "IV. Terms") or labelled ("Appendix B") headings
+const NUMBERED_HEADING =
+    /^((\d+\.)*\d+\.?|[IVX]+\.|(chapter|section|article|part|appendix|schedule|annex)\s+[\w.]+)\s+\p{L}/iu;
+
+/**
+ * Whether a line looks like a heading: numbered, or a short line in
+ * capitals
+ * @param {string} line - Trimmed
+ * @returns {boolean}
+ */
+function isHeading(line) {
+    if (line.length < 3 || line.length > MAX_HEADING_CHARS) return false;
+    if (NUMBERED_HEADING.test(line)) return true;
+    const letters = line.replace(/[^\p{L}]/gu, "");
+    return (
+        letters.length >= 4 &&
+        letters === letters.toUpperCase() &&
+        letters !== letters.toLowerCase()
+    );
+}
+
+/**
+ * Whole lines from the start of a page, up to a budget
+ * @param {string[]} lines - Non-empty, trimmed
+ * @param {number} chars
+ * @returns {string}
+ */
+function firstLines(lines, chars) {
+    let text = "";
+    for (const line of lines) {
+        if (text.length + line.length + 1 > chars) {
+            // Always show something of the page
+            if (!text && chars > 2) text = `${line.slice(0, chars - 2)}…\n`;
+            break;
+        }
+        text += `${line}\n`;
+    }
+    return text;
+}
+
+/**
+ * Sample the text of a PDF
+ * @param {string} text - As returned by extractTextFromPDF
+ * @param {number} chars - Budget in characters
+ * @returns {string|null} - null when the text has no page breaks
+ */
+function samplePdf(text, chars) {
+    const pages = text
+        .split("\f")
+        .map((page) =>
+            page
+                .split("\n")
+                .map((line) => line.replace(/\s+/g, " ").trim())
+                .filter(Boolean)
+        )
+        .filter((lines, i, all) => i < all.length - 1 || lines.length > 0);
+    if (pages.length < 2) return null;
+
+    let sample = `PDF, ${pages.length} pages\n`;
+    const outline = [];
+    const seen = new Set();
+    pages.forEach((lines, i) => {
+        for (const line of lines) {
+            if (isHeading(line) && !seen.has(line.toLowerCase())) {
+                seen.add(line.toLowerCase());
+                outline.push(`- ${line} (p. ${i + 1})`);
+            }
+        }
+    });
+    if (outline.length > 0) {
+        let section = "Outline:\n";
+        for (const line of outline) {
+            if (section.length + line.length + 1 > chars * OUTLINE_SHARE) {
+                section += "- ...\n";
+                break;
+            }
+            section += `${line}\n`;
+        }
+        sample += section;
+    }
+
+    // Pages spread evenly from the first to the last
+    const left = chars - sample.length;
+    const shown = Math.max(
+        1,
+        Math.min(pages.length, Math.floor(left / MIN_PAGE_CHARS))
+    );
+    const indexes = [];
+    for (let k = 0; k < shown; k++) {
+        const index =
+            shown === 1
+                ? 0
+                : Math.round((k * (pages.length - 1)) / (shown - 1));
+        if (!indexes.includes(index)) indexes.push(index);
+    }
+    const perPage = Math.floor(left / indexes.length);
+    for (const index of indexes) {
+        const header = `[Page ${index + 1}]\n`;
+        sample += header + firstLines(pages[index], perPage - header.length);
+    }
+    return sample.length <= chars ? sample : sampleText(sample, chars);
+}
+
+module.exports = {
+    samplePdf,
+};
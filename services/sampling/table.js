@@ -0,0 +1,401 @@
+// Tabular data sampler for CSV/TSV files and JSON arrays of records: the
+// columns with simple statistics, then the header and rows spread over the
+// whole file instead of only the first block.
+
+// Rows read for the statistics and the sample
+const MAX_ROWS = 50000;
+// Columns described in full; the rest are only named
+const MAX_COLUMNS = 40;
+// Most common values listed per text column
+const TOP_VALUES = 3;
+// Longest value or row shown as is
+const MAX_VALUE_CHARS = 40;
+const MAX_ROW_CHARS = 300;
+// Rows always shown from the start and the end of the file
+const HEAD_ROWS = 5;
+const TAIL_ROWS = 2;
+// Share of the budget for the column statistics
+const STATS_SHARE = 0.5;
+// Levels of nesting described for JSON that is not a list of records
+const MAX_JSON_DEPTH = 4;
+
+const DELIMITERS = [",", ";", "\t", "|"];
+
+/**
+ * Cut a value or row to a maximum length
+ * @param {string} value
+ * @param {number} max
+ * @returns {string}
+ */
+function shorten(value, max) {
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/**
+ * Guess the delimiter of delimited text from its first line
+ * @param {string} line
+ * @param {string} ext
+ * @returns {string}
+ */
+function detectDelimiter(line, ext) {
+    if (ext === ".tsv") return "\t";
+    const outsideQuotes = line.replace(/"[^"]*"/g, "");
+    let best = ",";
+    let bestCount = 0;
+    for (const delimiter of DELIMITERS) {
+        const count = outsideQuotes.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * Split delimited text into records, honouring quoted fields with
+ * delimiters, quotes and line breaks
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {Array<{fields: string[], text: string}>} - At most MAX_ROWS + 1
+ *   records; `text` is the record as written
+ */
+function parseDelimited(text, delimiter) {
+    const records = [];
+    let fields = [];
+    let field = "";
+    let quoted = false;
+    let start = 0;
+    const finish = (end) => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0] !== "") {
+            records.push({
+                fields,
+                text: text.slice(start, end).replace(/\r$/, ""),
+            });
+        }
+        fields = [];
+        field = "";
+        start = end + 1;
+    };
+    for (let i = 0; i < text.length && records.length <= MAX_ROWS; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char !== '"') field += char;
+            else if (text[i + 1] === '"') field += text[++i];
+            else quoted = false;
+        } else if (char === '"' && field === "") {
+            quoted = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = "";
+        } else if (char === "\n") {
+            finish(i);
+        } else if (char !== "\r") {
+            field += char;
+        }
+    }
+    if (records.length <= MAX_ROWS && (field !== "" || fields.length > 0)) {
+        finish(text.length);
+    }
+    return records;
+}
+
+/**
+ * Read a value as a number, allowing thousands separators, currency
+ * symbols and percentages
+ * @param {string} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+    const cleaned = value
+        .replace(/[\s$€£¥%]/g, "")
+        .replace(/,(?=\d{3}\b)/g, "");
+    return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)
+        ? Number(cleaned)
+        : null;
+}
+
+/**
+ * Round a number for display
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Describe one column: its type, how many values it has and their range
+ * or most common values
+ * @param {string} name
+ * @param {string[]} values - Raw values, one per row
+ * @returns {string}
+ */
+function describeColumn(name, values) {
+    const present = values
+        .map((value) => value.trim())
+        .filter((value) => value !== "");
+    const empty = values.length - present.length;
+    let line = `- ${shorten(name || "(unnamed)", MAX_VALUE_CHARS)}: `;
+    if (present.length === 0) return `${line}empty`;
+
+    const numbers = present.map(toNumber);
+    if (numbers.every((number) => number !== null)) {
+        let [min, max, sum] = [Infinity, -Infinity, 0];
+        for (const number of numbers) {
+            min = Math.min(min, number);
+            max = Math.max(max, number);
+            sum += number;
+        }
+        line += `number, min ${formatNumber(min)}, max ${formatNumber(
+            max
+        )}, mean ${formatNumber(sum / numbers.length)}`;
+    } else if (present.every((value) => /^\d{4}-\d{2}-\d{2}/.test(value))) {
+        const sorted = [...present].sort();
+        line += `date, ${sorted[0].slice(0, 10)} to ${sorted[
+            sorted.length - 1
+        ].slice(0, 10)}`;
+    } else {
+        const counts = new Map();
+        for (const value of present) {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+        const top = [...counts]
+            .filter(([, count]) => count > 1)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_VALUES)
+            .map(
+                ([value, count]) =>
+                    `${JSON.stringify(
+                        shorten(value, MAX_VALUE_CHARS)
+                    )} (${count})`
+            );
+        line += `text, ${counts.size} distinct`;
+        if (top.length > 0) line += `, most common ${top.join(", ")}`;
+    }
+    if (empty > 0) line += `, ${empty} empty`;
+    return line;
+}
+
+/**
+ * Row indexes in the order they are added to a sample: the first and last
+ * rows, then rows halving the gaps between those already chosen
+ * @param {number} count
+ * @returns {Generator<number>}
+ */
+function* rowOrder(count) {
+    const seen = new Set();
+    function* add(index) {
+        if (index >= 0 && index < count && !seen.has(index)) {
+            seen.add(index);
+            yield index;
+        }
+    }
+    for (let i = 0; i < HEAD_ROWS; i++) yield* add(i);
+    for (let i = TAIL_ROWS; i > 0; i--) yield* add(count - i);
+    for (let parts = 2; seen.size < count; parts *= 2) {
+        for (let k = 1; k < parts; k += 2) {
+            yield* add(Math.floor((k * count) / parts));
+        }
+    }
+}
+
+/**
+ * Lay out a table: summary line, column statistics, then the header and as
+ * many spread-out rows as fit, with "..." where rows were left out
+ * @param {Object} table
+ * @param {string} table.summary - First line, e.g. "CSV, 1200 rows"
+ * @param {string[]} table.columns
+ * @param {string[][]} table.values - Per row, the value of each column
+ * @param {string} [table.header] - Header line as written
+ * @param {string[]} table.rows - Each row as written
+ * @param {number} chars - Budget in characters
+ * @returns {string}
+ */
+function layoutTable({ summary, columns, values, header, rows }, chars) {
+    const lines = [];
+    let used = 0;
+    const push = (line) => {
+        lines.push(line);
+        used += line.length + 1;
+    };
+    push(summary);
+    push("Columns:");
+    const described = columns.slice(0, MAX_COLUMNS);
+    let count = 0;
+    for (; count < described.length; count++) {
+        const line = describeColumn(
+            described[count],
+            values.map((row) => row[count] || "")
+        );
+        if (used + line.length + 1 > chars * STATS_SHARE) break;
+        push(line);
+    }
+    if (count < columns.length) {
+        push(`- ... and ${columns.length - count} more columns`);
+    }
+
+    push(header ? "Header and sample rows:" : "Sample rows:");
+    if (header) push(shorten(header, MAX_ROW_CHARS));
+    // Each row may need a "..." line before it, and the last one after it
+    used += 4;
+    const chosen = [];
+    for (const index of rowOrder(rows.length)) {
+        const length = Math.min(rows[index].length, MAX_ROW_CHARS) + 5;
+        if (used + length > chars) break;
+        chosen.push(index);
+        used += length;
+    }
+    chosen.sort((a, b) => a - b);
+    chosen.forEach((index, i) => {
+        if (index > (i === 0 ? 0 : chosen[i - 1] + 1)) lines.push("...");
+        lines.push(shorten(rows[index], MAX_ROW_CHARS));
+    });
+    if (chosen.length > 0 && chosen[chosen.length - 1] < rows.length - 1) {
+        lines.push("...");
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Sample CSV or TSV text
+ * @param {string} text
+ * @param {number} chars - Budget in characters
+ * @param {string} ext
+ * @returns {string|null} - null when the text is not a table
+ */
+function sampleDelimited(text, chars, ext) {
+    const firstLine = text.slice(0, text.indexOf("\n") + 1 || undefined);
+    const delimiter = detectDelimiter(firstLine, ext);
+    const records = parseDelimited(text, delimiter);
+    if (records.length < 2) return null;
+    const [header, ...rows] = records.slice(0, MAX_ROWS + 1);
+    const name = delimiter === "\t" ? "TSV" : "CSV";
+    const more = records.length > MAX_ROWS ? ` (first ${MAX_ROWS} read)` : "";
+    return layoutTable(
+        {
+            summary: `${name}, ${rows.length} rows${more}, ${
+                header.fields.length
+            } columns, delimiter ${JSON.stringify(delimiter)}`,
+            columns: header.fields,
+            values: rows.map((row) => row.fields),
+            header: header.text,
+            rows: rows.map((row) => row.text),
+        },
+        chars
+    );
+}
+
+/**
+ * Short type name of a JSON value
+ * @param {*} value
+ * @returns {string}
+ */
+function jsonType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return `array of ${value.length}`;
+    return typeof value;
+}
+
+/**
+ * Outline the structure of a JSON value: one line per property with its
+ * type and, for scalars, its value; arrays are described by their first
+ * item
+ * @param {*} value
+ * @param {string} prefix - Path of the value
+ * @param {number} depth
+ * @param {string[]} lines - Output; updated
+ */
+function outlineJson(value, prefix, depth, lines) {
+    if (value && typeof value === "object" && depth < MAX_JSON_DEPTH) {
+        const entries = Array.isArray(value)
+            ? value.slice(0, 1).map((item) => ["[0]", item])
+            : Object.entries(value).map(([key, item]) => [`.${key}`, item]);
+        for (const [key, item] of entries) {
+            const itemPath = `${prefix}${key}`;
+            lines.push(
+                item && typeof item === "object"
+                    ? `${itemPath}: ${jsonType(item)}`
+                    : `${itemPath}: ${shorten(
+                          JSON.stringify(item),
+                          MAX_VALUE_CHARS
+                      )}`
+            );
+            outlineJson(item, itemPath, depth + 1, lines);
+        }
+    }
+}
+
+/**
+ * Sample JSON (or JSON Lines): arrays of records like a table, anything
+ * else as an outline of its structure followed by its beginning
+ * @param {string} text
+ * @param {number} chars - Budget in characters
+ * @returns {string|null} - null when the text is not JSON
+ */
+function sampleJson(text, chars) {
+    let data;
+    let lines = false;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        try {
+            data = text
+                .split("\n")
+                .filter((line) => line.trim())
+                .slice(0, MAX_ROWS)
+                .map((line) => JSON.parse(line));
+            lines = true;
+        } catch {
+            return null;
+        }
+    }
+
+    const records = Array.isArray(data) ? data.slice(0, MAX_ROWS) : [];
+    if (
+        records.length > 1 &&
+        records.every(
+            (record) =>
+                record && typeof record === "object" && !Array.isArray(record)
+        )
+    ) {
+        const columns = [...new Set(records.flatMap(Object.keys))];
+        const asText = (value) =>
+            value === undefined || value === null
+                ? ""
+                : typeof value === "object"
+                ? JSON.stringify(value)
+                : String(value);
+        return layoutTable(
+            {
+                summary: `${lines ? "JSON Lines" : "JSON array"} of ${
+                    data.length
+                } records, ${columns.length} fields`,
+                columns,
+                values: records.map((record) =>
+                    columns.map((column) => asText(record[column]))
+                ),
+                rows: records.map((record) => JSON.stringify(record)),
+            },
+            chars
+        );
+    }
+
+    const outline = [`JSON ${jsonType(data)}`, "Structure:"];
+    outlineJson(data, "$", 0, outline);
+    let sample = "";
+    for (const line of outline) {
+        if (sample.length + line.length + 1 > chars * STATS_SHARE) break;
+        sample += `${line}\n`;
+    }
+    sample += "Beginning:\n";
+    const head = text.slice(0, Math.max(0, chars - sample.length));
+    // End on a whole line
+    return sample + head.slice(0, head.lastIndexOf("\n") + 1 || undefined);
+}
+
+module.exports = {
+    sampleDelimited,
+    sampleJson,
+};
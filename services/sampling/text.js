@@ -0,0 +1,76 @@
+// Plain text sampler: windows from the head, middle and tail of a long text
+// instead of only its beginning, with markers for what was left out.
+
+// Share of the budget for the head, middle and tail windows
+const HEAD_SHARE = 0.5;
+const MIDDLE_SHARE = 0.25;
+// Windows are moved this far at most to start and end on whole lines
+const SNAP_CHARS = 200;
+// Room kept for each "[... n characters skipped ...]" marker
+const MARKER_CHARS = 48;
+
+/**
+ * Move a position to the nearest line start within SNAP_CHARS
+ * @param {string} text
+ * @param {number} index
+ * @param {boolean} forward - Look after the position instead of before it
+ * @returns {number}
+ */
+function lineStart(text, index, forward) {
+    if (forward) {
+        const next = text.indexOf("\n", index);
+        return next !== -1 && next - index < SNAP_CHARS ? next + 1 : index;
+    }
+    const previous = text.lastIndexOf("\n", index - 1);
+    return previous !== -1 && index - previous <= SNAP_CHARS
+        ? previous + 1
+        : index;
+}
+
+/**
+ * Marker for a gap between two windows
+ * @param {number} count - Characters left out
+ * @returns {string}
+ */
+function skipped(count) {
+    return `\n[... ${count} characters skipped ...]\n`;
+}
+
+/**
+ * Sample a long text as head, middle and tail windows
+ * @param {string} text
+ * @param {number} chars - Budget in characters
+ * @returns {string} - The text itself when it fits
+ */
+function sampleText(text, chars) {
+    if (text.length <= chars) return text;
+    const budget = Math.max(0, chars - 2 * MARKER_CHARS);
+    const headLength = Math.floor(budget * HEAD_SHARE);
+    const middleLength = Math.floor(budget * MIDDLE_SHARE);
+    const tailLength = budget - headLength - middleLength;
+
+    const headEnd = lineStart(text, headLength, false);
+    const middleStart = Math.max(
+        headEnd,
+        lineStart(text, Math.floor((text.length - middleLength) / 2), true)
+    );
+    const middleEnd = Math.max(
+        middleStart,
+        lineStart(text, middleStart + middleLength, false)
+    );
+    const tailStart = Math.max(
+        middleEnd,
+        lineStart(text, text.length - tailLength, true)
+    );
+
+    let sample = text.slice(0, headEnd);
+    if (middleStart > headEnd) sample += skipped(middleStart - headEnd);
+    sample += text.slice(middleStart, middleEnd);
+    if (tailStart > middleEnd) sample += skipped(tailStart - middleEnd);
+    sample += text.slice(tailStart);
+    return sample;
+}
+
+module.exports = {
+    sampleText,
+};
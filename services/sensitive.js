@@ -0,0 +1,212 @@
+// Sensitive data detection: personal data (emails, card numbers, IBANs,
+// US social security numbers) and secrets (API keys, tokens, private keys,
+// passwords in config files) are found locally with regular expressions
+// and checksums, before any text goes to a model. Findings tag the file;
+// with redaction on they are masked in everything sent to the provider.
+
+// What happens to files with findings: "tag" only lists them, "route" also
+// moves them to SENSITIVE_CATEGORY
+const SENSITIVE_POLICIES = ["tag", "route"];
+const SENSITIVE_POLICY = (process.env.SENSITIVE_POLICY || "tag").toLowerCase();
+const SENSITIVE_DETECTION = process.env.SENSITIVE_DETECTION !== "0";
+// Mask findings in text sent to the provider
+const SENSITIVE_REDACTION = process.env.SENSITIVE_REDACTION !== "0";
+const SENSITIVE_CATEGORY = process.env.SENSITIVE_CATEGORY || "Sensitive";
+// Characters of a file's text that are scanned
+const MAX_SCAN_CHARS = 2 * 1024 * 1024;
+
+// Text that replaces a finding, e.g. "[REDACTED:email]"
+const REDACTED = /^\[REDACTED:[\w-]+\]$/;
+
+/**
+ * Luhn checksum of a card number
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function isValidLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Card number: a known issuer prefix and a valid Luhn checksum
+ * @param {string} match - Digits, possibly grouped with spaces or dashes
+ * @returns {boolean}
+ */
+function isCardNumber(match) {
+    const digits = match.replace(/\D/g, "");
+    return (
+        /^(4|5[1-5]|2[2-7]|3[47]|6(011|5))/.test(digits) && isValidLuhn(digits)
+    );
+}
+
+/**
+ * IBAN mod-97 check (ISO 13616)
+ * @param {string} match - Possibly grouped with spaces
+ * @returns {boolean}
+ */
+function isValidIban(match) {
+    const iban = match.replace(/\s/g, "").toUpperCase();
+    if (iban.length < 15 || iban.length > 34) return false;
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+        const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+        for (const digit of value) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+    }
+    return remainder === 1;
+}
+
+// Detectors, applied in this order to text the earlier ones masked
+// already. `group` masks only that capture group (the value of a
+// "password = ..." line); `validate` rejects matches that fail a checksum.
+const DETECTORS = [
+    {
+        type: "private-key",
+        pattern:
+            /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z]+ )*PRIVATE KEY-----|$)/g,
+    },
+    { type: "aws-access-key", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { type: "github-token", pattern: /\bgh[pousr]_[A-Za-z0-9]{36,255}\b/g },
+    { type: "slack-token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+    { type: "stripe-key", pattern: /\b[rs]k_live_[0-9a-zA-Z]{24,}\b/g },
+    { type: "google-api-key", pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+    {
+        type: "jwt",
+        pattern: /\beyJ[\w-]{10,}\.eyJ[\w-]{10,}\.[\w-]{10,}/g,
+    },
+    {
+        type: "secret",
+        pattern:
+            /\b(?:password|passwd|pwd|secret|client[_-]?secret|api[_-]?key|access[_-]?key|auth[_-]?token|access[_-]?token|token)["']?\s*[:=]\s*["']?(?!\[REDACTED)([^\s"',;]{8,})/gi,
+        group: 1,
+    },
+    {
+        type: "email",
+        pattern:
+            /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+    },
+    {
+        type: "iban",
+        pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+        validate: isValidIban,
+    },
+    {
+        type: "credit-card",
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        validate: isCardNumber,
+    },
+    {
+        type: "ssn",
+        pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g,
+    },
+];
+
+/**
+ * Find sensitive data in a text and mask it
+ * @param {string} text
+ * @returns {{text: string, masked: string, findings: Array<{type: string,
+ *   count: number}>}} - `masked` has every finding replaced with
+ *   "[REDACTED:<type>]"; findings hold no matched values
+ */
+function scanText(text) {
+    const original = String(text || "");
+    if (!SENSITIVE_DETECTION || !original) {
+        return { text: original, masked: original, findings: [] };
+    }
+    // Models only ever see samples of the scanned part (see sampling/)
+    let masked = original.slice(0, MAX_SCAN_CHARS);
+    const counts = {};
+    for (const { type, pattern, group, validate } of DETECTORS) {
+        masked = masked.replace(pattern, (match, ...groups) => {
+            const value = group ? groups[group - 1] : match;
+            if (validate && !validate(value)) return match;
+            counts[type] = (counts[type] || 0) + 1;
+            const label = match.slice(0, match.length - value.length);
+            return `${label}[REDACTED:${type}]`;
+        });
+    }
+    return {
+        text: original,
+        masked,
+        findings: Object.entries(counts).map(([type, count]) => ({
+            type,
+            count,
+        })),
+    };
+}
+
+/**
+ * Text as it may be sent to the provider: masked unless redaction is off
+ * @param {string} text
+ * @returns {string}
+ */
+function redact(text) {
+    return SENSITIVE_REDACTION ? scanText(text).masked : text;
+}
+
+/**
+ * Replace values the model copied from masked text with null, so
+ * "[REDACTED:email]" never becomes a file name or a metadata value
+ * @param {Object|null} values - Fields or metadata read by the model
+ * @returns {Object|null}
+ */
+function dropRedacted(values) {
+    if (!values || typeof values !== "object") return values;
+    const clean = (value) =>
+        typeof value === "string" && REDACTED.test(value.trim()) ? null : value;
+    return Object.fromEntries(
+        Object.entries(values).map(([key, value]) => [
+            key,
+            Array.isArray(value)
+                ? value.map(clean).filter((item) => item !== null)
+                : clean(value),
+        ])
+    );
+}
+
+/**
+ * Group of a file under a policy
+ * @param {string|undefined} group - Group it would get otherwise
+ * @param {Array} findings - See scanText
+ * @param {string} [policy] - One of SENSITIVE_POLICIES; defaults to
+ *   SENSITIVE_POLICY
+ * @returns {string|undefined}
+ */
+function sensitiveGroup(group, findings, policy = SENSITIVE_POLICY) {
+    if (!SENSITIVE_POLICIES.includes(policy)) {
+        throw new Error(
+            `Unknown sensitive data policy "${policy}". Use one of: ${SENSITIVE_POLICIES.join(
+                ", "
+            )}`
+        );
+    }
+    if (!group || policy === "tag" || !findings || findings.length === 0) {
+        return group;
+    }
+    return SENSITIVE_CATEGORY;
+}
+
+module.exports = {
+    scanText,
+    redact,
+    dropRedacted,
+    sensitiveGroup,
+    isValidLuhn,
+    isValidIban,
+    SENSITIVE_POLICIES,
+    SENSITIVE_POLICY,
+    SENSITIVE_DETECTION,
+    SENSITIVE_REDACTION,
+    SENSITIVE_CATEGORY,
+};
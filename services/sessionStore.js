@@ -0,0 +1,178 @@
+// File-based store for finished sessions: one JSON document per session
+// plus its result zip (or, while a preview awaits review, its extracted
+// files), purged after RESULT_RETENTION_DAYS.
+const path = require("path");
+const fs = require("fs-extra");
+
+const DATA_DIR = process.env.DATA_DIR || "data";
+const SESSIONS_DIR = path.join(DATA_DIR, "sessions");
+const RESULTS_DIR = path.join(DATA_DIR, "results");
+const PREVIEWS_DIR = path.join(DATA_DIR, "previews");
+const RESULT_RETENTION_DAYS =
+    parseFloat(process.env.RESULT_RETENTION_DAYS) || 7;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+fs.ensureDirSync(SESSIONS_DIR);
+fs.ensureDirSync(RESULTS_DIR);
+fs.ensureDirSync(PREVIEWS_DIR);
+
+/**
+ * Session IDs become file names, so only accept plain identifiers
+ * @param {string} sessionId
+ * @returns {boolean}
+ */
+function isValidId(sessionId) {
+    return typeof sessionId === "string" && /^[\w-]+$/.test(sessionId);
+}
+
+function sessionFile(sessionId) {
+    return path.join(SESSIONS_DIR, `${sessionId}.json`);
+}
+
+/**
+ * Path of the stored result zip for a session
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function resultZipPath(sessionId) {
+    return path.join(RESULTS_DIR, `${sessionId}.zip`);
+}
+
+/**
+ * Folder holding the extracted files of a session awaiting review
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function previewPath(sessionId) {
+    return path.join(PREVIEWS_DIR, sessionId);
+}
+
+/**
+ * Persist a session record and move its result zip into the store
+ * @param {Object} session - Session record; must have an `id`
+ * @param {string} [zipPath] - Result zip to move into the store
+ * @returns {Promise<Object>} - The stored record
+ */
+async function saveSession(session, zipPath) {
+    if (!isValidId(session.id)) {
+        throw new Error(`Invalid session ID: ${session.id}`);
+    }
+    const record = {
+        ...session,
+        expiresAt: new Date(
+            Date.now() + RESULT_RETENTION_DAYS * 24 * 60 * 60 * 1000
+        ).toISOString(),
+    };
+
+    if (zipPath) {
+        await fs.move(zipPath, resultZipPath(session.id), { overwrite: true });
+    }
+    // Write then rename so readers never see a half-written file
+    const file = sessionFile(session.id);
+    await fs.writeJson(`${file}.tmp`, record, { spaces: 2 });
+    await fs.move(`${file}.tmp`, file, { overwrite: true });
+    return record;
+}
+
+/**
+ * Load a session record
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>}
+ */
+async function getSession(sessionId) {
+    if (!isValidId(sessionId)) return null;
+    try {
+        return await fs.readJson(sessionFile(sessionId));
+    } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+    }
+}
+
+/**
+ * List stored sessions, newest first, without per-file details
+ * @returns {Promise<Object[]>}
+ */
+async function listSessions() {
+    const sessions = [];
+    for (const entry of await fs.readdir(SESSIONS_DIR)) {
+        if (!entry.endsWith(".json")) continue;
+        try {
+            const { files, categories, ...summary } = await fs.readJson(
+                path.join(SESSIONS_DIR, entry)
+            );
+            sessions.push({
+                ...summary,
+                fileCount: files ? files.length : 0,
+                categoryCount: categories ? Object.keys(categories).length : 0,
+            });
+        } catch (error) {
+            console.error(`Skipping unreadable session ${entry}:`, error);
+        }
+    }
+    return sessions.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+/**
+ * Remove a session record, its result zip and any preview files
+ * @param {string} sessionId
+ */
+async function deleteSession(sessionId) {
+    if (!isValidId(sessionId)) return;
+    await fs.remove(sessionFile(sessionId));
+    await fs.remove(resultZipPath(sessionId));
+    await fs.remove(previewPath(sessionId));
+}
+
+/**
+ * Delete every session past its retention date
+ * @returns {Promise<number>} - Number of sessions removed
+ */
+async function purgeExpired() {
+    const now = new Date().toISOString();
+    let removed = 0;
+    for (const entry of await fs.readdir(SESSIONS_DIR)) {
+        if (!entry.endsWith(".json")) continue;
+        const sessionId = path.basename(entry, ".json");
+        try {
+            const { expiresAt } = await fs.readJson(
+                path.join(SESSIONS_DIR, entry)
+            );
+            if (expiresAt && expiresAt < now) {
+                await deleteSession(sessionId);
+                removed++;
+            }
+        } catch (error) {
+            console.error(`Failed to check retention of ${entry}:`, error);
+        }
+    }
+    return removed;
+}
+
+/**
+ * Purge expired sessions now and then every hour
+ */
+function startRetention() {
+    const run = () =>
+        purgeExpired()
+            .then((removed) => {
+                if (removed > 0) {
+                    console.log(`Purged ${removed} expired session(s)`);
+                }
+            })
+            .catch((error) => console.error("Retention purge failed:", error));
+    run();
+    setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+    saveSession,
+    getSession,
+    listSessions,
+    deleteSession,
+    purgeExpired,
+    startRetention,
+    resultZipPath,
+    previewPath,
+    RESULT_RETENTION_DAYS,
+};
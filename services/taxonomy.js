@@ -0,0 +1,216 @@
+// Company-defined category taxonomies. Each file in TAXONOMY_DIR (JSON or
+// YAML) describes a fixed folder structure; in constrained mode the model
+// must pick one of its categories and anything else maps to the fallback.
+const path = require("path");
+const fs = require("fs-extra");
+const YAML = require("yaml");
+
+const TAXONOMY_DIR = process.env.TAXONOMY_DIR || "taxonomies";
+// Taxonomy used when an upload doesn't pick one; unset means free-form
+const DEFAULT_TAXONOMY = process.env.DEFAULT_TAXONOMY || null;
+const TAXONOMY_FALLBACK_CATEGORY =
+    process.env.TAXONOMY_FALLBACK_CATEGORY || "Other";
+
+const TAXONOMY_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+/**
+ * Reduce a label to a comparable key: lower case, plain words, naive
+ * singular ("Invoices" and "invoice" compare equal)
+ * @param {string} label
+ * @returns {string}
+ */
+function toKey(label) {
+    return label
+        .toLowerCase()
+        .replace(/[^a-z0-9/]+/g, " ")
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((word) =>
+            word.length > 3 && word.endsWith("s") ? word.slice(0, -1) : word
+        )
+        .join(" ")
+        .replace(/ ?\/ ?/g, "/");
+}
+
+/**
+ * Validate a single category name
+ * @param {*} name
+ * @param {string} source - Taxonomy name for error messages
+ */
+function assertValidName(name, source) {
+    if (typeof name !== "string" || !name.trim()) {
+        throw new Error(`Taxonomy "${source}" has a category without a name.`);
+    }
+    if (/[/\\]/.test(name) || name.trim() === "." || name.trim() === "..") {
+        throw new Error(
+            `Taxonomy "${source}" has an invalid category name "${name}"; use "children" for hierarchy.`
+        );
+    }
+}
+
+/**
+ * Flatten the category tree into leaf entries with full paths
+ * @param {Object[]} nodes
+ * @param {string} source - Taxonomy name for error messages
+ * @param {string[]} [parents]
+ * @returns {Object[]} - [{ path, name, description, keywords }]
+ */
+function flatten(nodes, source, parents = []) {
+    if (!Array.isArray(nodes)) {
+        throw new Error(`Taxonomy "${source}" categories must be a list.`);
+    }
+    const entries = [];
+    for (const node of nodes) {
+        assertValidName(node && node.name, source);
+        const names = [...parents, node.name.trim()];
+        if (Array.isArray(node.children) && node.children.length > 0) {
+            entries.push(...flatten(node.children, source, names));
+        } else {
+            entries.push({
+                path: names.join("/"),
+                name: node.name.trim(),
+                description: node.description || "",
+                keywords: Array.isArray(node.keywords) ? node.keywords : [],
+            });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Parse and validate a taxonomy document
+ * @param {Object} doc - Parsed JSON/YAML
+ * @param {string} source - File base name
+ * @returns {Object} taxonomy
+ */
+function parseTaxonomy(doc, source) {
+    if (!doc || typeof doc !== "object") {
+        throw new Error(`Taxonomy "${source}" is empty or not an object.`);
+    }
+    const categories = flatten(doc.categories, source);
+    if (categories.length === 0) {
+        throw new Error(`Taxonomy "${source}" has no categories.`);
+    }
+    const seen = new Set();
+    for (const category of categories) {
+        const key = category.path.toLowerCase();
+        if (seen.has(key)) {
+            throw new Error(
+                `Taxonomy "${source}" lists "${category.path}" more than once.`
+            );
+        }
+        seen.add(key);
+    }
+    const fallback = doc.fallback || TAXONOMY_FALLBACK_CATEGORY;
+    assertValidName(fallback, source);
+
+    return {
+        name: source,
+        title: doc.name || source,
+        version: String(doc.version || 1),
+        fallback,
+        categories,
+    };
+}
+
+/**
+ * Find the taxonomy file for a name
+ * @param {string} name
+ * @returns {Promise<string|null>}
+ */
+async function findTaxonomyFile(name) {
+    // Names become file names, so only accept plain identifiers
+    if (!/^[\w-]+$/.test(name)) return null;
+    for (const ext of TAXONOMY_EXTENSIONS) {
+        const file = path.join(TAXONOMY_DIR, `${name}${ext}`);
+        if (await fs.pathExists(file)) return file;
+    }
+    return null;
+}
+
+/**
+ * Load a taxonomy by name
+ * @param {string} name - File base name in TAXONOMY_DIR
+ * @returns {Promise<Object|null>} - null when no such taxonomy exists
+ */
+async function loadTaxonomy(name) {
+    const file = await findTaxonomyFile(name);
+    if (!file) return null;
+
+    const text = await fs.readFile(file, "utf8");
+    const doc = file.endsWith(".json") ? JSON.parse(text) : YAML.parse(text);
+    return parseTaxonomy(doc, name);
+}
+
+/**
+ * List the available taxonomies
+ * @returns {Promise<Object[]>}
+ */
+async function listTaxonomies() {
+    if (!(await fs.pathExists(TAXONOMY_DIR))) return [];
+    const taxonomies = [];
+    for (const entry of (await fs.readdir(TAXONOMY_DIR)).sort()) {
+        const ext = path.extname(entry);
+        if (!TAXONOMY_EXTENSIONS.includes(ext)) continue;
+        const name = path.basename(entry, ext);
+        try {
+            const taxonomy = await loadTaxonomy(name);
+            taxonomies.push({
+                ...taxonomy,
+                default: name === DEFAULT_TAXONOMY,
+            });
+        } catch (error) {
+            console.error(`Skipping invalid taxonomy ${entry}:`, error.message);
+        }
+    }
+    return taxonomies;
+}
+
+/**
+ * Map a model answer onto the taxonomy. Accepts the full path or the leaf
+ * name, ignoring case, punctuation and plural forms.
+ * @param {Object} taxonomy
+ * @param {string} answer - Raw model answer
+ * @returns {string|null} - Category path, or null when nothing matches
+ */
+function matchCategory(taxonomy, answer) {
+    if (!answer) return null;
+    // Models sometimes add quotes, bullets or an explanation after the label
+    const firstLine = answer
+        .split("\n")[0]
+        .replace(/^[\s\-*"'`]+|[\s."'`]+$/g, "");
+    const key = toKey(firstLine);
+    if (!key) return null;
+
+    const exact =
+        taxonomy.categories.find((c) => toKey(c.path) === key) ||
+        taxonomy.categories.find((c) => toKey(c.name) === key);
+    if (exact) return exact.path;
+
+    // Prefer the longest category mentioned in the answer
+    const mentioned = taxonomy.categories
+        .filter(
+            (c) => key.includes(toKey(c.path)) || key.includes(toKey(c.name))
+        )
+        .sort((a, b) => b.path.length - a.path.length);
+    return mentioned.length > 0 ? mentioned[0].path : null;
+}
+
+/**
+ * Constrain a category to the taxonomy, falling back when it doesn't fit
+ * @param {Object} taxonomy
+ * @param {string} answer
+ * @returns {string} - Category path or the taxonomy's fallback
+ */
+function resolveCategory(taxonomy, answer) {
+    return matchCategory(taxonomy, answer) || taxonomy.fallback;
+}
+
+module.exports = {
+    loadTaxonomy,
+    listTaxonomies,
+    parseTaxonomy,
+    matchCategory,
+    resolveCategory,
+    DEFAULT_TAXONOMY,
+};
@@ -0,0 +1,135 @@
+// Lightweight TF-IDF vectors and cosine similarity, so texts can be compared
+// locally without calling a model.
+
+// Words too common to tell documents apart
+const STOP_WORDS = new Set(
+    `a an and are as at be been but by for from has have he her his i if in
+    into is it its me my no not of on or our she so that the their them then
+    there these they this to was we were what when which who will with you
+    your`.split(/\s+/)
+);
+
+/**
+ * Split text into lower-case word tokens, without stop words, single
+ * characters and plain numbers
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return (
+        String(text)
+            .toLowerCase()
+            .match(/[\p{L}\p{N}]+/gu) || []
+    ).filter(
+        (token) =>
+            token.length > 1 && !/^\d+$/.test(token) && !STOP_WORDS.has(token)
+    );
+}
+
+/**
+ * Sublinear term frequencies of a text
+ * @param {*} text
+ * @param {(text: *) => string[]} [tokenizer]
+ * @returns {Map<string, number>}
+ */
+function termFrequencies(text, tokenizer = tokenize) {
+    const counts = new Map();
+    for (const token of tokenizer(text)) {
+        counts.set(token, (counts.get(token) || 0) + 1);
+    }
+    for (const [term, count] of counts) counts.set(term, 1 + Math.log(count));
+    return counts;
+}
+
+/**
+ * Scale a vector to unit length, in place
+ * @param {Map<string, number>} vector
+ * @returns {Map<string, number>}
+ */
+function normalize(vector) {
+    let norm = 0;
+    for (const weight of vector.values()) norm += weight * weight;
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (const [term, weight] of vector) vector.set(term, weight / norm);
+    }
+    return vector;
+}
+
+/**
+ * Cosine similarity of two unit vectors
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @returns {number} - 0 (unrelated) to 1 (same terms)
+ */
+function cosine(a, b) {
+    if (a.size > b.size) [a, b] = [b, a];
+    let dot = 0;
+    for (const [term, weight] of a) {
+        const other = b.get(term);
+        if (other) dot += weight * other;
+    }
+    return dot;
+}
+
+/**
+ * Build a TF-IDF index over a set of documents
+ * @param {string[]} texts
+ * @param {(text: *) => string[]} [tokenizer] - Turns a document into its
+ *   terms; defaults to tokenize, so documents can also be given as other
+ *   values with a matching tokenizer
+ * @returns {{vectors: Map<string, number>[], vectorize: (text: string) =>
+ *   Map<string, number>, search: (text: string, limit?: number) =>
+ *   Array<{index: number, similarity: number}>}} - `vectors` are the
+ *   documents' unit vectors; `vectorize` weighs any text with the index's
+ *   IDF (terms the index has never seen count as the rarest ones, so text
+ *   the index doesn't know lowers the similarity); `search` returns the
+ *   most similar documents first, leaving out unrelated ones
+ */
+function createIndex(texts, tokenizer = tokenize) {
+    const frequencies = texts.map((text) => termFrequencies(text, tokenizer));
+    const documentCounts = new Map();
+    for (const terms of frequencies) {
+        for (const term of terms.keys()) {
+            documentCounts.set(term, (documentCounts.get(term) || 0) + 1);
+        }
+    }
+    // Smoothed IDF, so a term in every document still counts a little
+    const idf = new Map();
+    for (const [term, count] of documentCounts) {
+        idf.set(term, Math.log((1 + texts.length) / (1 + count)) + 1);
+    }
+
+    const unseenIdf = Math.log(1 + texts.length) + 1;
+
+    const weigh = (terms) => {
+        const vector = new Map();
+        for (const [term, tf] of terms) {
+            vector.set(term, tf * (idf.get(term) ?? unseenIdf));
+        }
+        return normalize(vector);
+    };
+    const vectors = frequencies.map(weigh);
+
+    return {
+        vectors,
+        vectorize: (text) => weigh(termFrequencies(text, tokenizer)),
+        search(text, limit = 5) {
+            const query = weigh(termFrequencies(text, tokenizer));
+            return vectors
+                .map((vector, index) => ({
+                    index,
+                    similarity: cosine(query, vector),
+                }))
+                .filter((match) => match.similarity > 0)
+                .sort((a, b) => b.similarity - a.similarity)
+                .slice(0, limit);
+        },
+    };
+}
+
+module.exports = {
+    tokenize,
+    cosine,
+    createIndex,
+};